@@ -0,0 +1,269 @@
+require('dotenv').config();
+const http = require('http');
+const crypto = require('crypto');
+const { storageConfigFromEnv, createStorage } = require('./lib/storage');
+const { createLogger } = require('./lib/logger');
+const { cohortsFromEnv } = require('./lib/cohorts');
+const { WITHDRAWAL_GROUPS, summarizeCohortWithdrawals } = require('./lib/withdrawals');
+const { PERFORMANCE_GROUPS, summarizePerformance, summarizeNetworkPerformance } = require('./lib/performance');
+
+const API_HOST = process.env.API_HOST || '0.0.0.0';
+const API_PORT = parseInt(process.env.API_PORT, 10) || 3000;
+const API_CORS_ORIGIN = process.env.API_CORS_ORIGIN || '*';
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+const logger = createLogger();
+
+let storage;
+let cohortNames;
+
+// Read-only routes; every handler gets the path captures and the query string and returns the JSON body
+const ROUTES = [
+    { pattern: /^\/cohorts$/, handler: listCohorts },
+    { pattern: /^\/cohorts\/([^/]+)\/proposals$/, handler: cohortProposals },
+    { pattern: /^\/cohorts\/([^/]+)\/withdrawals$/, handler: cohortWithdrawals },
+    { pattern: /^\/cohorts\/([^/]+)\/performance$/, handler: cohortPerformance },
+    { pattern: /^\/stats$/, handler: statsHistory },
+    { pattern: /^\/stats\/latest$/, handler: latestStats },
+    { pattern: /^\/validators\/(\d+)$/, handler: getValidator },
+    { pattern: /^\/operators\/(0x[0-9a-fA-F]{40})\/validators$/, handler: operatorValidators }
+];
+
+async function main() {
+    cohortNames = cohortsFromEnv().map(c => c.name);
+
+    storage = createStorage(storageConfigFromEnv());
+    await storage.connect();
+    logger.info(`Connected to ${storage.description}`);
+
+    const server = http.createServer((req, res) => {
+        handleRequest(req, res).catch(err => {
+            logger.error(`${req.method} ${req.url} failed: ${err.message}`);
+            if (!res.headersSent) sendJson(req, res, 500, { error: 'Internal server error' });
+        });
+    });
+
+    const shutdown = signal => {
+        logger.warn(`Received ${signal}. Shutting down API server...`);
+        server.close(async () => {
+            await storage.close();
+            process.exit(0);
+        });
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+
+    server.listen(API_PORT, API_HOST, () => {
+        logger.info(`API listening on http://${API_HOST}:${API_PORT}`);
+    });
+}
+
+async function handleRequest(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.setHeader('Allow', 'GET, HEAD');
+        sendJson(req, res, 405, { error: 'Method not allowed' });
+        return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    const route = ROUTES.find(r => r.pattern.test(url.pathname));
+    if (!route) {
+        sendJson(req, res, 404, { error: `No route for ${url.pathname}` });
+        return;
+    }
+
+    try {
+        const params = url.pathname.match(route.pattern).slice(1).map(decodePathParam);
+        const body = await route.handler(params, url.searchParams);
+        sendJson(req, res, 200, body);
+    } catch (err) {
+        if (!err.status) throw err;
+        sendJson(req, res, err.status, { error: err.message });
+    }
+    logger.debug(`${req.method} ${req.url} -> ${res.statusCode}`);
+}
+
+/**
+ * Sends body as JSON with an ETag of its content, answering 304 when the client
+ * already has that version (If-None-Match).
+ */
+function sendJson(req, res, status, body) {
+    const json = JSON.stringify(body);
+    const etag = `"${crypto.createHash('sha1').update(json).digest('base64url')}"`;
+    res.setHeader('Access-Control-Allow-Origin', API_CORS_ORIGIN);
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('ETag', etag);
+
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (status === 200 && ifNoneMatch && ifNoneMatch.split(',').some(t => t.trim().replace(/^W\//, '') === etag)) {
+        res.writeHead(304);
+        res.end();
+        return;
+    }
+
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(json)
+    });
+    res.end(req.method === 'HEAD' ? undefined : json);
+}
+
+function httpError(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+// A malformed escape such as %E0%A4%A is the client's mistake, not ours
+function decodePathParam(param) {
+    try {
+        return decodeURIComponent(param);
+    } catch (err) {
+        throw httpError(400, `Malformed path segment "${param}"`);
+    }
+}
+
+function parseInteger(query, name, defaultValue) {
+    if (!query.has(name)) return defaultValue;
+    const value = Number(query.get(name));
+    if (!Number.isInteger(value) || value < 0) {
+        throw httpError(400, `${name} must be a non-negative integer`);
+    }
+    return value;
+}
+
+// Accepts ISO 8601 dates and unix timestamps in seconds
+function parseDate(query, name) {
+    if (!query.has(name)) return null;
+    const raw = query.get(name);
+    const date = /^\d+$/.test(raw) ? new Date(parseInt(raw, 10) * 1000) : new Date(raw);
+    if (Number.isNaN(date.getTime())) {
+        throw httpError(400, `${name} must be an ISO 8601 date or a unix timestamp`);
+    }
+    return date;
+}
+
+function checkCohort(name) {
+    if (!cohortNames.includes(name)) {
+        throw httpError(404, `Unknown cohort "${name}". Known cohorts: ${cohortNames.join(', ')}`);
+    }
+}
+
+/**
+ * Reads ?limit= and ?offset= and fetches that page, plus one extra row to tell
+ * whether there is a next one.
+ */
+async function paginate(query, fetchPage) {
+    const limit = parseInteger(query, 'limit', DEFAULT_PAGE_SIZE);
+    const offset = parseInteger(query, 'offset', 0);
+    if (limit < 1 || limit > MAX_PAGE_SIZE) {
+        throw httpError(400, `limit must be between 1 and ${MAX_PAGE_SIZE}`);
+    }
+    const rows = await fetchPage({ limit: limit + 1, offset });
+    return {
+        data: rows.slice(0, limit),
+        pagination: { limit, offset, next_offset: rows.length > limit ? offset + limit : null }
+    };
+}
+
+async function listCohorts() {
+    return { data: cohortNames };
+}
+
+// GET /stats/latest[?cohort=] -> the newest stats_history entry of each cohort
+async function latestStats(params, query) {
+    const names = query.has('cohort') ? [query.get('cohort')] : cohortNames;
+    names.forEach(checkCohort);
+    const data = {};
+    for (const cohort of names) {
+        const [latest] = await storage.listStats({ cohort, limit: 1 });
+        if (latest) data[cohort] = latest;
+    }
+    return { data };
+}
+
+// GET /stats[?cohort=&from=&to=&limit=&offset=] -> stats_history entries, newest first
+async function statsHistory(params, query) {
+    const cohort = query.get('cohort');
+    if (cohort) checkCohort(cohort);
+    const from = parseDate(query, 'from');
+    const to = parseDate(query, 'to');
+    return paginate(query, page => storage.listStats({ cohort, from, to, ...page }));
+}
+
+// GET /validators/:index[?limit=&offset=] -> the validator doc, its proposal counts, its cohorts and a page of its proposals
+async function getValidator([index], query) {
+    const validatorIndex = parseInt(index, 10);
+    const [validators, proposalCount, missedCount, cohorts] = await Promise.all([
+        storage.getValidators([validatorIndex]),
+        storage.countBlocks({ proposerIndices: [validatorIndex] }),
+        storage.countEmptySlots({ proposerIndices: [validatorIndex] }),
+        storage.listValidatorCohorts(validatorIndex)
+    ]);
+    if (validators.length === 0 && proposalCount === 0 && missedCount === 0) {
+        throw httpError(404, `Validator ${validatorIndex} not found`);
+    }
+
+    const proposals = await paginate(query, page => storage.listBlocksByProposer(validatorIndex, page));
+    return {
+        data: {
+            validator_index: validatorIndex,
+            ...(validators[0] || {}),
+            proposal_count: proposalCount,
+            missed_proposal_count: missedCount,
+            cohorts,
+            proposals: proposals.data
+        },
+        pagination: proposals.pagination
+    };
+}
+
+// GET /operators/:address/validators[?limit=&offset=] -> validators withdrawing to that address
+async function operatorValidators([address], query) {
+    return paginate(query, page => storage.listValidatorsByWithdrawalAddress(address.toLowerCase(), page));
+}
+
+// GET /cohorts/:name/proposals[?from_slot=&to_slot=&limit=&offset=] -> the cohort's blocks, oldest first
+async function cohortProposals([cohort], query) {
+    checkCohort(cohort);
+    const fromSlot = parseInteger(query, 'from_slot', 0);
+    const toSlot = parseInteger(query, 'to_slot', Number.MAX_SAFE_INTEGER);
+    return paginate(query, page => storage.listCohortMembers(cohort, { fromSlot, toSlot, ...page }));
+}
+
+// GET /cohorts/:name/withdrawals[?by=&from=&to=] -> partial and full withdrawal totals, per validator, address or day with ?by=
+async function cohortWithdrawals([cohort], query) {
+    checkCohort(cohort);
+    const by = query.get('by');
+    if (by && !WITHDRAWAL_GROUPS.includes(by)) {
+        throw httpError(400, `by must be one of: ${WITHDRAWAL_GROUPS.join(', ')}`);
+    }
+    const from = parseDate(query, 'from');
+    const to = parseDate(query, 'to');
+    return { data: await summarizeCohortWithdrawals(storage, { cohort, from, to, by }) };
+}
+
+/**
+ * GET /cohorts/:name/performance[?by=&from=&to=] -> attestation and sync committee performance
+ * of every validator that ever matched the cohort, next to the network's, or per validator,
+ * operator or day with ?by=. Epochs are only recorded for the members the performance job tracked.
+ */
+async function cohortPerformance([cohort], query) {
+    checkCohort(cohort);
+    const by = query.get('by');
+    if (by && !PERFORMANCE_GROUPS.includes(by)) {
+        throw httpError(400, `by must be one of: ${PERFORMANCE_GROUPS.join(', ')}`);
+    }
+    const from = parseDate(query, 'from');
+    const to = parseDate(query, 'to');
+    const validatorIndices = (await storage.listCohortValidators(cohort)).map(row => row.validator_index);
+    const data = await summarizePerformance(storage, { validatorIndices, from, to, by });
+    if (by) return { data };
+    return { data: { ...data, network: await summarizeNetworkPerformance(storage, { from, to }) } };
+}
+
+if (require.main === module) {
+    main().catch(err => {
+        logger.error(`Fatal error: ${err.message}`);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,689 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { beaconConfigFromEnv, createBeaconClient } = require('../lib/beacon');
+const { networkFromEnv, loadChain, saveChain, loadStoredChain, checkStorageNetwork } = require('../lib/chain');
+const { cohortsFromEnv } = require('../lib/cohorts');
+const { configError } = require('../lib/errors');
+const { EXPORT_FORMATS, EXPORT_TABLES, matchStatuses, exportDataset } = require('../lib/export');
+const { ingesterConfigFromEnv, createIngester } = require('../lib/ingester');
+const { createLogger } = require('../lib/logger');
+const { createMembership } = require('../lib/membership');
+const { metricsConfigFromEnv, createMetrics } = require('../lib/metrics');
+const { performanceConfigFromEnv, createPerformanceTracker } = require('../lib/performance');
+const { alertsConfigFromEnv, createAlerter } = require('../lib/alerts');
+const { runConfigFromEnv, startRun, listRuns } = require('../lib/runs');
+const { storageConfigFromEnv, createStorage } = require('../lib/storage');
+const { validatorConfigFromEnv, createValidatorTracker, listRecentExitsAndSlashings } = require('../lib/validators');
+
+const EXIT_CODES = {
+    OK: 0,
+    // Anything unexpected: beacon node or database errors, bugs
+    FAILURE: 1,
+    // Unknown command or flag, or a bad flag value
+    USAGE: 2,
+    // Bad config, or a node/database that doesn't match it (see lib/errors.js)
+    CONFIG: 3,
+    // Interrupted by a signal or a lost lock, or finished with slots, validators or epochs it could not fetch
+    INCOMPLETE: 4,
+    // Another run of the same job holds its lock, so this one did not start
+    LOCKED: 5
+};
+
+// Flags every command takes, each overriding the env variable it names
+const CONFIG_FLAGS = {
+    network: 'NETWORK',
+    endpoint: 'ENDPOINT',
+    storage: 'STORAGE_BACKEND',
+    'mongo-uri': 'MONGO_URI',
+    'mongo-db': 'MONGO_DBNAME',
+    'sqlite-path': 'SQLITE_PATH',
+    'postgres-url': 'POSTGRES_URL',
+    'cohorts-file': 'COHORTS_FILE',
+    membership: 'COHORT_MEMBERSHIP',
+    'batch-size': 'BATCH_SIZE',
+    concurrency: 'CONCURRENCY_LIMIT',
+    'log-level': 'LOG_LEVEL',
+    'metrics-port': 'METRICS_PORT',
+    'pushgateway-url': 'PUSHGATEWAY_URL'
+};
+
+const EXPORT_PAGE_SIZE = 1000;
+
+// Commands that write slots, cohort membership or stats share one lock; recheck and performance have their own
+const INGEST_JOB = 'ingest';
+const RECHECK_JOB = 'recheck';
+const PERFORMANCE_JOB = 'performance';
+
+const COMMANDS = {
+    ingest: {
+        usage: 'ingest [--follow]',
+        summary: 'Ingest every new slot up to the head and compute cohort stats. --follow keeps following the chain',
+        options: { follow: { type: 'boolean' } },
+        run: ingest
+    },
+    'import-era': {
+        usage: 'import-era [--dir <path>]',
+        summary: 'Import blocks from the era archives in --dir (or ERA_DIR), then ingest the rest from the beacon node',
+        options: { dir: { type: 'string' } },
+        run: importEra
+    },
+    stats: {
+        usage: 'stats',
+        summary: 'Compute cohort stats at the last processed slot',
+        run: stats
+    },
+    recheck: {
+        usage: 'recheck',
+        summary: 'Re-check every stored validator, recording status, slashing and credential changes',
+        run: recheck
+    },
+    performance: {
+        usage: 'performance',
+        summary: 'Record attestation and sync committee rewards of cohort validators and a network sample for every new finalized epoch',
+        run: performance
+    },
+    backfill: {
+        usage: 'backfill --from <slot> [--to <slot>]',
+        summary: 'Ingest every slot in the range that is not stored yet (--to defaults to the last processed slot)',
+        options: { from: { type: 'string' }, to: { type: 'string' } },
+        run: backfill
+    },
+    repair: {
+        usage: 'repair',
+        summary: 'Retry every slot recorded in failed_slots',
+        run: repair
+    },
+    'rebuild-cohort': {
+        usage: 'rebuild-cohort',
+        summary: 'Rebuild cohort_members from the stored blocks after the cohort config changed',
+        run: rebuildCohort
+    },
+    status: {
+        usage: 'status [--json]',
+        summary: 'Show ingestion progress, lag behind the head and failed slots',
+        options: { json: { type: 'boolean' } },
+        run: status
+    },
+    events: {
+        usage: 'events [--days <n>]',
+        summary: 'List validator exits and slashings recorded in the last n days (default 7)',
+        options: { days: { type: 'string' } },
+        run: events
+    },
+    export: {
+        usage: 'export [--cohort <name>] [--from <date>] [--to <date>] [--out <file>]\n' +
+            '  export --dir <path> [--format <ndjson|csv|parquet>] [--tables <list>] [--cohort <name>] [--status <list>] ' +
+            '[--from-slot <slot>] [--to-slot <slot>]',
+        summary: 'Write stats_history as NDJSON, newest first, to --out or stdout. With --dir, write a dataset of ' +
+            'blocks, validators, stats_history, operators and cohorts tables and its manifest.json instead',
+        options: {
+            cohort: { type: 'string' },
+            from: { type: 'string' },
+            to: { type: 'string' },
+            out: { type: 'string' },
+            dir: { type: 'string' },
+            format: { type: 'string' },
+            tables: { type: 'string' },
+            status: { type: 'string' },
+            'from-slot': { type: 'string' },
+            'to-slot': { type: 'string' }
+        },
+        run: context => (context.values.dir !== undefined ? exportData(context) : exportStats(context))
+    },
+    runs: {
+        usage: 'runs [--job <ingest|recheck|performance>] [--limit <n>] [--json]',
+        summary: 'List recent runs, newest first, with how each one ended (or "died" if it never recorded an end)',
+        options: { job: { type: 'string' }, limit: { type: 'string' }, json: { type: 'boolean' } },
+        run: runs
+    }
+};
+
+// Called on SIGINT/SIGTERM; commands that can wind down gracefully replace it
+let onShutdown = () => {};
+let shutdownRequested = false;
+
+function usageError(message) {
+    return Object.assign(new Error(message), { code: 'ERR_USAGE' });
+}
+
+function printUsage() {
+    const lines = ['Usage: dappnode-validators <command> [flags]', '', 'Commands:'];
+    for (const command of Object.values(COMMANDS)) {
+        lines.push(`  ${command.usage}`, `      ${command.summary}`);
+    }
+    lines.push('', 'Flags for every command (each overrides the env variable named):');
+    for (const [flag, envName] of Object.entries(CONFIG_FLAGS)) {
+        lines.push(`  --${flag} <value>`.padEnd(30) + envName);
+    }
+    lines.push(
+        '',
+        `Exit codes: ${EXIT_CODES.OK} ok, ${EXIT_CODES.FAILURE} failure, ${EXIT_CODES.USAGE} usage error, ` +
+        `${EXIT_CODES.CONFIG} config error, ${EXIT_CODES.INCOMPLETE} incomplete (interrupted, or slots/validators/epochs left unfetched), ` +
+        `${EXIT_CODES.LOCKED} another run of the job holds its lock`
+    );
+    process.stdout.write(`${lines.join('\n')}\n`);
+}
+
+function parseSlot(values, name) {
+    if (values[name] === undefined) return null;
+    const slot = Number(values[name]);
+    if (!Number.isInteger(slot) || slot < 0) {
+        throw usageError(`--${name} must be a slot number`);
+    }
+    return slot;
+}
+
+// Accepts ISO 8601 dates and unix timestamps in seconds, like the HTTP API
+function parseDate(values, name) {
+    if (values[name] === undefined) return null;
+    const raw = values[name];
+    const date = /^\d+$/.test(raw) ? new Date(parseInt(raw, 10) * 1000) : new Date(raw);
+    if (Number.isNaN(date.getTime())) {
+        throw usageError(`--${name} must be an ISO 8601 date or a unix timestamp`);
+    }
+    return date;
+}
+
+/**
+ * Connects to the configured storage, checks it holds `network` data and runs
+ * fn(storage), closing the connection afterwards.
+ */
+async function withStorage({ env, logger }, fn) {
+    const storage = createStorage(storageConfigFromEnv(env));
+    await storage.connect();
+    try {
+        logger.info(`Connected to ${storage.description}`);
+        await storage.ensureSchema();
+        await checkStorageNetwork(storage, networkFromEnv(env));
+        return await fn(storage);
+    } finally {
+        await storage.close();
+    }
+}
+
+/**
+ * Sets up metrics, the beacon client and the chain it is on, and the storage,
+ * then runs fn({ storage, beacon, chain, metrics }). `mode` groups pushed metrics.
+ * The chain's timing is saved in storage for commands that run without a node.
+ */
+async function withBeacon(context, mode, fn) {
+    const { env, logger } = context;
+    const network = networkFromEnv(env);
+    const metrics = createMetrics({ ...metricsConfigFromEnv(env), job: 'dappnode_validators', groupings: { mode, network }, logger });
+    metrics.start();
+    try {
+        const beacon = createBeaconClient({ ...beaconConfigFromEnv(env), logger, metrics });
+        const chain = await loadChain(beacon, network);
+        logger.info(`Network: ${network} (${chain.slotsPerEpoch} slots of ${chain.secondsPerSlot}s per epoch)`);
+        return await withStorage(context, async storage => {
+            await saveChain(storage, chain);
+            return fn({ storage, beacon, chain, metrics });
+        });
+    } finally {
+        await metrics.stop();
+    }
+}
+
+/**
+ * Runs fn() holding the lock of `job` and records it in the runs journal as a
+ * run of `command` (see lib/runs.js). worker.progress() is saved along the way;
+ * worker.stop() is called if the lock is lost.
+ */
+async function withRun({ env, logger }, storage, { job, command }, worker, fn) {
+    const run = await startRun({
+        ...runConfigFromEnv(env),
+        storage,
+        job,
+        command,
+        logger,
+        progress: worker.progress,
+        onLockLost: worker.stop
+    });
+    let code;
+    try {
+        code = await fn();
+    } catch (err) {
+        await run.finish('fatal', err).catch(finishErr => logger.error(`Could not record the end of run ${run.id}: ${finishErr.message}`));
+        throw err;
+    }
+    if (run.lockLost) {
+        await run.finish('fatal');
+    } else {
+        await run.finish(shutdownRequested ? 'shutdown' : 'completed');
+    }
+    return code;
+}
+
+// The alerter of lib/alerts when ALERT_SINKS names somewhere to send alerts, else null
+function alerterFromEnv({ env, logger }, { storage, beacon, chain, metrics }) {
+    const config = alertsConfigFromEnv(env);
+    if (config.sinks.length === 0) return null;
+    return createAlerter({ ...config, storage, beacon, network: chain.network, logger, metrics });
+}
+
+// Like withBeacon, with an ingester over the configured cohorts that a signal stops gracefully
+async function withIngester(context, mode, fn, { checkCohorts = true } = {}) {
+    const { env, logger } = context;
+    const cohorts = cohortsFromEnv(env);
+    logger.info(`Cohorts: ${cohorts.map(c => c.name).join(', ')}`);
+    return withBeacon(context, mode, async ({ storage, beacon, chain, metrics }) => {
+        const alerts = alerterFromEnv(context, { storage, beacon, chain, metrics });
+        const ingester = createIngester({ ...ingesterConfigFromEnv(env), storage, beacon, chain, cohorts, logger, metrics, alerts });
+        onShutdown = () => ingester.stop();
+        return withRun(context, storage, { job: INGEST_JOB, command: mode }, ingester, async () => {
+            if (checkCohorts) await ingester.checkCohortConfig();
+            return fn(ingester, storage);
+        });
+    });
+}
+
+// Slot commands are incomplete when interrupted or when slots are left in failed_slots
+async function slotsExitCode(ingester, storage) {
+    if (ingester.stopped) return EXIT_CODES.INCOMPLETE;
+    return await storage.countFailedSlots() > 0 ? EXIT_CODES.INCOMPLETE : EXIT_CODES.OK;
+}
+
+async function ingest(context) {
+    const { follow } = context.values;
+    return withIngester(context, follow ? 'follow' : 'ingest', async (ingester, storage) => {
+        if (follow) {
+            // Following only ends with a signal, which is how it is meant to stop
+            await ingester.follow();
+            return EXIT_CODES.OK;
+        }
+        await ingester.ingest();
+        return slotsExitCode(ingester, storage);
+    });
+}
+
+async function importEra(context) {
+    const dir = context.values.dir || context.env.ERA_DIR;
+    if (!dir) {
+        throw usageError('import-era needs --dir <path> or ERA_DIR');
+    }
+    return withIngester(context, 'import-era', async (ingester, storage) => {
+        await ingester.importEra(dir);
+        if (!ingester.stopped) await ingester.ingest();
+        return slotsExitCode(ingester, storage);
+    });
+}
+
+async function stats(context) {
+    return withIngester(context, 'stats', async (ingester, storage) => {
+        const lastProcessedSlot = await storage.getMeta('last_processed_slot');
+        if (lastProcessedSlot === null) {
+            throw new Error('Nothing has been ingested yet. Run "dappnode-validators ingest" first.');
+        }
+        const allStats = await ingester.computeStats(parseInt(lastProcessedSlot, 10));
+        return ingester.stopped || allStats.length < ingester.cohorts.length ? EXIT_CODES.INCOMPLETE : EXIT_CODES.OK;
+    });
+}
+
+async function backfill(context) {
+    const fromSlot = parseSlot(context.values, 'from');
+    if (fromSlot === null) {
+        throw usageError('backfill needs --from <slot>');
+    }
+    return withIngester(context, 'backfill', async (ingester, storage) => {
+        let toSlot = parseSlot(context.values, 'to');
+        if (toSlot === null) {
+            const lastProcessedSlot = await storage.getMeta('last_processed_slot');
+            if (lastProcessedSlot === null) {
+                throw usageError('Nothing has been ingested yet, so backfill needs --to <slot>');
+            }
+            toSlot = parseInt(lastProcessedSlot, 10);
+        }
+        await ingester.backfill(fromSlot, toSlot);
+        return slotsExitCode(ingester, storage);
+    });
+}
+
+async function repair(context) {
+    return withIngester(context, 'repair', async (ingester, storage) => {
+        await ingester.repair();
+        return slotsExitCode(ingester, storage);
+    });
+}
+
+async function rebuildCohort(context) {
+    return withIngester(context, 'rebuild-cohort', async ingester => {
+        await ingester.rebuildCohort();
+        return ingester.stopped ? EXIT_CODES.INCOMPLETE : EXIT_CODES.OK;
+    }, { checkCohorts: false });
+}
+
+async function recheck(context) {
+    const { env, logger } = context;
+    return withBeacon(context, 'recheck', async ({ storage, beacon, chain, metrics }) => {
+        let stopped = false;
+        const stop = () => {
+            stopped = true;
+        };
+        onShutdown = stop;
+        const validators = createValidatorTracker({
+            ...validatorConfigFromEnv(env),
+            storage,
+            beacon,
+            logger,
+            metrics,
+            shouldStop: () => stopped
+        });
+        const alerts = alerterFromEnv(context, { storage, beacon, chain, metrics });
+        const counts = { validators_total: null, validators_updated: null };
+        const worker = { progress: () => ({ counts }), stop };
+        return withRun(context, storage, { job: RECHECK_JOB, command: 'recheck' }, worker, async () => {
+            counts.validators_total = (await storage.listValidatorIndices()).length;
+            const results = await validators.recheckAll();
+            counts.validators_updated = results.length;
+            logger.info(`Validator recheck done: ${results.length}/${counts.validators_total} validator(s) updated.`);
+            if (alerts && !stopped) await alerts.evaluate();
+            return stopped || results.length < counts.validators_total ? EXIT_CODES.INCOMPLETE : EXIT_CODES.OK;
+        });
+    });
+}
+
+async function performance(context) {
+    const { env, logger } = context;
+    const { cohorts: performanceCohorts, ...trackerConfig } = performanceConfigFromEnv(env);
+    const cohorts = cohortsFromEnv(env);
+    const names = performanceCohorts || cohorts.map(c => c.name);
+    const unknown = names.find(name => !cohorts.some(c => c.name === name));
+    if (unknown) {
+        throw configError(`PERFORMANCE_COHORTS names unknown cohort "${unknown}". Known cohorts: ${cohorts.map(c => c.name).join(', ')}`);
+    }
+    return withBeacon(context, 'performance', async ({ storage, beacon, chain, metrics }) => {
+        let stopped = false;
+        const stop = () => {
+            stopped = true;
+        };
+        onShutdown = stop;
+        const tracker = createPerformanceTracker({ ...trackerConfig, storage, beacon, chain, logger, shouldStop: () => stopped });
+        const worker = { progress: tracker.progress, stop };
+        return withRun(context, storage, { job: PERFORMANCE_JOB, command: 'performance' }, worker, async () => {
+            const lastProcessedSlot = await storage.getMeta('last_processed_slot');
+            if (lastProcessedSlot === null) {
+                throw new Error('Nothing has been ingested yet. Run "dappnode-validators ingest" first.');
+            }
+            // The same members the cohort stats count, at the last processed slot
+            const ingester = createIngester({ ...ingesterConfigFromEnv(env), storage, beacon, chain, cohorts, logger, metrics });
+            const validatorIndices = new Set();
+            for (const name of names) {
+                const members = await ingester.listCohortValidatorIndices(name, parseInt(lastProcessedSlot, 10));
+                members.forEach(validatorIndex => validatorIndices.add(validatorIndex));
+            }
+            logger.info(`Tracking ${validatorIndices.size} validator(s) of cohort(s) ${names.join(', ')}.`);
+            const complete = await tracker.collect([...validatorIndices].sort((a, b) => a - b));
+            return complete && !stopped ? EXIT_CODES.OK : EXIT_CODES.INCOMPLETE;
+        });
+    });
+}
+
+async function status(context) {
+    const { env, logger, values } = context;
+    const network = networkFromEnv(env);
+    const beacon = createBeaconClient({ ...beaconConfigFromEnv(env), logger });
+    return withStorage(context, async storage => {
+        const [lastProcessed, lastFinalized, lastStats, failedSlots] = await Promise.all([
+            storage.getMeta('last_processed_slot'),
+            storage.getMeta('last_finalized_slot'),
+            storage.getMeta('last_stats_for_slot'),
+            storage.countFailedSlots()
+        ]);
+        const lastProcessedSlot = lastProcessed !== null ? parseInt(lastProcessed, 10) : null;
+        let headSlot = null;
+        try {
+            headSlot = await beacon.getHeadSlot();
+        } catch (err) {
+            logger.warn(`Could not get the head slot: ${err.message}`);
+        }
+
+        const report = {
+            network,
+            head_slot: headSlot,
+            last_processed_slot: lastProcessedSlot,
+            lag_slots: headSlot !== null && lastProcessedSlot !== null ? Math.max(headSlot - lastProcessedSlot, 0) : null,
+            last_finalized_slot: lastFinalized !== null ? parseInt(lastFinalized, 10) : null,
+            last_stats_for_slot: lastStats !== null ? parseInt(lastStats, 10) : null,
+            failed_slots: failedSlots
+        };
+        if (values.json) {
+            process.stdout.write(`${JSON.stringify(report)}\n`);
+        } else {
+            const width = Math.max(...Object.keys(report).map(k => k.length)) + 2;
+            for (const [key, value] of Object.entries(report)) {
+                process.stdout.write(`${`${key}:`.padEnd(width)}${value === null ? '-' : value}\n`);
+            }
+        }
+        return EXIT_CODES.OK;
+    });
+}
+
+async function events(context) {
+    const { logger, values } = context;
+    const days = values.days !== undefined ? Number(values.days) : 7;
+    if (!(days > 0)) {
+        throw usageError('--days must be a positive number');
+    }
+    return withStorage(context, async storage => {
+        const recent = await listRecentExitsAndSlashings(storage, days);
+        logger.info(`${recent.length} exit/slashing event(s) in the last ${days} day(s):`);
+        for (const e of recent) {
+            const what = e.type === 'slashed' ? 'slashed' : `${e.old_value} -> ${e.new_value}`;
+            logger.info(`  ${e.ts.toISOString()} slot=${e.slot} validator=${e.validator_index} ${what}`);
+        }
+        return EXIT_CODES.OK;
+    });
+}
+
+async function exportStats(context) {
+    const { logger, values } = context;
+    const datasetFlag = ['format', 'tables', 'status', 'from-slot', 'to-slot'].find(name => values[name] !== undefined);
+    if (datasetFlag) {
+        throw usageError(`--${datasetFlag} needs --dir`);
+    }
+    const from = parseDate(values, 'from');
+    const to = parseDate(values, 'to');
+    return withStorage(context, async storage => {
+        const out = values.out ? fs.createWriteStream(values.out) : process.stdout;
+        let count = 0;
+        for (let offset = 0; ; offset += EXPORT_PAGE_SIZE) {
+            const page = await storage.listStats({ cohort: values.cohort, from, to, limit: EXPORT_PAGE_SIZE, offset });
+            for (const entry of page) {
+                // Respect backpressure, so a large history is never buffered in memory
+                if (!out.write(`${JSON.stringify(entry)}\n`)) {
+                    await new Promise(r => out.once('drain', r));
+                }
+            }
+            count += page.length;
+            if (page.length < EXPORT_PAGE_SIZE) break;
+        }
+        if (values.out) {
+            await new Promise((resolve, reject) => out.end(err => (err ? reject(err) : resolve())));
+        }
+        logger.info(`Exported ${count} stats_history entr${count === 1 ? 'y' : 'ies'}${values.out ? ` to ${values.out}` : ''}.`);
+        return EXIT_CODES.OK;
+    });
+}
+
+async function exportData(context) {
+    const { env, logger, values } = context;
+    const badFlag = ['from', 'to', 'out'].find(name => values[name] !== undefined);
+    if (badFlag) {
+        throw usageError(`--${badFlag} doesn't go with --dir; slot ranges take --from-slot and --to-slot`);
+    }
+    const format = values.format || 'ndjson';
+    if (!EXPORT_FORMATS.includes(format)) {
+        throw usageError(`--format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+    }
+    const tables = values.tables ? values.tables.split(',').map(t => t.trim()).filter(Boolean) : EXPORT_TABLES;
+    const unknownTable = tables.find(table => !EXPORT_TABLES.includes(table));
+    if (unknownTable || tables.length === 0) {
+        throw usageError(`--tables takes some of: ${EXPORT_TABLES.join(', ')}`);
+    }
+    let statuses = null;
+    if (values.status) {
+        statuses = [];
+        for (const name of values.status.split(',').map(s => s.trim()).filter(Boolean)) {
+            const matched = matchStatuses(name);
+            if (matched.length === 0) {
+                throw usageError(`--status "${name}" is not a validator status or status prefix (e.g. active, exited_slashed)`);
+            }
+            statuses.push(...matched.filter(status => !statuses.includes(status)));
+        }
+    }
+    const fromSlot = parseSlot(values, 'from-slot') || 0;
+    const toSlot = parseSlot(values, 'to-slot');
+    if (toSlot !== null && toSlot < fromSlot) {
+        throw usageError('--to-slot must not be below --from-slot');
+    }
+    const cohorts = cohortsFromEnv(env);
+    if (values.cohort && !cohorts.some(c => c.name === values.cohort)) {
+        throw usageError(`Unknown cohort "${values.cohort}". Known cohorts: ${cohorts.map(c => c.name).join(', ')}`);
+    }
+
+    // It only reads, so nothing is locked, and slot times come from the chain saved by earlier runs
+    return withStorage(context, async storage => {
+        let stopped = false;
+        onShutdown = () => {
+            stopped = true;
+        };
+        if (await storage.getMeta('last_processed_slot') === null) {
+            throw new Error('Nothing has been ingested yet. Run "dappnode-validators ingest" first.');
+        }
+        const chain = await loadExportChain(context, storage);
+        const ingesterConfig = ingesterConfigFromEnv(env);
+        const membership = createMembership({
+            membership: ingesterConfig.cohortMembership,
+            membershipDays: ingesterConfig.cohortMembershipDays,
+            slotsPerDay: Math.floor(24 * 60 * 60 / chain.secondsPerSlot)
+        });
+        const manifest = await exportDataset({
+            storage,
+            chain,
+            dir: values.dir,
+            format,
+            tables,
+            fromSlot,
+            toSlot,
+            cohort: values.cohort || null,
+            cohortNames: cohorts.map(c => c.name),
+            statuses,
+            membership: ingesterConfig.cohortMembership,
+            listCohortValidatorIndices: async (name, slot) => (await storage.listCohortValidators(name))
+                .filter(row => membership.isMember(row, slot))
+                .map(row => row.validator_index),
+            logger,
+            shouldStop: () => stopped,
+            pageSize: EXPORT_PAGE_SIZE
+        });
+        if (!manifest) return EXIT_CODES.INCOMPLETE;
+        logger.info(`Exported slots ${manifest.source.from_slot}-${manifest.source.to_slot} to ${values.dir}.`);
+        return EXIT_CODES.OK;
+    });
+}
+
+// Databases written before the chain was saved need the beacon node once, if one is configured
+async function loadExportChain({ env, logger }, storage) {
+    const network = networkFromEnv(env);
+    const stored = await loadStoredChain(storage, network);
+    if (stored) return stored;
+    if (!env.BEACON_ENDPOINTS && !env.ENDPOINT) {
+        throw configError('This database has no saved chain timing yet. Run any beacon command (e.g. ingest) once, or set ENDPOINT.');
+    }
+    const chain = await loadChain(createBeaconClient({ ...beaconConfigFromEnv(env), logger }), network);
+    await saveChain(storage, chain);
+    return chain;
+}
+
+async function runs(context) {
+    const { env, values } = context;
+    const limit = values.limit !== undefined ? Number(values.limit) : 20;
+    if (!Number.isInteger(limit) || limit <= 0) {
+        throw usageError('--limit must be a positive integer');
+    }
+    return withStorage(context, async storage => {
+        const recent = await listRuns(storage, { job: values.job, limit, lockTtlMs: runConfigFromEnv(env).lockTtlMs });
+        for (const run of recent) {
+            if (values.json) {
+                process.stdout.write(`${JSON.stringify(run)}\n`);
+                continue;
+            }
+            const slots = run.from_slot !== null ? `slots=[${run.from_slot}..${run.to_slot}]` : 'slots=-';
+            const counts = Object.entries(run.counts || {}).map(([k, v]) => `${k}=${v}`).join(' ');
+            const ended = run.ended_ts ? run.ended_ts.toISOString() : '-';
+            process.stdout.write(
+                `${run.started_ts.toISOString()}  ${ended}  ${run.job.padEnd(12)}${(run.command || '-').padEnd(16)}` +
+                `${run.state.padEnd(10)}${slots} ${counts}\n`
+            );
+            for (const error of run.errors || []) {
+                process.stdout.write(`    ${error}\n`);
+            }
+        }
+        return EXIT_CODES.OK;
+    });
+}
+
+async function main(argv) {
+    const [commandName, ...args] = argv;
+    if (!commandName || ['help', '--help', '-h'].includes(commandName)) {
+        printUsage();
+        return EXIT_CODES.OK;
+    }
+    const command = COMMANDS[commandName];
+    if (!command) {
+        throw usageError(`Unknown command "${commandName}". Expected one of: ${Object.keys(COMMANDS).join(', ')}`);
+    }
+
+    const configOptions = Object.fromEntries(Object.keys(CONFIG_FLAGS).map(flag => [flag, { type: 'string' }]));
+    const { values } = parseArgs({
+        args,
+        options: { ...configOptions, ...(command.options || {}), help: { type: 'boolean', short: 'h' } }
+    });
+    if (values.help) {
+        printUsage();
+        return EXIT_CODES.OK;
+    }
+
+    const env = { ...process.env };
+    for (const [flag, envName] of Object.entries(CONFIG_FLAGS)) {
+        if (values[flag] !== undefined) env[envName] = values[flag];
+    }
+    // Logs go to stderr, so the output of status and export can be piped
+    const logger = createLogger(env.LOG_LEVEL || 'info', { stderr: true });
+
+    const handleSignal = signal => {
+        logger.warn(`Received ${signal}. Graceful shutdown requested...`);
+        shutdownRequested = true;
+        onShutdown();
+    };
+    process.on('SIGINT', handleSignal);
+    process.on('SIGTERM', handleSignal);
+
+    const code = await command.run({ env, values, logger });
+    logger.info(`${commandName} finished with exit code ${code}.`);
+    return code;
+}
+
+// Driver errors can carry a numeric code (e.g. MongoServerError), so only string codes are matched
+function exitCodeFor(err) {
+    if (err.code === 'ERR_USAGE' || (typeof err.code === 'string' && err.code.startsWith('ERR_PARSE_ARGS'))) return EXIT_CODES.USAGE;
+    if (err.code === 'ERR_CONFIG') return EXIT_CODES.CONFIG;
+    if (err.code === 'ERR_LOCKED') return EXIT_CODES.LOCKED;
+    return EXIT_CODES.FAILURE;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(code => process.exit(code))
+        .catch(err => {
+            process.stderr.write(`Error: ${err.message}\n`);
+            process.exit(exitCodeFor(err));
+        });
+}
+
+module.exports = {
+    EXIT_CODES,
+    main
+};
@@ -0,0 +1,314 @@
+const fs = require('fs');
+const { fetchWithTimeout, redactUrls } = require('./http');
+const { configError } = require('./errors');
+
+const ALERT_RULES = ['validator_slashed', 'active_drop', 'ingestion_lag', 'failed_slots'];
+// These fire once per key, as what they report happened once; the others fire while their condition lasts
+const EVENT_RULES = ['validator_slashed'];
+const SINK_TYPES = ['webhook', 'discord', 'slack', 'telegram', 'file'];
+// Discord rejects messages longer than this
+const DISCORD_MAX_CONTENT = 2000;
+
+/**
+ * Reads the alert config from the environment. ALERT_SINKS takes a JSON array of
+ * sinks such as { "type": "discord", "url": "..." }; without it no alerts are
+ * evaluated at all.
+ */
+function alertsConfigFromEnv(env = process.env) {
+    let sinks = [];
+    if (env.ALERT_SINKS) {
+        try {
+            sinks = JSON.parse(env.ALERT_SINKS);
+        } catch (err) {
+            throw configError(`ALERT_SINKS is not valid JSON: ${err.message}`);
+        }
+    }
+    return {
+        sinks,
+        rules: env.ALERT_RULES ? env.ALERT_RULES.split(',').map(rule => rule.trim()).filter(Boolean) : ALERT_RULES,
+        cooldownMs: parseInt(env.ALERT_COOLDOWN_MS, 10) || 24 * 60 * 60 * 1000,
+        activeDropPct: parseFloat(env.ALERT_ACTIVE_DROP_PCT) || 5,
+        maxLagSlots: parseInt(env.ALERT_MAX_LAG_SLOTS, 10) || 300,
+        failedSlotsIncrease: parseInt(env.ALERT_FAILED_SLOTS_INCREASE, 10) || 10,
+        eventDays: parseInt(env.ALERT_EVENT_DAYS, 10) || 7
+    };
+}
+
+/**
+ * Returns { name, send(alert) } for one sink config. Webhooks get the alert as
+ * JSON; Discord, Slack and Telegram get a message in their own format; a file
+ * sink appends the alert to `path` as one NDJSON line. Names leave out URLs, as
+ * webhook URLs and bot tokens are secrets.
+ */
+function createSink(config, { timeoutMs }) {
+    if (!config || !SINK_TYPES.includes(config.type)) {
+        throw configError(`Unknown alert sink type "${config && config.type}". Expected one of: ${SINK_TYPES.join(', ')}`);
+    }
+    if (config.type === 'file') {
+        if (!config.path) throw configError('A file alert sink needs a "path"');
+        return {
+            name: `file ${config.path}`,
+            send: alert => fs.promises.appendFile(config.path, `${JSON.stringify(alert)}\n`)
+        };
+    }
+
+    let url = config.url;
+    let toPayload;
+    switch (config.type) {
+        case 'webhook':
+            toPayload = alert => alert;
+            break;
+        case 'discord':
+            toPayload = alert => ({ content: formatText(alert, '**').slice(0, DISCORD_MAX_CONTENT) });
+            break;
+        case 'slack':
+            toPayload = alert => ({ text: formatText(alert, '*') });
+            break;
+        case 'telegram':
+            if (!config.botToken || !config.chatId) throw configError('A telegram alert sink needs "botToken" and "chatId"');
+            url = `${(config.url || 'https://api.telegram.org').replace(/\/+$/, '')}/bot${config.botToken}/sendMessage`;
+            toPayload = alert => ({ chat_id: config.chatId, text: formatText(alert, '') });
+            break;
+    }
+    if (!url) throw configError(`A ${config.type} alert sink needs a "url"`);
+
+    return {
+        name: `${config.type} ${new URL(url).host}`,
+        async send(alert) {
+            const resp = await fetchWithTimeout(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...(config.headers || {}) },
+                body: JSON.stringify(toPayload(alert)),
+                timeoutMs
+            });
+            if (!resp.ok) throw new Error(`HTTP status ${resp.status}`);
+        }
+    };
+}
+
+// `bold` wraps the title in the chat's markup for bold text
+function formatText(alert, bold) {
+    return `${bold}[${alert.severity}] ${alert.title}${bold}\n${alert.message}`;
+}
+
+/**
+ * Evaluates alert rules against what is stored and sends the alerts that fire
+ * to every sink:
+ *
+ *   validator_slashed  a cohort validator's slashing was recorded in the last eventDays days
+ *   active_drop        a cohort's active validators fell more than activeDropPct percent
+ *                      since the stats_history entry it was last compared with (only with `stats`)
+ *   ingestion_lag      last_processed_slot is more than maxLagSlots behind the head
+ *   failed_slots       failed_slots grew by failedSlotsIncrease or more since the last evaluation
+ *
+ * Every alert has a key (e.g. "active_drop:dappnode"), and alert_states records
+ * when each key was last sent. A slashing is sent once. Other alerts are sent
+ * again after cooldownMs while their condition lasts, and as soon as it returns
+ * once it has cleared. A rule that can't be evaluated (e.g. the beacon node is
+ * down) is logged and skipped, and an alert no sink took is tried again on the
+ * next evaluation. active_drop and failed_slots only move the baseline they
+ * compare with once their alert was sent, so that retry still sees the drop.
+ */
+function createAlerter({
+    storage,
+    beacon,
+    network,
+    logger,
+    metrics = null,
+    sinks,
+    rules = ALERT_RULES,
+    cooldownMs = 24 * 60 * 60 * 1000,
+    activeDropPct = 5,
+    maxLagSlots = 300,
+    failedSlotsIncrease = 10,
+    eventDays = 7,
+    timeoutMs = 10 * 1000
+}) {
+    const unknown = rules.find(rule => !ALERT_RULES.includes(rule));
+    if (unknown) {
+        throw configError(`Unknown ALERT_RULES rule "${unknown}". Expected some of: ${ALERT_RULES.join(', ')}`);
+    }
+    const senders = sinks.map(config => createSink(config, { timeoutMs }));
+
+    const checks = {
+        async validator_slashed() {
+            const since = new Date(Date.now() - eventDays * 24 * 60 * 60 * 1000);
+            const events = (await storage.listValidatorEvents({ since })).filter(e => e.type === 'slashed');
+            const alerts = [];
+            for (const e of events) {
+                const cohorts = (await storage.listValidatorCohorts(e.validator_index)).map(row => row.cohort);
+                alerts.push({
+                    rule: 'validator_slashed',
+                    key: `validator_slashed:${e.validator_index}`,
+                    severity: 'critical',
+                    title: `Validator ${e.validator_index} was slashed`,
+                    message: `Validator ${e.validator_index} (${cohorts.join(', ') || 'no cohort'}) was found slashed at ${e.ts.toISOString()}` +
+                        `${e.slot !== null ? `, slot ${e.slot}` : ''}.`,
+                    details: { validator_index: e.validator_index, cohorts, slot: e.slot, recorded_ts: e.ts }
+                });
+            }
+            return alerts;
+        },
+
+        async active_drop(stats) {
+            if (!stats) return null;
+            const alerts = [];
+            for (const entry of stats) {
+                const baselineKey = `alerts_active_validators:${entry.cohort}`;
+                const stored = await storage.getMeta(baselineKey);
+                // Without a baseline yet, compare with the previous entry; the one just stored comes first
+                const previous = stored !== null
+                    ? JSON.parse(stored)
+                    : (await storage.listStats({ cohort: entry.cohort, limit: 2 }))[1];
+                const setBaseline = () => storage.setMeta(
+                    baselineKey,
+                    JSON.stringify({ slot: entry.slot, active_validators: entry.active_validators })
+                );
+                const dropPct = previous && previous.active_validators > 0
+                    ? (previous.active_validators - entry.active_validators) / previous.active_validators * 100
+                    : 0;
+                if (dropPct <= activeDropPct) {
+                    await setBaseline();
+                    continue;
+                }
+                alerts.push({
+                    rule: 'active_drop',
+                    key: `active_drop:${entry.cohort}`,
+                    severity: 'warning',
+                    title: `${entry.cohort} active validators fell ${dropPct.toFixed(1)}%`,
+                    message: `${entry.cohort} has ${entry.active_validators} active validators at slot ${entry.slot}, ` +
+                        `down from ${previous.active_validators} at slot ${previous.slot} (threshold ${activeDropPct}%).`,
+                    details: {
+                        cohort: entry.cohort,
+                        slot: entry.slot,
+                        active_validators: entry.active_validators,
+                        previous_slot: previous.slot,
+                        previous_active_validators: previous.active_validators,
+                        drop_pct: dropPct
+                    },
+                    onSent: setBaseline
+                });
+            }
+            return alerts;
+        },
+
+        async ingestion_lag() {
+            const lastProcessed = await storage.getMeta('last_processed_slot');
+            if (lastProcessed === null) return [];
+            const headSlot = await beacon.getHeadSlot();
+            const lagSlots = headSlot - parseInt(lastProcessed, 10);
+            if (lagSlots <= maxLagSlots) return [];
+            return [{
+                rule: 'ingestion_lag',
+                key: 'ingestion_lag',
+                severity: 'warning',
+                title: `Ingestion is ${lagSlots} slots behind the head`,
+                message: `last_processed_slot is ${lastProcessed}, the head is at slot ${headSlot} (threshold ${maxLagSlots} slots).`,
+                details: { head_slot: headSlot, last_processed_slot: parseInt(lastProcessed, 10), lag_slots: lagSlots }
+            }];
+        },
+
+        async failed_slots() {
+            const failedSlots = await storage.countFailedSlots();
+            const previous = await storage.getMeta('alerts_failed_slots');
+            const setBaseline = () => storage.setMeta('alerts_failed_slots', failedSlots.toString());
+            const increase = previous !== null ? failedSlots - parseInt(previous, 10) : 0;
+            if (increase < failedSlotsIncrease) {
+                await setBaseline();
+                return [];
+            }
+            return [{
+                rule: 'failed_slots',
+                key: 'failed_slots',
+                severity: 'warning',
+                title: `${increase} new failed slots`,
+                message: `failed_slots grew from ${previous} to ${failedSlots} since the last check (threshold ${failedSlotsIncrease}). ` +
+                    'Run "dappnode-validators repair" once the beacon node is healthy.',
+                details: { failed_slots: failedSlots, previous_failed_slots: parseInt(previous, 10), increase },
+                onSent: setBaseline
+            }];
+        }
+    };
+
+    /**
+     * Evaluates every rule, passing `stats` (the entries runFinalStep just stored)
+     * to the rules that need them, and sends the alerts due. Returns those sent.
+     */
+    async function evaluate({ stats = null } = {}) {
+        const evaluated = [];
+        const firing = [];
+        for (const rule of rules) {
+            try {
+                const alerts = await checks[rule](stats);
+                if (alerts === null) continue;
+                evaluated.push(rule);
+                firing.push(...alerts);
+            } catch (err) {
+                logger.warn(`Alert rule ${rule} could not be evaluated: ${err.message}`);
+            }
+        }
+
+        const now = new Date();
+        const states = await storage.listAlertStates(evaluated);
+        const stateByKey = new Map(states.map(state => [state.key, state]));
+        const firingKeys = new Set(firing.map(alert => alert.key));
+        // A condition that cleared re-arms its alert; a slashing is forgotten once it is out of the window
+        const eventWindowStart = now.getTime() - eventDays * 24 * 60 * 60 * 1000;
+        await storage.deleteAlertStates(states
+            .filter(state => (EVENT_RULES.includes(state.rule)
+                ? state.last_sent_ts.getTime() < eventWindowStart
+                : !firingKeys.has(state.key)))
+            .map(state => state.key));
+
+        const sent = [];
+        // onSent is how a check learns its alert went out; it is not part of the alert
+        for (const { onSent, ...alert } of firing) {
+            const state = stateByKey.get(alert.key);
+            if (state && (EVENT_RULES.includes(alert.rule) || now - state.last_sent_ts < cooldownMs)) {
+                logger.debug(`Alert ${alert.key} was already sent at ${state.last_sent_ts.toISOString()}`);
+                if (metrics) metrics.alerts.inc({ rule: alert.rule, outcome: 'suppressed' });
+                continue;
+            }
+            const full = { ...alert, network, ts: now };
+            if (!await deliver(full)) {
+                if (metrics) metrics.alerts.inc({ rule: alert.rule, outcome: 'failed' });
+                continue;
+            }
+            await storage.upsertAlertStates([{
+                key: alert.key,
+                rule: alert.rule,
+                first_fired_ts: state ? state.first_fired_ts : now,
+                last_sent_ts: now,
+                sent_count: (state ? state.sent_count : 0) + 1
+            }]);
+            if (onSent) await onSent();
+            if (metrics) metrics.alerts.inc({ rule: alert.rule, outcome: 'sent' });
+            logger.warn(`Alert sent: [${alert.severity}] ${alert.title}`);
+            sent.push(full);
+        }
+        return sent;
+    }
+
+    // True when at least one sink took the alert
+    async function deliver(alert) {
+        let delivered = false;
+        for (const sink of senders) {
+            try {
+                await sink.send(alert);
+                delivered = true;
+            } catch (err) {
+                // fetch errors name the URL, and webhook URLs and bot tokens are secrets
+                logger.error(`Could not send alert ${alert.key} to ${sink.name}: ${redactUrls(err.message, { keepPath: false })}`);
+            }
+        }
+        return delivered;
+    }
+
+    return { evaluate };
+}
+
+module.exports = {
+    ALERT_RULES,
+    alertsConfigFromEnv,
+    createAlerter
+};
@@ -0,0 +1,467 @@
+const { sleep, backoffDelay, parseRetryAfter, redactUrls, redactError, fetchWithTimeout, createAdaptiveLimiter } = require('./http');
+const { configError } = require('./errors');
+
+const VALIDATOR_GET_IDS_LIMIT = 64;
+const POST_UNSUPPORTED_STATUSES = [404, 405, 501];
+
+/**
+ * Reads the beacon client config from the environment. BEACON_ENDPOINTS takes a
+ * JSON array of URLs or { url, headers, query } objects, in order of preference.
+ * Without it the single ENDPOINT is used, with KEY sent in the KEY_HEADER header
+ * (x-api-key by default).
+ */
+function beaconConfigFromEnv(env = process.env) {
+    let endpoints;
+    if (env.BEACON_ENDPOINTS) {
+        endpoints = JSON.parse(env.BEACON_ENDPOINTS).map(e =>
+            typeof e === 'string'
+                ? { url: e, headers: {}, query: {} }
+                : { url: e.url, headers: e.headers || {}, query: e.query || {} }
+        );
+    } else if (env.ENDPOINT) {
+        const headers = env.KEY ? { [env.KEY_HEADER || 'x-api-key']: env.KEY } : {};
+        endpoints = [{ url: env.ENDPOINT, headers, query: {} }];
+    } else {
+        throw configError('No beacon endpoint configured. Set BEACON_ENDPOINTS or ENDPOINT.');
+    }
+
+    const maxConcurrency = parseInt(env.CONCURRENCY_LIMIT, 10) || 250;
+    return {
+        endpoints,
+        maxHeadLag: parseInt(env.MAX_HEAD_LAG, 10) || 8,
+        healthCheckIntervalMs: parseInt(env.HEALTH_CHECK_INTERVAL_MS, 10) || 5 * 60 * 1000,
+        requestTimeoutMs: parseInt(env.REQUEST_TIMEOUT_MS, 10) || 30 * 1000,
+        retryLimit: parseInt(env.RETRY_LIMIT, 10) || 3,
+        retryBaseDelayMs: parseInt(env.RETRY_BASE_DELAY_MS, 10) || 500,
+        retryMaxDelayMs: parseInt(env.RETRY_MAX_DELAY_MS, 10) || 30 * 1000,
+        maxConcurrency,
+        minConcurrency: parseInt(env.BEACON_MIN_CONCURRENCY, 10) || 4,
+        initialConcurrency: parseInt(env.BEACON_INITIAL_CONCURRENCY, 10) || Math.min(32, maxConcurrency)
+    };
+}
+
+/**
+ * Beacon API client over one or more endpoints. Requests go to the active
+ * endpoint; it is picked by health-checking /eth/v1/node/syncing and is swapped
+ * for the next healthy one when it errors (network error, timeout or 5xx) or falls
+ * more than maxHeadLag slots behind the best endpoint.
+ *
+ * Every request is timed out after requestTimeoutMs and retried up to retryLimit
+ * attempts in total, with jittered exponential backoff or the server's Retry-After.
+ * At most `concurrency` requests are in flight; that limit starts at
+ * initialConcurrency, halves when errors pile up and creeps back up to
+ * maxConcurrency while requests succeed. When `metrics` (lib/metrics.js) is given,
+ * every request's latency and outcome, every retry and the limit are recorded there.
+ */
+function createBeaconClient({
+    endpoints,
+    logger,
+    metrics = null,
+    maxHeadLag = 8,
+    healthCheckIntervalMs = 5 * 60 * 1000,
+    requestTimeoutMs = 30 * 1000,
+    retryLimit = 3,
+    retryBaseDelayMs = 500,
+    retryMaxDelayMs = 30 * 1000,
+    maxConcurrency = 250,
+    minConcurrency = 4,
+    initialConcurrency = 32
+}) {
+    if (!endpoints || endpoints.length === 0) {
+        throw new Error('createBeaconClient: at least one endpoint is required');
+    }
+
+    // name is only the host, so credentials in a URL or its query never reach the logs
+    const nodes = endpoints.map(e => ({
+        url: e.url.replace(/\/+$/, ''),
+        headers: e.headers || {},
+        query: new URLSearchParams(e.query || {}).toString(),
+        name: new URL(e.url).host,
+        healthy: true
+    }));
+    let active = null;
+    let lastHealthCheck = 0;
+    let healthCheckPromise = null;
+    // Set once a node rejects POST /states/{state_id}/validators, so we stop trying it
+    let validatorPostUnsupported = false;
+
+    const limiter = createAdaptiveLimiter({
+        initial: initialConcurrency,
+        min: Math.min(minConcurrency, maxConcurrency),
+        max: maxConcurrency,
+        onChange: (limit, previous) => {
+            // Ramping up happens one step at a time, so only backing off is worth a warning
+            if (limit < previous) {
+                logger.warn(`Beacon requests are failing; lowering concurrency from ${previous} to ${limit}`);
+            } else {
+                logger.debug(`Raising beacon request concurrency to ${limit}`);
+            }
+            if (metrics) metrics.beaconConcurrencyLimit.set(limit);
+        }
+    });
+    if (metrics) metrics.beaconConcurrencyLimit.set(limiter.limit);
+
+    // Full request URL for `path` on `node`, with the endpoint's query parameters added
+    function nodeUrl(node, path) {
+        if (!node.query) return `${node.url}${path}`;
+        return `${node.url}${path}${path.includes('?') ? '&' : '?'}${node.query}`;
+    }
+
+    async function fetchNodeSyncing(node) {
+        try {
+            const resp = await fetchWithTimeout(nodeUrl(node, '/eth/v1/node/syncing'), {
+                headers: node.headers,
+                timeoutMs: requestTimeoutMs
+            });
+            if (!resp.ok) throw new Error(`HTTP status ${resp.status}`);
+            const json = await resp.json();
+            return {
+                headSlot: parseInt(json.data.head_slot, 10),
+                isSyncing: json.data.is_syncing === true,
+                syncDistance: parseInt(json.data.sync_distance, 10) || 0
+            };
+        } catch (err) {
+            logger.warn(`Beacon endpoint ${node.name} health check failed: ${redactUrls(err.message)}`);
+            return null;
+        }
+    }
+
+    async function runHealthCheck() {
+        const results = await Promise.all(nodes.map(fetchNodeSyncing));
+        const bestHead = Math.max(...results.map(r => (r ? r.headSlot : -1)));
+
+        nodes.forEach((node, i) => {
+            const r = results[i];
+            node.healthy = !!r &&
+                !(r.isSyncing && r.syncDistance > maxHeadLag) &&
+                bestHead - r.headSlot <= maxHeadLag;
+            if (r && !node.healthy) {
+                logger.warn(
+                    `Beacon endpoint ${node.name} is behind: head_slot=${r.headSlot}, best=${bestHead}, is_syncing=${r.isSyncing}`
+                );
+            }
+        });
+        lastHealthCheck = Date.now();
+
+        const next = nodes.find(n => n.healthy);
+        if (!next) {
+            throw new Error('No healthy beacon endpoint available');
+        }
+        if (next !== active) {
+            logger.info(`Using beacon endpoint ${next.name}`);
+            active = next;
+        }
+    }
+
+    async function ensureActive() {
+        if (active && Date.now() - lastHealthCheck < healthCheckIntervalMs) return;
+        // Share one health check between all concurrent callers
+        if (!healthCheckPromise) {
+            healthCheckPromise = runHealthCheck().finally(() => {
+                healthCheckPromise = null;
+            });
+        }
+        await healthCheckPromise;
+    }
+
+    function failOver(failedNode, err) {
+        failedNode.healthy = false;
+        // Another request may already have moved on from this node
+        if (active !== failedNode) return;
+        const next = nodes.find(n => n.healthy);
+        if (next) {
+            logger.warn(`Beacon endpoint ${failedNode.name} failed (${err.message}). Failing over to ${next.name}`);
+            active = next;
+        } else {
+            // Nothing left to switch to; re-check all endpoints on the next request
+            lastHealthCheck = 0;
+        }
+    }
+
+    // One attempt against `node`; returns { resp } or { error }, an AbortError is rethrown
+    async function attempt(node, path, options, stream) {
+        const startTime = Date.now();
+        try {
+            const resp = await fetchWithTimeout(nodeUrl(node, path), {
+                ...options,
+                headers: { ...node.headers, ...(options.headers || {}) },
+                timeoutMs: requestTimeoutMs,
+                stream
+            });
+            if (metrics) metrics.observeBeaconRequest(path, resp.status, (Date.now() - startTime) / 1000);
+            return { resp };
+        } catch (err) {
+            // An aborted request says nothing about the node's health
+            if (err.name === 'AbortError') throw err;
+            if (metrics) metrics.observeBeaconRequest(path, 'network', (Date.now() - startTime) / 1000);
+            // The message names the URL, query parameters and all
+            return { error: redactError(err) };
+        }
+    }
+
+    /**
+     * Sends a request to the active endpoint and returns the response. Successes
+     * and 4xx other than 429 are returned as they are. 429s are retried on the same
+     * endpoint; network errors, timeouts and 5xx (except 501, a route the node
+     * doesn't implement) fail over to the next healthy endpoint and are retried
+     * there. Once retryLimit attempts are used up, the last response is returned
+     * or the last error thrown.
+     *
+     * Responses are read in full before returning, so only status, ok, headers,
+     * text() and json() are available. Pass `stream: true` for a raw Response
+     * whose body is read incrementally; those bypass the concurrency limit, as an
+     * open stream would hold a slot for its whole life.
+     */
+    async function request(path, { stream = false, ...options } = {}) {
+        let resp = null;
+        let error = null;
+        for (let attemptNo = 1; attemptNo <= retryLimit; attemptNo++) {
+            let node = null;
+            try {
+                await ensureActive();
+                node = active;
+                ({ resp = null, error = null } = stream
+                    ? await attempt(node, path, options, true)
+                    : await limiter.run(() => attempt(node, path, options, false)));
+            } catch (err) {
+                // No healthy endpoint right now; back off like any other failure
+                if (err.name === 'AbortError' || attemptNo === retryLimit) throw err;
+                resp = null;
+                error = err;
+            }
+
+            const throttled = resp !== null && resp.status === 429;
+            const failed = error !== null || (resp.status >= 500 && resp.status !== 501);
+            if (node) limiter.record(throttled || failed);
+            if (!throttled && !failed) return resp;
+            if (attemptNo === retryLimit) break;
+
+            const reason = error ? error.message : `HTTP status ${resp.status}`;
+            const retryAfterMs = resp ? parseRetryAfter(resp.headers.get('retry-after')) : null;
+            let delayMs = retryAfterMs !== null ? retryAfterMs : backoffDelay(attemptNo, retryBaseDelayMs, retryMaxDelayMs);
+            if (node && failed) {
+                failOver(node, new Error(reason));
+                // A different endpoint has no reason to make us wait
+                if (active !== node) delayMs = 0;
+            }
+            if (metrics) metrics.observeBeaconRetry(path);
+            logger.warn(
+                `${path}${node ? ` on ${node.name}` : ''} failed (${reason}), attempt ${attemptNo}/${retryLimit}. Retrying in ${delayMs} ms`
+            );
+            await sleep(delayMs);
+        }
+
+        if (resp) return resp;
+        throw error;
+    }
+
+    async function getHeadSlot() {
+        const header = await getBlockHeader('head');
+        if (!header) {
+            throw new Error('No data from /eth/v1/beacon/headers/head');
+        }
+        return parseInt(header.header.message.slot, 10);
+    }
+
+    // Returns null when there is no block for blockId (e.g. an empty slot)
+    async function getBlockHeader(blockId) {
+        const resp = await request(`/eth/v1/beacon/headers/${blockId}`);
+        if (resp.status === 404) {
+            return null;
+        }
+        if (!resp.ok) {
+            throw new Error(`HTTP status ${resp.status} for header ${blockId}`);
+        }
+        const json = await resp.json();
+        return json.data;
+    }
+
+    /**
+     * Subscribes to /eth/v1/events and calls onEvent({ event, data }) for every
+     * server-sent event. Resolves when the node closes the stream; rejects when the
+     * connection drops or `signal` aborts it.
+     */
+    async function subscribeEvents(topics, onEvent, signal) {
+        const resp = await request(`/eth/v1/events?topics=${topics.join(',')}`, {
+            headers: { Accept: 'text/event-stream' },
+            signal,
+            stream: true
+        });
+        if (!resp.ok) {
+            throw new Error(`HTTP status ${resp.status} for event stream`);
+        }
+
+        const decoder = new TextDecoder();
+        let buffer = '';
+        for await (const chunk of resp.body) {
+            buffer += decoder.decode(chunk, { stream: true });
+            let match;
+            // Events are separated by a blank line
+            while ((match = /\r?\n\r?\n/.exec(buffer)) !== null) {
+                const rawEvent = buffer.slice(0, match.index);
+                buffer = buffer.slice(match.index + match[0].length);
+                const parsed = parseServerSentEvent(rawEvent);
+                if (parsed) onEvent(parsed);
+            }
+        }
+    }
+
+    async function getGenesis() {
+        const resp = await request('/eth/v1/beacon/genesis');
+        if (!resp.ok) {
+            throw new Error(`HTTP status ${resp.status} for genesis`);
+        }
+        const json = await resp.json();
+        return json.data;
+    }
+
+    // Chain constants such as SECONDS_PER_SLOT and SLOTS_PER_EPOCH, as strings
+    async function getSpec() {
+        const resp = await request('/eth/v1/config/spec');
+        if (!resp.ok) {
+            throw new Error(`HTTP status ${resp.status} for spec`);
+        }
+        const json = await resp.json();
+        return json.data;
+    }
+
+    async function getProposerDuties(epoch) {
+        const resp = await request(`/eth/v1/validator/duties/proposer/${epoch}`);
+        if (!resp.ok) {
+            throw new Error(`HTTP status ${resp.status} for proposer duties at epoch ${epoch}`);
+        }
+        const json = await resp.json();
+        return json.data || [];
+    }
+
+    // Every active validator sits in exactly one attestation committee per epoch
+    async function getActiveValidatorCount(stateId = 'head') {
+        const resp = await request(`/eth/v1/beacon/states/${stateId}/committees`);
+        if (!resp.ok) {
+            throw new Error(`HTTP status ${resp.status} for committees at state ${stateId}`);
+        }
+        const json = await resp.json();
+        return (json.data || []).reduce((sum, committee) => sum + committee.validators.length, 0);
+    }
+
+    /**
+     * Attestation rewards of `validatorIndices` for `epoch`, as { ideal_rewards,
+     * total_rewards } (amounts in gwei, as strings). Missed or late target and
+     * source votes show up as negative rewards, a missed head vote as zero.
+     */
+    async function getAttestationRewards(epoch, validatorIndices) {
+        const resp = await request(`/eth/v1/beacon/rewards/attestations/${epoch}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(validatorIndices.map(String))
+        });
+        if (!resp.ok) {
+            throw new Error(`HTTP status ${resp.status} for attestation rewards at epoch ${epoch}`);
+        }
+        const json = await resp.json();
+        return json.data;
+    }
+
+    // Sync committee rewards of every committee member for block blockId; null for an empty slot
+    async function getSyncCommitteeRewards(blockId) {
+        const resp = await request(`/eth/v1/beacon/rewards/sync_committee/${blockId}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: '[]'
+        });
+        if (resp.status === 404) {
+            return null;
+        }
+        if (!resp.ok) {
+            throw new Error(`HTTP status ${resp.status} for sync committee rewards at ${blockId}`);
+        }
+        const json = await resp.json();
+        return json.data || [];
+    }
+
+    // Validator indices of the sync committee at stateId; null before Altair, which had none (HTTP 400)
+    async function getSyncCommittee(stateId = 'head') {
+        const resp = await request(`/eth/v1/beacon/states/${stateId}/sync_committees`);
+        if (resp.status === 400) {
+            return null;
+        }
+        if (!resp.ok) {
+            throw new Error(`HTTP status ${resp.status} for sync committee at state ${stateId}`);
+        }
+        const json = await resp.json();
+        return json.data.validators.map(v => parseInt(v, 10));
+    }
+
+    /**
+     * Fetches many validators at once through POST /states/{state_id}/validators,
+     * falling back to GET ?id= for nodes that don't support the POST form.
+     */
+    async function getValidators(validatorIndices, stateId = 'head') {
+        const path = `/eth/v1/beacon/states/${stateId}/validators`;
+
+        if (!validatorPostUnsupported) {
+            const resp = await request(path, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ids: validatorIndices.map(String) })
+            });
+            if (POST_UNSUPPORTED_STATUSES.includes(resp.status)) {
+                logger.warn(`POST ${path} not supported (HTTP ${resp.status}). Falling back to GET ?id=`);
+                validatorPostUnsupported = true;
+            } else if (!resp.ok) {
+                throw new Error(`HTTP status ${resp.status} for ${validatorIndices.length} validators`);
+            } else {
+                const json = await resp.json();
+                return json.data || [];
+            }
+        }
+
+        // GET fallback; nodes cap the number of ids per query string
+        const entries = [];
+        for (let i = 0; i < validatorIndices.length; i += VALIDATOR_GET_IDS_LIMIT) {
+            const ids = validatorIndices.slice(i, i + VALIDATOR_GET_IDS_LIMIT).join(',');
+            const resp = await request(`${path}?id=${ids}`);
+            if (!resp.ok) {
+                throw new Error(`HTTP status ${resp.status} for ids=${ids}`);
+            }
+            const json = await resp.json();
+            entries.push(...(json.data || []));
+        }
+        return entries;
+    }
+
+    return {
+        request,
+        getHeadSlot,
+        getBlockHeader,
+        getGenesis,
+        getSpec,
+        getValidators,
+        getActiveValidatorCount,
+        getProposerDuties,
+        getAttestationRewards,
+        getSyncCommitteeRewards,
+        getSyncCommittee,
+        subscribeEvents
+    };
+}
+
+function parseServerSentEvent(rawEvent) {
+    let event = 'message';
+    const dataLines = [];
+    for (const line of rawEvent.split(/\r?\n/)) {
+        if (line.startsWith(':')) continue; // comment / keep-alive
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+        if (field === 'event') event = value;
+        if (field === 'data') dataLines.push(value);
+    }
+    if (dataLines.length === 0) return null;
+    return { event, data: JSON.parse(dataLines.join('\n')) };
+}
+
+module.exports = {
+    beaconConfigFromEnv,
+    createBeaconClient
+};
@@ -0,0 +1,115 @@
+const { configError } = require('./errors');
+
+/**
+ * Supported networks. A beacon node is identified by its genesis validators
+ * root, which (unlike the chain id or CONFIG_NAME) every client reports the same way.
+ */
+const NETWORKS = {
+    mainnet: { genesisValidatorsRoot: '0x4b363db94e286120d76eb905340fdd4e54bfe9f06bf33ff6cf5ad27f511bfe95' },
+    gnosis: { genesisValidatorsRoot: '0xf5dcb5564e829aab27264b9becd5dfaa017085611224cb3036f573368dbb9d47' },
+    holesky: { genesisValidatorsRoot: '0x9143aa7c615a7f7115e2b6aac319c03529df8242ae705fba9df39b79c59fa8b1' },
+    hoodi: { genesisValidatorsRoot: '0x212f13fc4df078b6cb7db228f1c8307566dcecf900867401a92023d094cc8d70' }
+};
+
+// Before databases recorded their network, mainnet was the only one supported
+const LEGACY_NETWORK = 'mainnet';
+
+function networkFromEnv(env = process.env) {
+    const network = (env.NETWORK || 'mainnet').toLowerCase();
+    if (!NETWORKS[network]) {
+        throw configError(`Unknown NETWORK "${network}". Expected one of: ${Object.keys(NETWORKS).join(', ')}`);
+    }
+    return network;
+}
+
+function networkByGenesisRoot(root) {
+    return Object.keys(NETWORKS).find(name => NETWORKS[name].genesisValidatorsRoot === root) || null;
+}
+
+/**
+ * Slot and epoch math for one chain. Slot times are derived from genesis, so
+ * they hold for chains with other slot durations (e.g. Gnosis: 5 s, 16 slots).
+ */
+function createChain({ network, genesisTime, secondsPerSlot, slotsPerEpoch }) {
+    return {
+        network,
+        genesisTime,
+        secondsPerSlot,
+        slotsPerEpoch,
+        slotToEpoch: slot => Math.floor(slot / slotsPerEpoch),
+        slotTime: slot => new Date((genesisTime + slot * secondsPerSlot) * 1000)
+    };
+}
+
+/**
+ * Reads /eth/v1/beacon/genesis and /eth/v1/config/spec from the node and returns
+ * its chain (see createChain). Throws when the node is on a different network
+ * than `network`, so a misconfigured endpoint can't mix chains in one database.
+ */
+async function loadChain(beacon, network) {
+    const [genesis, spec] = await Promise.all([beacon.getGenesis(), beacon.getSpec()]);
+    const nodeNetwork = networkByGenesisRoot(genesis.genesis_validators_root);
+    if (nodeNetwork !== network) {
+        throw configError(
+            `NETWORK is ${network}, but the beacon node is on ${nodeNetwork || `an unknown network (${spec.CONFIG_NAME || 'no CONFIG_NAME'})`} ` +
+            `with genesis_validators_root ${genesis.genesis_validators_root}`
+        );
+    }
+    return createChain({
+        network,
+        genesisTime: parseInt(genesis.genesis_time, 10),
+        secondsPerSlot: parseInt(spec.SECONDS_PER_SLOT, 10),
+        slotsPerEpoch: parseInt(spec.SLOTS_PER_EPOCH, 10)
+    });
+}
+
+/**
+ * Records the chain's slot timing in the `chain` meta key, so commands that only
+ * read the database (e.g. export) can turn slots into times without a beacon node.
+ */
+async function saveChain(storage, chain) {
+    const value = JSON.stringify({
+        genesis_time: chain.genesisTime,
+        seconds_per_slot: chain.secondsPerSlot,
+        slots_per_epoch: chain.slotsPerEpoch
+    });
+    if (await storage.getMeta('chain') !== value) {
+        await storage.setMeta('chain', value);
+    }
+}
+
+// The chain saved by saveChain, or null when no run has saved it yet
+async function loadStoredChain(storage, network) {
+    const stored = await storage.getMeta('chain');
+    if (stored === null) return null;
+    const { genesis_time: genesisTime, seconds_per_slot: secondsPerSlot, slots_per_epoch: slotsPerEpoch } = JSON.parse(stored);
+    return createChain({ network, genesisTime, secondsPerSlot, slotsPerEpoch });
+}
+
+/**
+ * Every database holds one network, recorded in the `network` meta key when the
+ * first run writes to it. Databases from before that are taken to be mainnet.
+ */
+async function checkStorageNetwork(storage, network) {
+    const stored = await storage.getMeta('network');
+    if (stored === network) return;
+    if (stored === null) {
+        const isFresh = await storage.getMeta('last_processed_slot') === null;
+        if (isFresh || network === LEGACY_NETWORK) {
+            await storage.setMeta('network', network);
+            return;
+        }
+    }
+    throw configError(
+        `This database holds ${stored || LEGACY_NETWORK} data, but NETWORK is ${network}. ` +
+        'Use a separate database (MONGO_DBNAME, SQLITE_PATH or POSTGRES_URL) per network.'
+    );
+}
+
+module.exports = {
+    networkFromEnv,
+    loadChain,
+    saveChain,
+    loadStoredChain,
+    checkStorageNetwork
+};
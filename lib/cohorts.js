@@ -0,0 +1,72 @@
+const fs = require('fs');
+const { createGraffitiMatcher } = require('./graffiti');
+const { configError } = require('./errors');
+
+const DEFAULT_COHORTS_FILE = 'cohorts.json';
+const RULE_KEYS = ['contains', 'prefix', 'regex'];
+
+/**
+ * Reads the cohort definitions. COHORTS_FILE points at a JSON file of the form
+ * { "cohorts": [{ "name", "contains", "prefix", "regex" }] } (see cohorts.json).
+ * Without it, a GRAFITI_SEARCH env var defines a single cohort matching that
+ * substring, as before cohorts existed; otherwise ./cohorts.json is used.
+ */
+function cohortsFromEnv(env = process.env) {
+    if (!env.COHORTS_FILE && env.GRAFITI_SEARCH) {
+        return normalizeCohorts([{ name: env.GRAFITI_SEARCH, contains: [env.GRAFITI_SEARCH] }]);
+    }
+    const file = env.COHORTS_FILE || DEFAULT_COHORTS_FILE;
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        throw configError(`Could not read cohorts from ${file}: ${err.message}`);
+    }
+    return normalizeCohorts(config.cohorts);
+}
+
+// Validates the definitions and fills in every rule, so two equal configs serialize identically
+function normalizeCohorts(cohorts) {
+    if (!Array.isArray(cohorts) || cohorts.length === 0) {
+        throw configError('The cohorts config needs a non-empty "cohorts" array');
+    }
+    const names = new Set();
+    return cohorts.map(c => {
+        if (!c.name || typeof c.name !== 'string') {
+            throw configError('Every cohort needs a "name"');
+        }
+        if (names.has(c.name)) {
+            throw configError(`Cohort "${c.name}" is defined twice`);
+        }
+        names.add(c.name);
+        if (!RULE_KEYS.some(k => c[k] && c[k].length > 0)) {
+            throw configError(`Cohort "${c.name}" has no match rules (${RULE_KEYS.join(', ')})`);
+        }
+        const cohort = {
+            name: c.name,
+            contains: c.contains || [],
+            prefix: c.prefix || [],
+            regex: c.regex || null
+        };
+        try {
+            createGraffitiMatcher(cohort);
+        } catch (err) {
+            throw configError(`Cohort "${c.name}": ${err.message}`);
+        }
+        return cohort;
+    });
+}
+
+/**
+ * Returns a function mapping a graffiti to the names of every cohort it belongs to.
+ */
+function createCohortClassifier(cohorts) {
+    const matchers = cohorts.map(c => ({ name: c.name, matches: createGraffitiMatcher(c) }));
+    return graffiti => matchers.filter(m => m.matches(graffiti)).map(m => m.name);
+}
+
+module.exports = {
+    cohortsFromEnv,
+    normalizeCohorts,
+    createCohortClassifier
+};
@@ -0,0 +1,33 @@
+const CREDENTIAL_TYPES = {
+    '0x00': 'bls',
+    '0x01': 'execution',
+    '0x02': 'compounding'
+};
+
+/**
+ * Classifies 32-byte withdrawal credentials by their prefix byte. 0x01 (execution)
+ * and 0x02 (Electra compounding) credentials end in a 20-byte execution address,
+ * which is returned lowercased; BLS (0x00) and unknown credentials have none.
+ *
+ * @param {string} withdrawalCredentials "0x" + 64 hex chars
+ * @returns {{ type: 'bls' | 'execution' | 'compounding' | 'unknown', address: string }}
+ */
+function parseWithdrawalCredentials(withdrawalCredentials) {
+    if (
+        typeof withdrawalCredentials !== 'string' ||
+        !/^0x[0-9a-fA-F]{64}$/.test(withdrawalCredentials)
+    ) {
+        return { type: 'unknown', address: '' };
+    }
+
+    const type = CREDENTIAL_TYPES[withdrawalCredentials.slice(0, 4)] || 'unknown';
+    if (type !== 'execution' && type !== 'compounding') {
+        return { type, address: '' };
+    }
+    // Last 40 hex chars represent a 20-byte ETH1 address
+    return { type, address: ('0x' + withdrawalCredentials.slice(-40)).toLowerCase() };
+}
+
+module.exports = {
+    parseWithdrawalCredentials
+};
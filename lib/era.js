@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+const { decompressFramed } = require('./snappy');
+
+/**
+ * Reader for era archives (https://github.com/eth-clients/e2store-format-specs):
+ * e2store files of snappy-framed SSZ, one per 8192 slots, holding every signed
+ * beacon block of the era and the state at its end, followed by slot indices.
+ * Only the blocks are read; the state is skipped without loading it.
+ */
+
+// Every e2store entry: type (2 bytes), length (4 bytes, LE), reserved (2 bytes)
+const ENTRY_HEADER_SIZE = 8;
+const TYPE_COMPRESSED_SIGNED_BEACON_BLOCK = Buffer.from([0x01, 0x00]);
+const TYPE_SLOT_INDEX = Buffer.from([0x69, 0x32]);
+const SLOTS_PER_HISTORICAL_ROOT = 8192;
+const ERA_FILE_NAME = /^([a-z0-9]+)-(\d{5})-([0-9a-f]{8})\.era$/;
+
+// A BeaconBlockBody's fixed part grew with every fork; its first offset (proposer_slashings) gives its size
+const FORK_BY_BODY_FIXED_SIZE = {
+    220: 'phase0',
+    380: 'altair',
+    384: 'bellatrix',
+    388: 'capella',
+    392: 'deneb',
+    396: 'electra'
+};
+const BODY_GRAFFITI_POS = 168;
+const BODY_FIRST_OFFSET_POS = 200;
+// Bellatrix and later: the execution_payload offset, then (Capella and later) bls_to_execution_changes
+const BODY_EXECUTION_PAYLOAD_OFFSET_POS = 380;
+const BODY_AFTER_EXECUTION_PAYLOAD_OFFSET_POS = 384;
+// ExecutionPayload field positions; withdrawals (Capella and later) are 44-byte items
+const PAYLOAD_CAPELLA_FIXED_SIZE = 512;
+const WITHDRAWAL_SIZE = 44;
+
+/**
+ * Lists the era files in `dir`, in era order. Names follow the standard
+ * <network>-<era number>-<short historical root>.era; other files are ignored.
+ */
+async function listEraFiles(dir) {
+    const names = await fs.promises.readdir(dir);
+    return names
+        .map(name => ERA_FILE_NAME.exec(name))
+        .filter(Boolean)
+        .map(([name, network, era]) => ({ file: path.join(dir, name), network, era: parseInt(era, 10) }))
+        .sort((a, b) => a.era - b.era);
+}
+
+/**
+ * Opens an era file and reads its block index. Returns { startSlot, endSlot,
+ * slots(), lastBlock(), close() }, where slots(fromSlot) yields { slot, data } for
+ * every slot of the era in order, from fromSlot on if given: data is the signed block, in the shape of the beacon
+ * API's /eth/v2/beacon/blocks response, or null for an empty slot. lastBlock()
+ * reads just the era's last block. Era 0 holds no blocks; it opens with
+ * startSlot and endSlot null, yields nothing and has no last block.
+ */
+async function openEraFile(file) {
+    const handle = await fs.promises.open(file, 'r');
+    try {
+        const { size } = await handle.stat();
+        const index = await readBlockIndex(handle, size, file);
+        const readSlot = async i => {
+            const slot = index.startSlot + i;
+            const data = decodeSignedBeaconBlock(await readBlockEntry(handle, index.positions[i], file));
+            if (Number(data.message.slot) !== slot) {
+                throw new Error(`${file}: the block indexed at slot ${slot} is for slot ${data.message.slot}`);
+            }
+            return { slot, data };
+        };
+        return {
+            startSlot: index ? index.startSlot : null,
+            endSlot: index ? index.startSlot + index.positions.length - 1 : null,
+            async *slots(fromSlot = 0) {
+                if (!index) return;
+                for (let i = Math.max(fromSlot - index.startSlot, 0); i < index.positions.length; i++) {
+                    yield index.positions[i] === null ? { slot: index.startSlot + i, data: null } : await readSlot(i);
+                }
+            },
+            async lastBlock() {
+                if (!index) return null;
+                for (let i = index.positions.length - 1; i >= 0; i--) {
+                    if (index.positions[i] !== null) return readSlot(i);
+                }
+                return null;
+            },
+            close: () => handle.close()
+        };
+    } catch (err) {
+        await handle.close();
+        throw err;
+    }
+}
+
+async function readAt(handle, position, length) {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, position);
+    if (bytesRead !== length) throw new Error(`Unexpected end of file at byte ${position}`);
+    return buffer;
+}
+
+/**
+ * The file ends with the state's slot index (one slot), preceded by the blocks'
+ * slot index: a start slot, one offset per slot (relative to the index entry,
+ * 0 for an empty slot) and the slot count.
+ */
+async function readBlockIndex(handle, size, file) {
+    const stateIndexPosition = size - (ENTRY_HEADER_SIZE + 24);
+    if (stateIndexPosition < 0 || !isSlotIndex(await readAt(handle, stateIndexPosition, ENTRY_HEADER_SIZE), 24)) {
+        throw new Error(`${file} is not an era file: it does not end with a state slot index`);
+    }
+    if (stateIndexPosition < ENTRY_HEADER_SIZE + 8) return null;
+
+    const count = Number((await readAt(handle, stateIndexPosition - 8, 8)).readBigInt64LE(0));
+    const indexLength = 16 + 8 * count;
+    const blockIndexPosition = stateIndexPosition - ENTRY_HEADER_SIZE - indexLength;
+    if (count < 1 || count > SLOTS_PER_HISTORICAL_ROOT || blockIndexPosition < 0) return null;
+    if (!isSlotIndex(await readAt(handle, blockIndexPosition, ENTRY_HEADER_SIZE), indexLength)) return null;
+
+    const index = await readAt(handle, blockIndexPosition + ENTRY_HEADER_SIZE, indexLength);
+    const positions = [];
+    for (let i = 0; i < count; i++) {
+        const offset = Number(index.readBigInt64LE(8 + 8 * i));
+        positions.push(offset === 0 ? null : blockIndexPosition + offset);
+    }
+    return { startSlot: Number(index.readBigInt64LE(0)), positions };
+}
+
+function isSlotIndex(header, length) {
+    return header.subarray(0, 2).equals(TYPE_SLOT_INDEX) && header.readUInt32LE(2) === length;
+}
+
+async function readBlockEntry(handle, position, file) {
+    const header = await readAt(handle, position, ENTRY_HEADER_SIZE);
+    if (!header.subarray(0, 2).equals(TYPE_COMPRESSED_SIGNED_BEACON_BLOCK)) {
+        throw new Error(`${file}: no block entry at byte ${position}`);
+    }
+    return decompressFramed(await readAt(handle, position + ENTRY_HEADER_SIZE, header.readUInt32LE(2)));
+}
+
+function hex(buffer, start, length) {
+    return `0x${buffer.subarray(start, start + length).toString('hex')}`;
+}
+
+function uint64(buffer, position) {
+    return buffer.readBigUInt64LE(position).toString();
+}
+
+/**
+ * Decodes the fields we store from an SSZ SignedBeaconBlock of any fork from
+ * phase0 to Electra, into the beacon API's JSON shape (strings for integers,
+ * 0x-hex for bytes), so it goes through the same extraction as a fetched block.
+ */
+function decodeSignedBeaconBlock(bytes) {
+    const message = bytes.subarray(bytes.readUInt32LE(0));
+    const body = message.subarray(message.readUInt32LE(80));
+    const bodyFixedSize = body.readUInt32LE(BODY_FIRST_OFFSET_POS);
+    const fork = FORK_BY_BODY_FIXED_SIZE[bodyFixedSize];
+    if (!fork) {
+        throw new Error(`Unsupported block format (body fixed part of ${bodyFixedSize} bytes)`);
+    }
+
+    const decodedBody = { graffiti: hex(body, BODY_GRAFFITI_POS, 32) };
+    if (bodyFixedSize > BODY_EXECUTION_PAYLOAD_OFFSET_POS) {
+        const start = body.readUInt32LE(BODY_EXECUTION_PAYLOAD_OFFSET_POS);
+        const end = bodyFixedSize > BODY_AFTER_EXECUTION_PAYLOAD_OFFSET_POS
+            ? body.readUInt32LE(BODY_AFTER_EXECUTION_PAYLOAD_OFFSET_POS)
+            : body.length;
+        decodedBody.execution_payload = decodeExecutionPayload(body.subarray(start, end));
+    }
+    return {
+        fork,
+        message: {
+            slot: uint64(message, 0),
+            proposer_index: uint64(message, 8),
+            parent_root: hex(message, 16, 32),
+            body: decodedBody
+        }
+    };
+}
+
+function decodeExecutionPayload(payload) {
+    const extraDataStart = payload.readUInt32LE(436);
+    const transactionsStart = payload.readUInt32LE(504);
+    const decoded = {
+        fee_recipient: hex(payload, 32, 20),
+        block_number: uint64(payload, 404),
+        gas_used: uint64(payload, 420),
+        timestamp: uint64(payload, 428),
+        extra_data: hex(payload, extraDataStart, transactionsStart - extraDataStart)
+    };
+    // The first offset (extra_data) is where the fixed part ends
+    if (extraDataStart >= PAYLOAD_CAPELLA_FIXED_SIZE) {
+        const withdrawalsStart = payload.readUInt32LE(508);
+        decoded.withdrawals = [];
+        for (let pos = withdrawalsStart; pos + WITHDRAWAL_SIZE <= payload.length; pos += WITHDRAWAL_SIZE) {
+            decoded.withdrawals.push({
+                index: uint64(payload, pos),
+                validator_index: uint64(payload, pos + 8),
+                address: hex(payload, pos + 16, 20),
+                amount: uint64(payload, pos + 36)
+            });
+        }
+    }
+    return decoded;
+}
+
+module.exports = {
+    listEraFiles,
+    openEraFile,
+    decodeSignedBeaconBlock
+};
@@ -0,0 +1,21 @@
+/**
+ * An error in the configuration (env, flags or config files) or in what the
+ * configuration points at, e.g. a beacon node or database of another network.
+ * Retrying won't help, so the CLI exits with its own code for these.
+ */
+function configError(message) {
+    return Object.assign(new Error(message), { code: 'ERR_CONFIG' });
+}
+
+/**
+ * Another run of the same job holds its lock (see lib/runs.js). Not a failure
+ * as such: the CLI exits with its own code, so a scheduler can tell it apart.
+ */
+function lockedError(message) {
+    return Object.assign(new Error(message), { code: 'ERR_LOCKED' });
+}
+
+module.exports = {
+    configError,
+    lockedError
+};
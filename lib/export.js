@@ -0,0 +1,332 @@
+const fs = require('fs');
+const path = require('path');
+const { createParquetWriter } = require('./parquet');
+const { VALIDATOR_STATUSES } = require('./ingester');
+
+const EXPORT_FORMATS = ['ndjson', 'csv', 'parquet'];
+const EXPORT_TABLES = ['blocks', 'validators', 'stats_history', 'operators', 'cohorts'];
+
+// Column types: int, float, bool, string, timestamp, or json (nested values; a JSON string in CSV and Parquet)
+const TABLE_COLUMNS = {
+    blocks: [
+        ['slot', 'int'], ['slot_time', 'timestamp'], ['proposer_index', 'int'], ['graffiti', 'string'],
+        ['block_root', 'string'], ['parent_root', 'string'], ['fee_recipient', 'string'], ['block_number', 'int'],
+        ['extra_data', 'string'], ['gas_used', 'int'], ['execution_timestamp', 'int']
+    ],
+    validators: [
+        ['validator_index', 'int'], ['withdrawal_credentials', 'string'], ['withdrawal_credentials_type', 'string'],
+        ['withdrawal_address', 'string'], ['effective_balance', 'int'], ['slashed', 'bool'],
+        ['last_known_status', 'string'], ['withdrawable_epoch', 'int']
+    ],
+    stats_history: [
+        ['cohort', 'string'], ['network', 'string'], ['slot', 'int'], ['slot_time', 'timestamp'], ['run_ts', 'timestamp'],
+        ['membership', 'string'], ['membership_days', 'int'], ['ever_proposers', 'int'], ['unique_proposers', 'int'],
+        ['churn_days', 'int'], ['joiners', 'int'], ['leavers', 'int'], ['newly_active_ongoing', 'int'],
+        ['active_ongoing', 'int'], ['active_validators', 'int'], ['total_effective_balance_gwei', 'int'],
+        ['network_active_validators', 'int'], ['network_active_share', 'float'], ['missed_since_slot', 'int'],
+        ['cohort_proposals', 'int'], ['missed_proposals', 'int'], ['missed_proposal_rate', 'float'],
+        ['network_missed_proposal_rate', 'float'], ['unique_operators', 'int'], ['unique_fee_recipients', 'int'],
+        ['bls_credentials', 'int'], ['bls_fee_recipients', 'int'], ['withdrawals_days', 'int'], ['performance_days', 'int'],
+        ['status_counts', 'json'], ['withdrawals', 'json'], ['performance', 'json'], ['client_pairs', 'json']
+    ],
+    operators: [
+        ['withdrawal_address', 'string'], ['validators', 'int'], ['active_validators', 'int'], ['exited_validators', 'int'],
+        ['slashed_validators', 'int'], ['total_effective_balance_gwei', 'int']
+    ],
+    cohorts: [
+        ['cohort', 'string'], ['validators', 'int'], ['active_validators', 'int'], ['exited_validators', 'int'],
+        ['slashed_validators', 'int'], ['total_effective_balance_gwei', 'int'], ['operators', 'int'],
+        ['bls_validators', 'int'], ['blocks', 'int'], ['first_block_slot', 'int'], ['last_block_slot', 'int']
+    ]
+};
+
+/**
+ * The beacon statuses a --status name stands for: a status itself, or a prefix
+ * such as "active" for every active_* status. Empty for an unknown name.
+ */
+function matchStatuses(name) {
+    return VALIDATOR_STATUSES.filter(status => status === name || status.startsWith(`${name}_`));
+}
+
+/**
+ * Writes the requested tables to `dir` as <table>.<format>, then manifest.json.
+ * Every table is read a page at a time with a cursor on its key (slot, validator
+ * index or stats_history id), and Parquet buffers one row group, so memory stays
+ * bounded whatever the size of the database; only the derived operators table
+ * holds one entry per withdrawal address.
+ *
+ * The export covers slots fromSlot to toSlot, capped at last_processed_slot, so
+ * it can be repeated: blocks by slot, stats_history entries by the slot they were
+ * computed at, and cohort members as of toSlot. With `cohort`, blocks are the
+ * cohort's matching blocks, and validators, operators and cohorts cover its
+ * members only. `statuses` limits validators and the tables derived from them
+ * to those last_known_status values.
+ *
+ * Returns the manifest, or null when shouldStop() ended the export early (the
+ * tables are then partial and there is no manifest).
+ */
+async function exportDataset({
+    storage,
+    chain,
+    dir,
+    format = 'ndjson',
+    tables = EXPORT_TABLES,
+    fromSlot = 0,
+    toSlot = null,
+    cohort = null,
+    cohortNames,
+    statuses = null,
+    membership,
+    listCohortValidatorIndices,
+    logger,
+    shouldStop = () => false,
+    pageSize = 1000
+}) {
+    const lastProcessed = await storage.getMeta('last_processed_slot');
+    const lastStats = await storage.getMeta('last_stats_for_slot');
+    const lastProcessedSlot = parseInt(lastProcessed, 10);
+    toSlot = toSlot === null ? lastProcessedSlot : Math.min(toSlot, lastProcessedSlot);
+
+    await fs.promises.mkdir(dir, { recursive: true });
+    // A manifest left by an earlier export would vouch for tables this one is about to overwrite
+    const manifestFile = path.join(dir, 'manifest.json');
+    await fs.promises.rm(manifestFile, { force: true });
+
+    const writers = {};
+    for (const table of tables) {
+        writers[table] = createTableWriter(path.join(dir, `${table}.${format}`), TABLE_COLUMNS[table], format);
+    }
+
+    const validatorIndicesOf = async name => (await listCohortValidatorIndices(name, toSlot)).sort((a, b) => a - b);
+
+    if (writers.blocks) {
+        for (let afterSlot = fromSlot - 1; !shouldStop();) {
+            const page = await storage.listBlocksAfter(afterSlot, { toSlot, cohort, limit: pageSize });
+            for (const block of page) {
+                await writers.blocks.write({ ...block, slot_time: chain.slotTime(block.slot) });
+            }
+            if (page.length < pageSize) break;
+            afterSlot = page[page.length - 1].slot;
+        }
+    }
+
+    if ((writers.validators || writers.operators) && !shouldStop()) {
+        const operators = new Map();
+        const validatorIndices = cohort ? await validatorIndicesOf(cohort) : null;
+        for await (const page of validatorPages(storage, { validatorIndices, statuses, pageSize, shouldStop })) {
+            for (const validator of page) {
+                if (writers.validators) await writers.validators.write(validator);
+                if (writers.operators && validator.withdrawal_address) {
+                    if (!operators.has(validator.withdrawal_address)) {
+                        operators.set(validator.withdrawal_address, emptyTotals({ withdrawal_address: validator.withdrawal_address }));
+                    }
+                    addToTotals(operators.get(validator.withdrawal_address), validator);
+                }
+            }
+        }
+        if (writers.operators) {
+            const addresses = [...operators.keys()].sort();
+            for (const address of addresses) {
+                await writers.operators.write(operators.get(address));
+            }
+        }
+    }
+
+    if (writers.stats_history) {
+        for (let afterId = null; !shouldStop();) {
+            const page = await storage.listStatsAfter(afterId, { cohort, fromSlot, toSlot, limit: pageSize });
+            for (const { stats } of page) {
+                await writers.stats_history.write(stats);
+            }
+            if (page.length < pageSize) break;
+            afterId = page[page.length - 1].id;
+        }
+    }
+
+    if (writers.cohorts) {
+        for (const name of cohort ? [cohort] : cohortNames) {
+            if (shouldStop()) break;
+            const totals = emptyTotals({ cohort: name });
+            const operators = new Set();
+            totals.bls_validators = 0;
+            const validatorIndices = await validatorIndicesOf(name);
+            for await (const page of validatorPages(storage, { validatorIndices, statuses, pageSize, shouldStop })) {
+                for (const validator of page) {
+                    addToTotals(totals, validator);
+                    if (validator.withdrawal_address) operators.add(validator.withdrawal_address);
+                    if (validator.withdrawal_credentials_type === 'bls') totals.bls_validators++;
+                }
+            }
+            totals.operators = operators.size;
+            Object.assign(totals, await countCohortBlocks(storage, name, { fromSlot, toSlot, pageSize }));
+            await writers.cohorts.write(totals);
+        }
+    }
+
+    const written = [];
+    for (const table of tables) {
+        written.push({ name: table, file: `${table}.${format}`, rows: await writers[table].close() });
+    }
+    if (shouldStop()) {
+        logger.warn(`Export to ${dir} stopped early; its tables are incomplete and it has no manifest.`);
+        return null;
+    }
+
+    const manifest = {
+        created_ts: new Date(),
+        network: chain.network,
+        format,
+        source: {
+            from_slot: fromSlot,
+            to_slot: toSlot,
+            last_processed_slot: lastProcessedSlot,
+            last_stats_for_slot: lastStats !== null ? parseInt(lastStats, 10) : null
+        },
+        filters: { cohort, statuses, membership },
+        tables: written.map(table => ({
+            ...table,
+            columns: TABLE_COLUMNS[table.name].map(([name, type]) => ({ name, type }))
+        }))
+    };
+    await fs.promises.writeFile(manifestFile, `${JSON.stringify(manifest, null, 2)}\n`);
+    for (const table of written) {
+        logger.info(`Exported ${table.rows} ${table.name} row(s) to ${path.join(dir, table.file)}.`);
+    }
+    return manifest;
+}
+
+/**
+ * Yields pages of validators by validator index: the given validatorIndices (sorted),
+ * or every stored validator when null, keeping those with one of `statuses`.
+ */
+async function* validatorPages(storage, { validatorIndices, statuses, pageSize, shouldStop }) {
+    if (validatorIndices === null) {
+        for (let afterIndex = -1; !shouldStop();) {
+            const page = await storage.listValidatorsAfter(afterIndex, { statuses, limit: pageSize });
+            yield page;
+            if (page.length < pageSize) return;
+            afterIndex = page[page.length - 1].validator_index;
+        }
+        return;
+    }
+    for (let i = 0; i < validatorIndices.length && !shouldStop(); i += pageSize) {
+        const page = await storage.getValidators(validatorIndices.slice(i, i + pageSize));
+        yield page
+            .filter(v => !statuses || statuses.includes(v.last_known_status))
+            .sort((a, b) => a.validator_index - b.validator_index);
+    }
+}
+
+// The cohort's matching blocks in the slot range, counted a page of cohort_members at a time
+async function countCohortBlocks(storage, cohort, { fromSlot, toSlot, pageSize }) {
+    const counts = { blocks: 0, first_block_slot: null, last_block_slot: null };
+    for (let nextSlot = fromSlot; ;) {
+        const page = await storage.listCohortMembers(cohort, { fromSlot: nextSlot, toSlot, limit: pageSize });
+        if (page.length > 0) {
+            if (counts.first_block_slot === null) counts.first_block_slot = page[0].slot;
+            counts.last_block_slot = page[page.length - 1].slot;
+        }
+        counts.blocks += page.length;
+        if (page.length < pageSize) return counts;
+        nextSlot = page[page.length - 1].slot + 1;
+    }
+}
+
+function emptyTotals(key) {
+    return {
+        ...key,
+        validators: 0,
+        active_validators: 0,
+        exited_validators: 0,
+        slashed_validators: 0,
+        total_effective_balance_gwei: 0
+    };
+}
+
+function addToTotals(totals, validator) {
+    const status = validator.last_known_status || '';
+    totals.validators++;
+    if (status.startsWith('active_')) totals.active_validators++;
+    if (status.startsWith('exited_') || status.startsWith('withdrawal_')) totals.exited_validators++;
+    if (validator.slashed) totals.slashed_validators++;
+    totals.total_effective_balance_gwei += validator.effective_balance || 0;
+}
+
+/**
+ * Returns { write(record), close() -> rows written } for one table file. Records
+ * may miss columns (older stats_history entries do) and may carry others; only
+ * the table's columns are written, missing ones as null.
+ */
+function createTableWriter(file, columns, format) {
+    const out = fs.createWriteStream(file);
+    // Rejects with the stream's first error (the file can't be opened, the disk is full, ...),
+    // which every wait on the stream races against, so the export fails with it instead of hanging
+    const failed = new Promise((resolve, reject) => out.on('error', reject));
+    failed.catch(() => {});
+    const orFail = promise => Promise.race([promise, failed]);
+    let rows = 0;
+    const cells = record => columns.map(([name, type]) => {
+        const value = record[name] === undefined ? null : record[name];
+        return type === 'timestamp' && value !== null ? new Date(value) : value;
+    });
+
+    if (format === 'parquet') {
+        const parquet = createParquetWriter(out, columns.map(([name, type]) => ({ name, type: type === 'json' ? 'string' : type })));
+        return {
+            async write(record) {
+                const values = cells(record);
+                await orFail(parquet.write(Object.fromEntries(columns.map(([name, type], i) => [
+                    name,
+                    type === 'json' && values[i] !== null ? JSON.stringify(values[i]) : values[i]
+                ]))));
+                rows++;
+            },
+            async close() {
+                await orFail(parquet.close());
+                return rows;
+            }
+        };
+    }
+
+    const toLine = format === 'csv'
+        ? record => `${cells(record).map(toCsvCell).join(',')}\n`
+        : record => {
+            const values = cells(record);
+            return `${JSON.stringify(Object.fromEntries(columns.map(([name], i) => [name, values[i]])))}\n`;
+        };
+    let pending = format === 'csv' ? `${columns.map(([name]) => name).join(',')}\n` : '';
+    return {
+        async write(record) {
+            // Respect backpressure, so a large table is never buffered in memory
+            if (!out.write(pending + toLine(record))) {
+                await orFail(new Promise(r => out.once('drain', r)));
+            }
+            pending = '';
+            rows++;
+        },
+        async close() {
+            await orFail(new Promise((resolve, reject) => out.end(pending, err => (err ? reject(err) : resolve()))));
+            return rows;
+        }
+    };
+}
+
+function toCsvCell(value) {
+    if (value === null) return '';
+    let text;
+    if (value instanceof Date) {
+        text = value.toISOString();
+    } else if (typeof value === 'object') {
+        text = JSON.stringify(value);
+    } else {
+        text = String(value);
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    EXPORT_TABLES,
+    matchStatuses,
+    exportDataset
+};
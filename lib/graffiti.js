@@ -0,0 +1,85 @@
+// Two-letter client codes from the execution-apis ClientVersionV1 spec, which clients use in their graffiti
+const EXECUTION_CLIENTS = {
+    BU: 'besu',
+    EG: 'erigon',
+    EJ: 'ethereumjs',
+    GE: 'geth',
+    NM: 'nethermind',
+    RH: 'reth'
+};
+const CONSENSUS_CLIENTS = {
+    GR: 'grandine',
+    LH: 'lighthouse',
+    LS: 'lodestar',
+    NB: 'nimbus',
+    PM: 'prysm',
+    TK: 'teku'
+};
+
+// Tried in order against the graffiti; every capture group is a client code
+const CLIENT_SUFFIX_PATTERNS = [
+    // "GEb1c2LH3d4e", "GEb1LH3d", "GELH": EL code + commit, CL code + commit, at the end
+    /([A-Z]{2})[0-9a-f]{0,4}([A-Z]{2})[0-9a-f]{0,4}$/,
+    // "LH/GE", in either order
+    /(?:^|[^A-Za-z])([A-Z]{2})\/([A-Z]{2})(?![A-Za-z])/,
+    // One client with its commit at the end, e.g. "DN…GEb1c2"
+    /([A-Z]{2})[0-9a-f]{1,4}$/,
+    // A bare code at the end, e.g. "RP-LH"
+    /(?:^|[^A-Za-z])([A-Z]{2})$/
+];
+
+/**
+ * Returns a predicate telling whether a graffiti matches a cohort's rules:
+ *   contains: substrings, any of which has to appear (case-insensitive)
+ *   prefix:   prefixes, any of which the graffiti has to start with (case-insensitive)
+ *   regex:    a regular expression source, matched case-insensitively
+ * Matching any one rule is enough. contains and prefix are plain strings, not
+ * regexes, so characters like "." or "(" only match themselves.
+ */
+function createGraffitiMatcher({ contains = [], prefix = [], regex = null }) {
+    const needles = contains.map(s => s.toLowerCase());
+    const prefixes = prefix.map(s => s.toLowerCase());
+    const pattern = regex ? new RegExp(regex, 'i') : null;
+    return graffiti => {
+        if (!graffiti) return false;
+        const text = graffiti.toLowerCase();
+        return needles.some(n => text.includes(n)) ||
+            prefixes.some(p => text.startsWith(p)) ||
+            (pattern !== null && pattern.test(graffiti));
+    };
+}
+
+function clientsFromCodes(codes) {
+    let execution = null;
+    let consensus = null;
+    for (const code of codes) {
+        if (EXECUTION_CLIENTS[code] && !execution) {
+            execution = EXECUTION_CLIENTS[code];
+        } else if (CONSENSUS_CLIENTS[code] && !consensus) {
+            consensus = CONSENSUS_CLIENTS[code];
+        } else {
+            return null;
+        }
+    }
+    return { execution_client: execution, consensus_client: consensus };
+}
+
+/**
+ * Parses the client-identity codes clients append to the graffiti into
+ * { execution_client, consensus_client }. Either is null when the graffiti
+ * doesn't name it.
+ */
+function parseClientSuffix(graffiti) {
+    const text = (graffiti || '').trimEnd();
+    for (const pattern of CLIENT_SUFFIX_PATTERNS) {
+        const match = text.match(pattern);
+        const clients = match ? clientsFromCodes(match.slice(1)) : null;
+        if (clients) return clients;
+    }
+    return { execution_client: null, consensus_client: null };
+}
+
+module.exports = {
+    createGraffitiMatcher,
+    parseClientSuffix
+};
@@ -0,0 +1,176 @@
+const fetch = (...args) => import('node-fetch').then(({ default: f }) => f(...args));
+
+// Never wait longer than this on a Retry-After header, whatever the server asks for
+const MAX_RETRY_AFTER_MS = 2 * 60 * 1000;
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Exponential backoff with full jitter: a random delay between 0 and
+ * min(maxMs, baseMs * 2^(attempt - 1)), so clients retrying at once spread out.
+ */
+function backoffDelay(attempt, baseMs, maxMs) {
+    return Math.floor(Math.random() * Math.min(maxMs, baseMs * 2 ** (attempt - 1)));
+}
+
+// Retry-After is either a number of seconds or an HTTP date; returns ms, or null if absent or unparseable
+function parseRetryAfter(header) {
+    if (!header) return null;
+    const ms = /^\d+$/.test(header.trim())
+        ? parseInt(header, 10) * 1000
+        : new Date(header).getTime() - Date.now();
+    if (Number.isNaN(ms)) return null;
+    return Math.min(Math.max(ms, 0), MAX_RETRY_AFTER_MS);
+}
+
+/**
+ * Strips the parts of every URL in `text` that may carry credentials: user info
+ * and the query string always, and the path too unless `keepPath`. fetch errors
+ * name the URL they failed on, so their messages go through here before logging.
+ */
+function redactUrls(text, { keepPath = true } = {}) {
+    return String(text).replace(/\bhttps?:\/\/(?:[^\s/?#@]*@)?([^\s/?#]*)([^\s?#]*)(\?[^\s#]*)?(#\S*)?/gi, (match, host, path, query) => {
+        const scheme = match.slice(0, match.indexOf('//') + 2);
+        const shownPath = keepPath || path === '' || path === '/' ? path : '/[redacted]';
+        return `${scheme}${host}${shownPath}${query ? '?[redacted]' : ''}`;
+    });
+}
+
+// `err` with its message passed through redactUrls; name and code are kept
+function redactError(err, options) {
+    const redacted = new Error(redactUrls(err.message, options));
+    redacted.name = err.name;
+    if (err.code !== undefined) redacted.code = err.code;
+    return redacted;
+}
+
+/**
+ * fetch with a timeout covering the whole request, body included. The body is
+ * read up front and the result only offers status, ok, headers, text() and
+ * json(). With `stream`, the Response is returned as is once its headers
+ * arrive, and the timeout stops there. An abort of `signal` is passed through
+ * as an AbortError; a timeout throws an Error named TimeoutError.
+ */
+async function fetchWithTimeout(url, { timeoutMs, stream = false, signal, ...options }) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    if (signal) {
+        if (signal.aborted) controller.abort();
+        signal.addEventListener('abort', onAbort, { once: true });
+    }
+    let timedOut = false;
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeoutMs);
+
+    try {
+        const resp = await fetch(url, { ...options, signal: controller.signal });
+        if (stream) return resp;
+        const text = await resp.text();
+        return {
+            status: resp.status,
+            ok: resp.ok,
+            headers: resp.headers,
+            text: async () => text,
+            json: async () => JSON.parse(text)
+        };
+    } catch (err) {
+        if (timedOut) {
+            const timeoutError = new Error(`Timed out after ${timeoutMs} ms`);
+            timeoutError.name = 'TimeoutError';
+            throw timeoutError;
+        }
+        throw err;
+    } finally {
+        clearTimeout(timer);
+        // A stream keeps listening, so the caller can still abort it while reading the body
+        if (signal && !stream) signal.removeEventListener('abort', onAbort);
+    }
+}
+
+/**
+ * Limits how many requests run at once, adapting the limit to the error rate
+ * over the last `windowSize` requests: above `highErrorRate` the limit halves
+ * (at most once per window), at or below `lowErrorRate` every success raises it
+ * by 1/limit, i.e. by one after a full limit's worth of successes.
+ */
+function createAdaptiveLimiter({
+    initial,
+    min = 1,
+    max,
+    windowSize = 50,
+    highErrorRate = 0.1,
+    lowErrorRate = 0.02,
+    onChange = () => {}
+}) {
+    let limit = Math.min(Math.max(initial, min), max);
+    let inFlight = 0;
+    const waiting = [];
+    let outcomes = [];
+    let errorCount = 0;
+
+    function drain() {
+        while (waiting.length > 0 && inFlight < Math.floor(limit)) {
+            inFlight++;
+            waiting.shift()();
+        }
+    }
+
+    function setLimit(next) {
+        const previous = Math.floor(limit);
+        limit = next;
+        if (Math.floor(limit) !== previous) onChange(Math.floor(limit), previous);
+        drain();
+    }
+
+    async function run(fn) {
+        if (inFlight < Math.floor(limit)) {
+            inFlight++;
+        } else {
+            // drain() takes the slot on our behalf
+            await new Promise(r => waiting.push(r));
+        }
+        try {
+            return await fn();
+        } finally {
+            inFlight--;
+            drain();
+        }
+    }
+
+    // isError: the request was throttled, timed out or hit a server/network error
+    function record(isError) {
+        outcomes.push(isError);
+        if (isError) errorCount++;
+        if (outcomes.length > windowSize && outcomes.shift()) errorCount--;
+
+        const errorRate = errorCount / outcomes.length;
+        if (outcomes.length >= Math.min(windowSize, 10) && errorRate > highErrorRate) {
+            setLimit(Math.max(min, limit / 2));
+            // Start a fresh window, so the requests that were already in flight don't halve it again
+            outcomes = [];
+            errorCount = 0;
+        } else if (!isError && errorRate <= lowErrorRate && limit < max) {
+            setLimit(Math.min(max, limit + 1 / limit));
+        }
+    }
+
+    return {
+        run,
+        record,
+        get limit() {
+            return Math.floor(limit);
+        }
+    };
+}
+
+module.exports = {
+    sleep,
+    backoffDelay,
+    parseRetryAfter,
+    redactUrls,
+    redactError,
+    fetchWithTimeout,
+    createAdaptiveLimiter
+};
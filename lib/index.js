@@ -0,0 +1,89 @@
+/**
+ * Programmatic API. Other Node tools can run ingestion with their own storage
+ * handle and beacon client instead of going through the CLI:
+ *
+ *   const { createStorage, createBeaconClient, loadChain, createIngester, createLogger } = require('dappnode-validator-info');
+ *   const logger = createLogger('info');
+ *   const storage = createStorage({ backend: 'mongo', db: myMongoDb });
+ *   const beacon = createBeaconClient({ endpoints: [{ url: 'http://localhost:5052' }], logger });
+ *   const chain = await loadChain(beacon, 'mainnet');
+ *   await storage.ensureSchema();
+ *   const ingester = createIngester({ storage, beacon, chain, cohorts, logger, metrics: createMetrics({ job: 'my_tool', logger }) });
+ *   await ingester.checkCohortConfig();
+ *   await ingester.ingest();
+ *
+ * The *ConfigFromEnv helpers read the same environment variables as the CLI.
+ */
+const { ALERT_RULES, alertsConfigFromEnv, createAlerter } = require('./alerts');
+const { beaconConfigFromEnv, createBeaconClient } = require('./beacon');
+const { networkFromEnv, loadChain, saveChain, loadStoredChain, checkStorageNetwork } = require('./chain');
+const { cohortsFromEnv, normalizeCohorts, createCohortClassifier } = require('./cohorts');
+const { parseWithdrawalCredentials } = require('./credentials');
+const { createGraffitiMatcher, parseClientSuffix } = require('./graffiti');
+const { ingesterConfigFromEnv, createIngester } = require('./ingester');
+const { listEraFiles, openEraFile, decodeSignedBeaconBlock } = require('./era');
+const { EXPORT_FORMATS, EXPORT_TABLES, matchStatuses, exportDataset } = require('./export');
+const { createLogger } = require('./logger');
+const { MEMBERSHIP_MODES, createMembership } = require('./membership');
+const { metricsConfigFromEnv, createMetrics } = require('./metrics');
+const { createParquetWriter } = require('./parquet');
+const {
+    PERFORMANCE_GROUPS,
+    performanceConfigFromEnv,
+    createPerformanceTracker,
+    summarizePerformance,
+    summarizeNetworkPerformance
+} = require('./performance');
+const { runConfigFromEnv, startRun, listRuns } = require('./runs');
+const { storageConfigFromEnv, createStorage } = require('./storage');
+const { validatorConfigFromEnv, createValidatorTracker, listRecentExitsAndSlashings } = require('./validators');
+const { extractWithdrawals, summarizeCohortWithdrawals } = require('./withdrawals');
+
+module.exports = {
+    ALERT_RULES,
+    alertsConfigFromEnv,
+    createAlerter,
+    beaconConfigFromEnv,
+    createBeaconClient,
+    networkFromEnv,
+    loadChain,
+    saveChain,
+    loadStoredChain,
+    checkStorageNetwork,
+    cohortsFromEnv,
+    normalizeCohorts,
+    createCohortClassifier,
+    parseWithdrawalCredentials,
+    createGraffitiMatcher,
+    parseClientSuffix,
+    ingesterConfigFromEnv,
+    createIngester,
+    listEraFiles,
+    openEraFile,
+    decodeSignedBeaconBlock,
+    EXPORT_FORMATS,
+    EXPORT_TABLES,
+    matchStatuses,
+    exportDataset,
+    createLogger,
+    MEMBERSHIP_MODES,
+    createMembership,
+    metricsConfigFromEnv,
+    createMetrics,
+    createParquetWriter,
+    PERFORMANCE_GROUPS,
+    performanceConfigFromEnv,
+    createPerformanceTracker,
+    summarizePerformance,
+    summarizeNetworkPerformance,
+    runConfigFromEnv,
+    startRun,
+    listRuns,
+    storageConfigFromEnv,
+    createStorage,
+    validatorConfigFromEnv,
+    createValidatorTracker,
+    listRecentExitsAndSlashings,
+    extractWithdrawals,
+    summarizeCohortWithdrawals
+};
@@ -0,0 +1,1262 @@
+const { parseClientSuffix } = require('./graffiti');
+const { normalizeCohorts, createCohortClassifier } = require('./cohorts');
+const { createValidatorTracker } = require('./validators');
+const { listEraFiles, openEraFile } = require('./era');
+const { createMembership } = require('./membership');
+const { extractWithdrawals, summarizeCohortWithdrawals } = require('./withdrawals');
+const { summarizePerformance, summarizeNetworkPerformance } = require('./performance');
+const { configError } = require('./errors');
+const { formatDurationMs, runWorkerPool } = require('./util');
+
+const FOLLOW_TOPICS = ['head', 'block', 'finalized_checkpoint'];
+const VALIDATOR_STATUSES = [
+    'pending_initialized', 'pending_queued',
+    'active_ongoing', 'active_exiting', 'active_slashed',
+    'exited_unslashed', 'exited_slashed',
+    'withdrawal_possible', 'withdrawal_done'
+];
+const GAP_SCAN_WINDOW = 100000;
+const COHORT_REBUILD_WINDOW = 10000;
+const PROPOSER_DUTIES_CACHE_SIZE = 64;
+// Error messages kept for progress(); the failed_slots count covers the rest
+const MAX_PROGRESS_ERRORS = 50;
+
+function ingesterConfigFromEnv(env = process.env) {
+    return {
+        batchSize: parseInt(env.BATCH_SIZE, 10) || 500,
+        concurrency: parseInt(env.CONCURRENCY_LIMIT, 10) || 250,
+        retryLimit: parseInt(env.RETRY_LIMIT, 10) || 3,
+        followReconnectDelayMs: parseInt(env.FOLLOW_RECONNECT_DELAY_MS, 10) || 5000,
+        validatorBatchSize: parseInt(env.VALIDATOR_BATCH_SIZE, 10) || 1000,
+        validatorConcurrency: parseInt(env.VALIDATOR_CONCURRENCY, 10) || 4,
+        withdrawalStatsDays: parseInt(env.WITHDRAWAL_STATS_DAYS, 10) || 30,
+        performanceStatsDays: parseInt(env.PERFORMANCE_STATS_DAYS, 10) || 30,
+        cohortMembership: env.COHORT_MEMBERSHIP || 'ever',
+        cohortMembershipDays: parseInt(env.COHORT_MEMBERSHIP_DAYS, 10) || 30,
+        churnDays: parseInt(env.COHORT_CHURN_DAYS, 10) || 30
+    };
+}
+
+/**
+ * Block ingestion and cohort stats over a storage backend (lib/storage), a beacon
+ * client (lib/beacon) and the chain it is on (lib/chain). Nothing here reads the
+ * environment or owns a connection: callers pass in their own handles, and close
+ * them. stop() makes every running operation wind down after its current batch.
+ */
+function createIngester({
+    storage,
+    beacon,
+    chain,
+    cohorts,
+    logger,
+    metrics,
+    // An alerter (lib/alerts) to evaluate once the stats are stored, or null
+    alerts = null,
+    batchSize = 500,
+    concurrency = 250,
+    retryLimit = 3,
+    followReconnectDelayMs = 5000,
+    validatorBatchSize = 1000,
+    validatorConcurrency = 4,
+    withdrawalStatsDays = 30,
+    performanceStatsDays = 30,
+    cohortMembership = 'ever',
+    cohortMembershipDays = 30,
+    churnDays = 30
+}) {
+    cohorts = normalizeCohorts(cohorts);
+    const classifyCohorts = createCohortClassifier(cohorts);
+    const slotsPerDay = Math.floor(24 * 60 * 60 / chain.secondsPerSlot);
+    const membership = createMembership({ membership: cohortMembership, membershipDays: cohortMembershipDays, slotsPerDay });
+    let stopped = false;
+    // Highest finalized slot seen; blocks up to it can't reorg, so they are fetched by slot in one request
+    let knownFinalizedSlot = -1;
+    // Set while follow() holds an event stream open, so stop() can close it
+    let followAbortController = null;
+    // What this ingester did so far, for the run journal (see progress())
+    let fromSlot = null;
+    let toSlot = null;
+    const counts = { blocks: 0, empty_slots: 0, failed_slots: 0, withdrawals: 0, stats: 0 };
+    // Every validator that proposed in any cohort; only their withdrawals are recorded. Loaded on first use
+    let cohortValidatorIndices = null;
+    const errors = [];
+    const validators = createValidatorTracker({
+        storage,
+        beacon,
+        logger,
+        metrics,
+        batchSize: validatorBatchSize,
+        concurrency: validatorConcurrency,
+        shouldStop: () => stopped
+    });
+
+    function stop() {
+        stopped = true;
+        if (followAbortController) followAbortController.abort();
+    }
+
+    function recordSlot(slot, result) {
+        fromSlot = fromSlot === null ? slot : Math.min(fromSlot, slot);
+        toSlot = toSlot === null ? slot : Math.max(toSlot, slot);
+        counts[result]++;
+    }
+
+    function recordError(message) {
+        if (errors.length < MAX_PROGRESS_ERRORS) errors.push(message);
+    }
+
+    // The slot range processed, counts and errors since this ingester was created
+    function progress() {
+        return { from_slot: fromSlot, to_slot: toSlot, counts: { ...counts }, errors: [...errors] };
+    }
+
+    /**
+     * cohort_members only holds what matched the cohort config it was built with, so
+     * refuse to extend it (or compute stats from it) under a different config.
+     */
+    async function checkCohortConfig() {
+        const config = JSON.stringify(cohorts);
+        const builtFor = await storage.getMeta('cohort_config');
+        if (builtFor === config) {
+            await buildCohortValidatorsIfMissing();
+            return;
+        }
+
+        if (builtFor === null && await storage.getMeta('last_processed_slot') === null) {
+            // Fresh database: membership is built up as blocks get ingested
+            await storage.setMeta('cohort_config', config);
+            await storage.setMeta('cohort_validators_built', 'true');
+            return;
+        }
+        const reason = builtFor === null
+            ? 'Cohort membership has not been built for the blocks already stored'
+            : 'The cohort config changed since cohort membership was built';
+        throw configError(`${reason}. Run "dappnode-validators rebuild-cohort" first.`);
+    }
+
+    // Databases from before cohort_validators existed get it derived from their cohort_members once
+    async function buildCohortValidatorsIfMissing() {
+        if (await storage.getMeta('cohort_validators_built') !== null) return;
+        const validatorIndices = await storage.listCohortProposerIndices();
+        logger.info(`Building cohort_validators for ${validatorIndices.length} cohort validator(s)...`);
+        await storage.refreshCohortValidators(validatorIndices);
+        await storage.setMeta('cohort_validators_built', 'true');
+    }
+
+    /**
+     * Re-derives cohort_members from every stored block with the current cohort
+     * config. The config is only recorded once the rebuild completes, so an
+     * interrupted rebuild is never mistaken for a finished one.
+     */
+    async function rebuildCohort() {
+        const lastProcessedSlot = await storage.getMeta('last_processed_slot');
+        await storage.setMeta('cohort_config', null);
+        await storage.setMeta('cohort_validators_built', null);
+        await storage.resetCohortMembers();
+
+        const toSlot = lastProcessedSlot !== null ? parseInt(lastProcessedSlot, 10) : -1;
+        logger.info(`Rebuilding cohort membership over slots [0..${toSlot}]...`);
+        let memberCount = 0;
+        for (let windowStart = 0; windowStart <= toSlot; windowStart += COHORT_REBUILD_WINDOW) {
+            if (stopped) {
+                logger.warn('Shutdown requested during cohort rebuild. Run it again to finish.');
+                return;
+            }
+            const windowEnd = Math.min(windowStart + COHORT_REBUILD_WINDOW - 1, toSlot);
+            const blocks = await storage.getBlocksInRange(windowStart, windowEnd);
+            const members = blocks.flatMap(toCohortMembers);
+            await storage.upsertCohortMembers(members);
+            // Recomputed from all of a validator's members so far, so the last window it shows up in leaves it complete
+            await storage.refreshCohortValidators(members.map(m => m.proposer_index));
+            memberCount += members.length;
+            logger.debug(`Cohort rebuild: slots [${windowStart}..${windowEnd}] done, ${memberCount} member block(s) so far`);
+        }
+
+        await storage.setMeta('cohort_config', JSON.stringify(cohorts));
+        await storage.setMeta('cohort_validators_built', 'true');
+        // The stored stats describe the old cohorts; have the next run compute them again
+        await storage.setMeta('last_stats_for_slot', null);
+        cohortValidatorIndices = null;
+        logger.info(`Cohort rebuild done. ${memberCount} cohort member block(s).`);
+    }
+
+    // One cohort_members row per cohort the block's graffiti matches
+    function toCohortMembers(block) {
+        const cohortNames = classifyCohorts(block.graffiti);
+        if (cohortNames.length === 0) return [];
+        const clients = parseClientSuffix(block.graffiti);
+        return cohortNames.map(cohort => ({
+            cohort,
+            slot: block.slot,
+            proposer_index: block.proposer_index,
+            fee_recipient: block.fee_recipient,
+            ...clients
+        }));
+    }
+
+    async function runIngestion() {
+        // 2) Determine head and finalized slots, and roll back any reorged blocks in the unfinalized tail
+        const headSlot = await beacon.getHeadSlot();
+        const finalizedSlot = await getFinalizedSlot();
+        logger.info(`headSlot=${headSlot}, finalizedSlot=${finalizedSlot}`);
+        metrics.setHeadSlot(headSlot);
+        await checkUnfinalizedTail(finalizedSlot);
+
+        // 3) Determine last processed slot and ingest the finalized part, then the unfinalized tail
+        const lastProcessedSlot = await storage.getMeta('last_processed_slot');
+        let startSlot = lastProcessedSlot !== null ? parseInt(lastProcessedSlot, 10) + 1 : 0;
+
+        if (startSlot > headSlot) {
+            logger.info(
+                `last_processed_slot=${startSlot - 1} >= headSlot=${headSlot}. No new slots to process.`
+            );
+            metrics.setLastProcessedSlot(startSlot - 1);
+        } else {
+            // Missed-proposal rates only count slots from here on, where we know each empty slot's proposer
+            if (await storage.getMeta('proposer_duties_since_slot') === null) {
+                await storage.setMeta('proposer_duties_since_slot', startSlot.toString());
+            }
+            if (startSlot <= finalizedSlot) {
+                logger.info(`Will ingest finalized blocks from slot ${startSlot} to slot ${finalizedSlot}...`);
+                await ingestBlocks(startSlot, finalizedSlot);
+            }
+            const tailStartSlot = Math.max(startSlot, finalizedSlot + 1);
+            if (!stopped && tailStartSlot <= headSlot) {
+                logger.info(`Will ingest unfinalized blocks from slot ${tailStartSlot} to slot ${headSlot}...`);
+                await ingestBlocks(tailStartSlot, headSlot);
+            }
+        }
+        await updateLastFinalizedSlot(finalizedSlot);
+
+        // 4) Compute the final stats for this head slot
+        await runFinalStepIfNeeded(headSlot);
+    }
+
+    async function runFinalStepIfNeeded(headSlot) {
+        // Check if we already computed the final step for this head slot
+        const lastStatsSlot = await storage.getMeta('last_stats_for_slot');
+        if (lastStatsSlot && parseInt(lastStatsSlot, 10) === headSlot) {
+            logger.info(
+                `We already computed final stats for headSlot=${headSlot}. Skipping final step.`
+            );
+        } else {
+            logger.info(
+                `No final stats found for headSlot=${headSlot}, or headSlot advanced. Running final step...`
+            );
+            await runFinalStep(headSlot);
+        }
+    }
+    /**
+     * Long-running mode: catches up through runIngestion, then follows the chain via
+     * the beacon events stream. A dropped stream is reconnected after another
+     * catch-up, so no slot is skipped in between.
+     */
+    async function follow() {
+        while (!stopped) {
+            try {
+                await runIngestion();
+                if (stopped) break;
+
+                followAbortController = new AbortController();
+                logger.info(`Following the chain via /eth/v1/events (topics=${FOLLOW_TOPICS.join(',')})...`);
+                await beacon.subscribeEvents(FOLLOW_TOPICS, enqueueFollowEvent, followAbortController.signal);
+                logger.warn('Event stream closed by the beacon node.');
+            } catch (err) {
+                if (!stopped) {
+                    logger.error(`Follow mode: ${err.message}`);
+                    recordError(`Follow mode: ${err.message}`);
+                }
+            } finally {
+                followAbortController = null;
+            }
+
+            // Let queued events finish before catching up again (or shutting down)
+            await followQueue;
+            if (!stopped) {
+                logger.info(`Reconnecting in ${followReconnectDelayMs} ms...`);
+                await new Promise(r => setTimeout(r, followReconnectDelayMs));
+            }
+        }
+    }
+
+    // Events are handled one at a time, in the order they arrive
+    let followQueue = Promise.resolve();
+
+    function enqueueFollowEvent(event) {
+        followQueue = followQueue
+            .then(() => handleFollowEvent(event))
+            .catch(err => {
+                logger.error(`Handling ${event.event} event failed: ${err.message}`);
+                recordError(`Handling ${event.event} event failed: ${err.message}`);
+            });
+    }
+
+    async function handleFollowEvent({ event, data }) {
+        if (stopped) return;
+
+        if (event === 'block') {
+            await ingestUpTo(parseInt(data.slot, 10));
+        } else if (event === 'head') {
+            const slot = parseInt(data.slot, 10);
+            metrics.setHeadSlot(slot);
+            const lastProcessedSlot = await storage.getMeta('last_processed_slot');
+            if (lastProcessedSlot !== null && slot <= parseInt(lastProcessedSlot, 10)) {
+                // The head moved to a slot we already have; if it isn't the block we stored, the chain reorged
+                const stored = await storage.getBlock(slot);
+                if (!stored || stored.block_root !== data.block) {
+                    logger.warn(`New head ${data.block} at slot ${slot} is not the block we stored. Re-checking the tail...`);
+                    await checkUnfinalizedTail(await getFinalizedSlot());
+                }
+            }
+            await ingestUpTo(slot);
+        } else if (event === 'finalized_checkpoint') {
+            const lastProcessedSlot = await storage.getMeta('last_processed_slot');
+            if (lastProcessedSlot === null) return;
+            const headSlot = parseInt(lastProcessedSlot, 10);
+            const finalizedSlot = await getFinalizedSlot();
+            logger.info(`Epoch ${data.epoch} finalized (finalizedSlot=${finalizedSlot}).`);
+
+            await checkUnfinalizedTail(finalizedSlot);
+            await ingestUpTo(headSlot);
+            await updateLastFinalizedSlot(finalizedSlot);
+            await runFinalStepIfNeeded(headSlot);
+        }
+    }
+
+    async function ingestUpTo(slot) {
+        const lastProcessedSlot = await storage.getMeta('last_processed_slot');
+        const startSlot = lastProcessedSlot !== null ? parseInt(lastProcessedSlot, 10) + 1 : 0;
+        if (startSlot <= slot) {
+            await ingestBlocks(startSlot, slot);
+        }
+    }
+
+    // Computes and stores every cohort's stats at currentHeadSlot, and returns them
+    async function runFinalStep(currentHeadSlot) {
+        const networkActiveValidators = await getNetworkActiveValidatorCount(currentHeadSlot);
+        const allStats = [];
+        for (const cohort of cohorts) {
+            if (stopped) return allStats;
+            allStats.push(await runCohortFinalStep(cohort.name, currentHeadSlot, networkActiveValidators));
+            counts.stats++;
+        }
+
+        // Store this so we know next time we run, we have the stats
+        await storage.setMeta('last_stats_for_slot', currentHeadSlot.toString());
+        if (alerts) await alerts.evaluate({ stats: allStats });
+        return allStats;
+    }
+
+    /**
+     * Every validator that ever proposed with a matching graffiti has a
+     * cohort_validators row; the membership mode picks the ones that count at
+     * `slot`. Returns those rows and the picked validator indices.
+     */
+    async function loadCohortValidators(cohortName, slot) {
+        const rows = await storage.listCohortValidators(cohortName);
+        return { rows, validatorIndices: rows.filter(row => membership.isMember(row, slot)).map(row => row.validator_index) };
+    }
+
+    /**
+     * Computes one cohort's stats at currentHeadSlot, stores them as a
+     * stats_history entry and returns them.
+     */
+    async function runCohortFinalStep(cohortName, currentHeadSlot, networkActiveValidators) {
+        logger.info(`Loading the ${cohortName} cohort from cohort_members...`);
+
+        // 1) The cohort's validators under the membership mode
+        const { rows: cohortValidatorRows, validatorIndices: uniqueProposers } = await loadCohortValidators(cohortName, currentHeadSlot);
+        const churnFromSlot = Math.max(currentHeadSlot - churnDays * slotsPerDay, -1);
+        const membershipStats = {
+            membership: membership.membership,
+            membership_days: membership.membershipDays,
+            ever_proposers: cohortValidatorRows.length,
+            churn_days: churnDays,
+            ...membership.churn(cohortValidatorRows, churnFromSlot, currentHeadSlot)
+        };
+
+        // proposer_index -> fee recipients used in its matching blocks
+        const feeRecipientsByProposer = new Map();
+        // proposer_index -> "consensus/execution" client pair named in its latest graffiti that had one
+        const clientPairByProposer = new Map();
+        await storage.forEachCohortMember(cohortName, doc => {
+            if (doc.proposer_index != null) {
+                if (doc.fee_recipient) {
+                    if (!feeRecipientsByProposer.has(doc.proposer_index)) {
+                        feeRecipientsByProposer.set(doc.proposer_index, new Set());
+                    }
+                    feeRecipientsByProposer.get(doc.proposer_index).add(doc.fee_recipient);
+                }
+                if (doc.consensus_client || doc.execution_client) {
+                    clientPairByProposer.set(
+                        doc.proposer_index,
+                        `${doc.consensus_client || 'unknown'}/${doc.execution_client || 'unknown'}`
+                    );
+                }
+            }
+        });
+        logger.info(
+            `Found ${uniqueProposers.length} unique proposers using ${cohortName} graffiti ` +
+            `(membership=${membership.membership}, ${cohortValidatorRows.length} ever). ` +
+            `Last ${churnDays} days: ${membershipStats.joiners} joined, ${membershipStats.leavers} left.`
+        );
+
+        if (uniqueProposers.length === 0) {
+            // No need to do anything else
+            metrics.cohortProposers.set({ cohort: cohortName }, 0);
+            metrics.cohortActiveValidators.set({ cohort: cohortName }, 0);
+            metrics.cohortUniqueOperators.set({ cohort: cohortName }, 0);
+            const emptyStats = {
+                cohort: cohortName,
+                network: chain.network,
+                slot: currentHeadSlot,
+                slot_time: chain.slotTime(currentHeadSlot),
+                unique_proposers: 0,
+                ...membershipStats,
+                active_ongoing: 0,
+                active_validators: 0,
+                status_counts: summarizeStatusCounts([]),
+                total_effective_balance_gwei: 0,
+                network_active_validators: networkActiveValidators,
+                network_active_share: networkActiveValidators ? 0 : null,
+                ...(await getMissedProposalStats([])),
+                ...(await getWithdrawalStats(cohortName, currentHeadSlot)),
+                ...(await getPerformanceStats([], currentHeadSlot)),
+                unique_operators: 0,
+                unique_fee_recipients: 0,
+                bls_credentials: 0,
+                bls_fee_recipients: 0,
+                client_pairs: {},
+                run_ts: new Date()
+            };
+            await storage.insertStats(emptyStats);
+            return emptyStats;
+        }
+
+        // 2) For concurrency-limited checking, figure out which ones have no validator doc
+        const existingDocs = await storage.getValidators(uniqueProposers);
+        const alreadyCheckedSet = new Set(existingDocs.map(d => d.validator_index));
+        const neverCheckedValidators = uniqueProposers.filter(valIndex => !alreadyCheckedSet.has(valIndex));
+
+        logger.info(
+            `We have ${uniqueProposers.length} total ${cohortName} proposers, ` +
+            `${alreadyCheckedSet.size} already checked, ` +
+            `${neverCheckedValidators.length} never checked.`
+        );
+
+        let activeCount = 0;
+
+        if (neverCheckedValidators.length > 0) {
+            logger.info('Concurrency-limited validator checks for new, never-checked validators...');
+            const results = await validators.refresh(neverCheckedValidators);
+
+            // Count how many came back as "active_ongoing"
+            for (const r of results) {
+                if (r && r.last_known_status === 'active_ongoing') {
+                    activeCount++;
+                }
+            }
+        }
+
+        logger.info(`Newly-checked validators that are active_ongoing: ${activeCount}`);
+
+        // 3) Now see how many unique withdrawal addresses among ALL these proposers
+        // (some might have been checked previously)
+        const cohortValidators = await storage.getValidators(uniqueProposers);
+        const addresses = new Set(cohortValidators.map(v => v.withdrawal_address).filter(Boolean));
+
+        const uniqueOperatorsCount = addresses.size;
+        logger.info(
+            `Unique operators (0x01/0x02 withdrawal addresses) among ${cohortName} proposers: ${uniqueOperatorsCount}`
+        );
+
+        // BLS (0x00) credentials have no address yet, so these can't be attributed to an operator
+        const blsValidators = cohortValidators.filter(v => (v.withdrawal_credentials || '').startsWith('0x00'));
+        const blsCredentialsCount = blsValidators.length;
+        logger.info(`${cohortName} proposers still on BLS withdrawal credentials: ${blsCredentialsCount}`);
+
+        // Group by fee recipient too; for BLS validators it is the only link to an operator we have
+        const uniqueFeeRecipients = collectFeeRecipients(feeRecipientsByProposer, uniqueProposers);
+        const blsFeeRecipients = collectFeeRecipients(feeRecipientsByProposer, blsValidators.map(v => v.validator_index));
+        logger.info(
+            `Unique fee recipients among ${cohortName} proposers: ${uniqueFeeRecipients.size}, ` +
+            `among those on BLS credentials: ${blsFeeRecipients.size}`
+        );
+
+        // 4) Break the whole cohort down by beacon status, with its total effective balance
+        const statusCounts = summarizeStatusCounts(cohortValidators);
+        // Proposers we never managed to fetch a validator doc for
+        statusCounts.unknown += uniqueProposers.length - cohortValidators.length;
+
+        const totalEffectiveBalance = cohortValidators.reduce((sum, v) => sum + (v.effective_balance || 0), 0);
+        const activeValidators = statusCounts.active_ongoing + statusCounts.active_exiting + statusCounts.active_slashed;
+        const networkActiveShare = networkActiveValidators ? activeValidators / networkActiveValidators : null;
+        logger.info(
+            `Cohort status breakdown: ${Object.entries(statusCounts).map(([k, v]) => `${k}=${v}`).join(', ')}`
+        );
+
+        const missedProposalStats = await getMissedProposalStats(uniqueProposers);
+        const withdrawalStats = await getWithdrawalStats(cohortName, currentHeadSlot);
+        const performanceStats = await getPerformanceStats(uniqueProposers, currentHeadSlot);
+        const clientPairs = summarizeClientPairs(uniqueProposers, clientPairByProposer);
+        logger.info(
+            `Cohort client pairs (consensus/execution): ${Object.entries(clientPairs).map(([k, v]) => `${k}=${v}`).join(', ')}`
+        );
+
+        metrics.cohortProposers.set({ cohort: cohortName }, uniqueProposers.length);
+        metrics.cohortActiveValidators.set({ cohort: cohortName }, activeValidators);
+        metrics.cohortUniqueOperators.set({ cohort: cohortName }, uniqueOperatorsCount);
+
+        // 5) Insert a doc in stats_history
+        const stats = {
+            cohort: cohortName,
+            network: chain.network,
+            slot: currentHeadSlot,
+            slot_time: chain.slotTime(currentHeadSlot),
+            unique_proposers: uniqueProposers.length,
+            ...membershipStats,
+            newly_active_ongoing: activeCount,
+            active_ongoing: statusCounts.active_ongoing,
+            active_validators: activeValidators,
+            status_counts: statusCounts,
+            total_effective_balance_gwei: totalEffectiveBalance,
+            network_active_validators: networkActiveValidators,
+            network_active_share: networkActiveShare,
+            ...missedProposalStats,
+            ...withdrawalStats,
+            ...performanceStats,
+            unique_operators: uniqueOperatorsCount,
+            unique_fee_recipients: uniqueFeeRecipients.size,
+            bls_credentials: blsCredentialsCount,
+            bls_fee_recipients: blsFeeRecipients.size,
+            client_pairs: clientPairs,
+            run_ts: new Date()
+        };
+        await storage.insertStats(stats);
+
+        const sharePct = networkActiveShare !== null ? `${(networkActiveShare * 100).toFixed(3)}%` : 'n/a';
+        logger.info(
+            `Final step done. Stats at slot=${currentHeadSlot}: ${cohortName}_validator_proposers=${uniqueProposers.length}, ` +
+            `active_validators=${activeValidators} (${sharePct} of network), newly_active_ongoing=${activeCount}, ` +
+            `unique_operators=${uniqueOperatorsCount}, unique_fee_recipients=${uniqueFeeRecipients.size}, bls_credentials=${blsCredentialsCount}, total_effective_balance_gwei=${totalEffectiveBalance}, ` +
+            `missed_proposal_rate=${formatRate(missedProposalStats.missed_proposal_rate)} (network ${formatRate(missedProposalStats.network_missed_proposal_rate)}), ` +
+            `swept_${withdrawalStats.withdrawals_days}d_gwei=${withdrawalStats.withdrawals.partial_gwei}, ` +
+            `attestation_effectiveness_${performanceStats.performance_days}d=${formatRate(performanceStats.performance.attestations.effectiveness)} ` +
+            `(network ${formatRate(performanceStats.performance.network.attestations.effectiveness)})`
+        );
+        return stats;
+    }
+
+    /**
+     * Missed-proposal rate of the cohort and of the whole network, over the slots
+     * ingested since we started attributing empty slots to their scheduled proposer.
+     */
+    async function getMissedProposalStats(cohortIndices) {
+        const sinceSlotMeta = await storage.getMeta('proposer_duties_since_slot');
+        if (sinceSlotMeta === null) {
+            return {
+                missed_since_slot: null,
+                cohort_proposals: 0,
+                missed_proposals: 0,
+                missed_proposal_rate: null,
+                network_missed_proposal_rate: null
+            };
+        }
+        const sinceSlot = parseInt(sinceSlotMeta, 10);
+        const [cohortProposals, missedProposals, networkProposals, networkMissed] = await Promise.all([
+            storage.countBlocks({ fromSlot: sinceSlot, proposerIndices: cohortIndices }),
+            storage.countEmptySlots({ fromSlot: sinceSlot, proposerIndices: cohortIndices }),
+            storage.countBlocks({ fromSlot: sinceSlot }),
+            storage.countEmptySlots({ fromSlot: sinceSlot, attributedOnly: true })
+        ]);
+
+        const cohortDuties = cohortProposals + missedProposals;
+        const networkDuties = networkProposals + networkMissed;
+        return {
+            missed_since_slot: sinceSlot,
+            cohort_proposals: cohortProposals,
+            missed_proposals: missedProposals,
+            missed_proposal_rate: cohortDuties > 0 ? missedProposals / cohortDuties : null,
+            network_missed_proposal_rate: networkDuties > 0 ? networkMissed / networkDuties : null
+        };
+    }
+
+    /**
+     * The cohort's withdrawals over the withdrawalStatsDays days up to headSlot:
+     * partial (swept rewards) and full (exits), with how many validators and
+     * withdrawal addresses received them.
+     */
+    async function getWithdrawalStats(cohortName, headSlot) {
+        const to = chain.slotTime(headSlot);
+        const from = new Date(to.getTime() - withdrawalStatsDays * 24 * 60 * 60 * 1000);
+        const [totals, byValidator, byAddress] = await Promise.all([
+            summarizeCohortWithdrawals(storage, { cohort: cohortName, from, to }),
+            summarizeCohortWithdrawals(storage, { cohort: cohortName, from, to, by: 'validator' }),
+            summarizeCohortWithdrawals(storage, { cohort: cohortName, from, to, by: 'address' })
+        ]);
+        return {
+            withdrawals_days: withdrawalStatsDays,
+            withdrawals: { ...totals, validators: byValidator.length, addresses: byAddress.length }
+        };
+    }
+
+    /**
+     * The attestation and sync committee performance of validatorIndices over the
+     * performanceStatsDays days up to headSlot, next to the network baseline over
+     * the same days. Both stay empty until the performance job has collected them.
+     */
+    async function getPerformanceStats(validatorIndices, headSlot) {
+        const to = chain.slotTime(headSlot);
+        const from = new Date(to.getTime() - performanceStatsDays * 24 * 60 * 60 * 1000);
+        const [totals, network] = await Promise.all([
+            summarizePerformance(storage, { validatorIndices, from, to }),
+            summarizeNetworkPerformance(storage, { from, to })
+        ]);
+        return {
+            performance_days: performanceStatsDays,
+            performance: { ...totals, network }
+        };
+    }
+
+    /**
+     * The network-wide active validator count at headSlot's epoch. It only changes
+     * at epoch boundaries and takes every committee of the state to count, so it is
+     * kept in meta and fetched again only once the epoch moves on.
+     */
+    async function getNetworkActiveValidatorCount(headSlot) {
+        const epoch = chain.slotToEpoch(headSlot);
+        const cached = await storage.getMeta('network_active_validators');
+        if (cached !== null) {
+            const { epoch: cachedEpoch, count } = JSON.parse(cached);
+            if (cachedEpoch === epoch) return count;
+        }
+        try {
+            const count = await beacon.getActiveValidatorCount(String(headSlot));
+            await storage.setMeta('network_active_validators', JSON.stringify({ epoch, count }));
+            return count;
+        } catch (err) {
+            logger.warn(`Could not get the network-wide active validator count: ${err.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Re-checks every slot stored since the last run's finalized slot against the
+     * canonical chain, and rolls back everything from the first mismatch onwards so
+     * that ingestBlocks fetches it again.
+     */
+    async function checkUnfinalizedTail(finalizedSlot) {
+        const lastProcessedSlot = await storage.getMeta('last_processed_slot');
+        if (lastProcessedSlot === null) return;
+        const lastProcessed = parseInt(lastProcessedSlot, 10);
+
+        // Without a recorded finalized slot (DBs from before reorg handling) only re-check what is still unfinalized
+        const lastFinalizedSlot = await storage.getMeta('last_finalized_slot');
+        const fromSlot = lastFinalizedSlot !== null
+            ? parseInt(lastFinalizedSlot, 10) + 1
+            : Math.min(finalizedSlot, lastProcessed) + 1;
+        if (fromSlot > lastProcessed) return;
+
+        logger.info(`Re-checking unfinalized tail [${fromSlot}..${lastProcessed}] against the canonical chain...`);
+        const reorgSlot = await findFirstNonCanonicalSlot(fromSlot, lastProcessed);
+        if (reorgSlot === null) {
+            logger.info('Unfinalized tail matches the canonical chain.');
+            return;
+        }
+
+        logger.warn(`Reorg detected at slot ${reorgSlot}. Rolling back slots [${reorgSlot}..${lastProcessed}]...`);
+        const rolledBack = await storage.getBlocksInRange(reorgSlot, lastProcessed);
+        const deletedCount = await storage.deleteSlotsFrom(reorgSlot);
+        await storage.refreshCohortValidators(rolledBack.map(b => b.proposer_index));
+        await storage.setMeta('last_processed_slot', (reorgSlot - 1).toString());
+        logger.warn(`Rolled back ${deletedCount} block(s). They will be re-ingested from slot ${reorgSlot}.`);
+    }
+
+    async function findFirstNonCanonicalSlot(fromSlot, toSlot) {
+        const storedBlocks = await storage.getBlocksInRange(fromSlot, toSlot);
+        const storedBySlot = new Map(storedBlocks.map(b => [b.slot, b]));
+
+        // The last stored block before the tail anchors the parent-root chain
+        const anchor = await storage.getLastBlockBefore(fromSlot);
+        let previousRoot = anchor ? anchor.block_root || null : null;
+
+        for (let batchStart = fromSlot; batchStart <= toSlot; batchStart += concurrency) {
+            const batchEnd = Math.min(batchStart + concurrency - 1, toSlot);
+            const slots = [];
+            for (let s = batchStart; s <= batchEnd; s++) {
+                slots.push(s);
+            }
+            const headers = await Promise.all(slots.map(slot => beacon.getBlockHeader(slot)));
+
+            for (let i = 0; i < slots.length; i++) {
+                const stored = storedBySlot.get(slots[i]);
+                const canonicalRoot = headers[i] ? headers[i].root : null;
+                const storedRoot = stored ? stored.block_root || null : null;
+                if (canonicalRoot !== storedRoot) {
+                    return slots[i];
+                }
+                if (stored) {
+                    if (previousRoot && stored.parent_root !== previousRoot) {
+                        return slots[i];
+                    }
+                    previousRoot = stored.block_root;
+                }
+            }
+        }
+        return null;
+    }
+
+    async function updateLastFinalizedSlot(finalizedSlot) {
+        const lastProcessedSlot = await storage.getMeta('last_processed_slot');
+        if (lastProcessedSlot === null) return;
+        const lastFinalized = Math.min(finalizedSlot, parseInt(lastProcessedSlot, 10));
+        await storage.setMeta('last_finalized_slot', lastFinalized.toString());
+    }
+    async function ingestBlocks(startSlot, endSlot) {
+        const totalSlots = endSlot - startSlot + 1;
+        const totalBatches = Math.ceil(totalSlots / batchSize);
+        logger.info(`Starting ingestion of ${totalSlots} slots in ${totalBatches} batch(es).`);
+
+        const scriptStart = Date.now();
+        let batchCount = 0;
+        let totalBatchTime = 0;
+
+        for (let batchStart = startSlot; batchStart <= endSlot; batchStart += batchSize) {
+            if (stopped) {
+                logger.warn('Shutdown requested during ingestion. Stopping early...');
+                break;
+            }
+
+            const batchEnd = Math.min(batchStart + batchSize - 1, endSlot);
+            const slotsThisBatch = [];
+            for (let s = batchStart; s <= batchEnd; s++) {
+                slotsThisBatch.push(s);
+            }
+
+            const batchStartTime = Date.now();
+            logger.info(
+                `Ingesting slots [${batchStart}..${batchEnd}] (${slotsThisBatch.length} slots)...`
+            );
+
+            // concurrency-limited fetch
+            await processBatchSlots(slotsThisBatch);
+
+            // after this batch
+            batchCount++;
+            const batchElapsed = Date.now() - batchStartTime;
+            metrics.batchDuration.observe(batchElapsed / 1000);
+            totalBatchTime += batchElapsed;
+            const avgBatchTime = totalBatchTime / batchCount;
+            const batchesLeft = totalBatches - batchCount;
+            const etaMs = avgBatchTime * batchesLeft;
+
+            logger.info(
+                `Batch done in ${formatDurationMs(batchElapsed)}. 
+      Batches done=${batchCount}/${totalBatches}. ETA: ${formatDurationMs(etaMs)}`
+            );
+
+            // The last slot we fully processed is batchEnd
+            await storage.setMeta('last_processed_slot', batchEnd.toString());
+            metrics.setLastProcessedSlot(batchEnd);
+        }
+
+        const totalElapsed = Date.now() - scriptStart;
+        logger.info(
+            `Finished ingestion up to slot=${endSlot}. Total time: ${formatDurationMs(totalElapsed)}`
+        );
+
+        const failedCount = await storage.countFailedSlots();
+        if (failedCount > 0) {
+            logger.warn(`${failedCount} slot(s) in failed_slots. Run "dappnode-validators repair" to retry them.`);
+        }
+    }
+
+    async function processBatchSlots(slotArray) {
+        if (cohortValidatorIndices === null) {
+            cohortValidatorIndices = new Set(await storage.listCohortProposerIndices());
+        }
+        const succeededSlots = [];
+        // Cohort validators that proposed in this batch, whatever their graffiti; their cohort_validators rows change
+        const proposedValidators = new Set();
+        await runWorkerPool(slotArray, concurrency, async slot => {
+            try {
+                const block = await getBeaconBlock(slot);
+                if (block) {
+                    const doc = toBlockDoc(slot, block.root, block.data);
+                    await storage.upsertBlocks([doc]);
+                    const members = toCohortMembers(doc);
+                    await storage.upsertCohortMembers(members);
+                    if (members.length > 0 && doc.proposer_index !== null) {
+                        cohortValidatorIndices.add(doc.proposer_index);
+                    }
+                    if (cohortValidatorIndices.has(doc.proposer_index)) {
+                        proposedValidators.add(doc.proposer_index);
+                    }
+                    await storeCohortWithdrawals(slot, block.data);
+                    metrics.slotsIngested.inc({ result: 'block' });
+                    recordSlot(slot, 'blocks');
+                } else {
+                    // a real 404, record it so gap scans don't mistake it for a lost block
+                    // and attribute the missed proposal to whoever was scheduled for it
+                    await storage.insertEmptySlots([{
+                        slot,
+                        proposer_index: await getScheduledProposer(slot),
+                        checked_ts: new Date()
+                    }]);
+                    metrics.slotsIngested.inc({ result: 'empty' });
+                    recordSlot(slot, 'empty_slots');
+                }
+                succeededSlots.push(slot);
+            } catch (err) {
+                logger.error(
+                    `processBatchSlots: Slot ${slot} failed after retries. Err=${err.message}`
+                );
+                await storage.recordFailedSlot(slot, err.message, retryLimit);
+                metrics.slotsIngested.inc({ result: 'failed' });
+                recordSlot(slot, 'failed_slots');
+                recordError(`Slot ${slot}: ${err.message}`);
+            }
+        }, () => stopped);
+
+        await storage.refreshCohortValidators([...proposedValidators]);
+        await storage.clearFailedSlots(succeededSlots);
+        await fillBlockRoots(slotArray);
+    }
+
+    /**
+     * Blocks fetched by slot come without their root. A block's root is the
+     * parent_root of the next block, so it is filled in once that one is stored
+     * and every slot between them is known; until then it stays null.
+     *
+     * Repairs and backfill windows hand over sparse slot lists, so roots are
+     * filled one contiguous run of `slots` at a time, each up to the next stored
+     * block, rather than over everything between the first and the last slot.
+     */
+    async function fillBlockRoots(slots) {
+        const sorted = [...slots].sort((a, b) => a - b);
+        let start = 0;
+        for (let i = 1; i <= sorted.length; i++) {
+            if (i < sorted.length && sorted[i] === sorted[i - 1] + 1) continue;
+            const [next] = await storage.listBlocksAfter(sorted[i - 1], { limit: 1 });
+            await fillBlockRootsInRange(sorted[start], next ? next.slot : sorted[i - 1]);
+            start = i;
+        }
+    }
+
+    async function fillBlockRootsInRange(fromSlot, toSlot) {
+        const blocks = await storage.getBlocksInRange(fromSlot, toSlot);
+        const previous = await storage.getLastBlockBefore(fromSlot);
+        if (previous) blocks.unshift(previous);
+        if (!blocks.some(block => !block.block_root)) return;
+        const known = new Set(await storage.getKnownSlotsInRange(blocks[0].slot, blocks[blocks.length - 1].slot));
+        const filled = [];
+        for (let i = 0; i + 1 < blocks.length; i++) {
+            const [block, next] = [blocks[i], blocks[i + 1]];
+            if (block.block_root) continue;
+            let contiguous = true;
+            for (let s = block.slot + 1; s < next.slot && contiguous; s++) {
+                contiguous = known.has(s);
+            }
+            if (contiguous) filled.push({ slot: block.slot, block_root: next.parent_root });
+        }
+        await storage.upsertBlocks(filled);
+    }
+
+    // since we are ingesting all blocks, we can rebuild the cohort later for any other graffiti
+    function toBlockDoc(slot, root, blockData) {
+        const { graffiti, proposerIndex, parentRoot, execution } = extractGraffitiAndProposer(blockData);
+        return {
+            slot,
+            proposer_index: proposerIndex ?? null,
+            graffiti: graffiti || '',
+            block_root: root,
+            parent_root: parentRoot,
+            ...execution
+        };
+    }
+
+    /**
+     * The block's withdrawals to cohort validators. Validators count from their
+     * first cohort block on, so earlier withdrawals of theirs are not kept.
+     */
+    function cohortWithdrawals(slot, blockData) {
+        const withdrawals = extractWithdrawals(blockData).filter(w => cohortValidatorIndices.has(w.validator_index));
+        if (withdrawals.length === 0) return [];
+        const ts = chain.slotTime(slot);
+        const epoch = chain.slotToEpoch(slot);
+        const day = ts.toISOString().slice(0, 10);
+        return withdrawals.map(w => ({ ...w, slot, epoch, day, ts }));
+    }
+
+    async function storeCohortWithdrawals(slot, blockData) {
+        const withdrawals = cohortWithdrawals(slot, blockData);
+        await storage.insertWithdrawals(withdrawals);
+        counts.withdrawals += withdrawals.length;
+    }
+
+    /**
+     * Imports blocks from the era archives in `dir` instead of fetching them one by
+     * one, from last_processed_slot on, in bulk writes of batchSize slots. Archives
+     * only hold finalized blocks, and a block's root is taken from the next block's
+     * parent_root (nothing in the archive states it), so the last archived block is
+     * left to the HTTP path: last_processed_slot ends up right before it. Before
+     * writing anything, the newest archive's last block is checked against the
+     * beacon node, so archives of another chain are turned down. Empty slots are
+     * stored without a proposer, as the duties are not archived; missed-proposal
+     * rates only count slots ingested over HTTP anyway.
+     */
+    async function importEraArchives(dir) {
+        const files = (await listEraFiles(dir)).filter(f => f.era > 0);
+        if (files.length === 0) {
+            throw configError(`No era files (<network>-<era>-<root>.era) in ${dir}`);
+        }
+        const otherNetwork = files.find(f => f.network !== chain.network);
+        if (otherNetwork) {
+            throw configError(`${otherNetwork.file} is a ${otherNetwork.network} archive, but NETWORK is ${chain.network}`);
+        }
+        if (cohortValidatorIndices === null) {
+            cohortValidatorIndices = new Set(await storage.listCohortProposerIndices());
+        }
+
+        const lastProcessedSlot = await storage.getMeta('last_processed_slot');
+        const startSlot = lastProcessedSlot !== null ? parseInt(lastProcessedSlot, 10) + 1 : 0;
+        await checkArchivedChain(files[files.length - 1].file);
+        logger.info(`Importing ${files.length} era file(s) from ${dir}, from slot ${startSlot}...`);
+
+        // The next slot to import, and the last block read, which waits for the next one to know its root
+        let nextSlot = startSlot;
+        let pending = null;
+        let batch = { blocks: [], emptySlots: [], members: [], withdrawals: [] };
+
+        const flush = async () => {
+            await storage.upsertBlocks(batch.blocks);
+            await storage.upsertCohortMembers(batch.members);
+            await storage.refreshCohortValidators(
+                batch.blocks.map(b => b.proposer_index).filter(index => cohortValidatorIndices.has(index))
+            );
+            await storage.insertWithdrawals(batch.withdrawals);
+            await storage.insertEmptySlots(batch.emptySlots);
+            const lastSlot = (pending ? pending.slot : nextSlot) - 1;
+            if (lastSlot >= startSlot) {
+                await storage.setMeta('last_processed_slot', lastSlot.toString());
+                metrics.setLastProcessedSlot(lastSlot);
+            }
+            batch = { blocks: [], emptySlots: [], members: [], withdrawals: [] };
+        };
+
+        const addBlock = (block, root) => {
+            const doc = toBlockDoc(block.slot, root, block.data);
+            const members = toCohortMembers(doc);
+            if (members.length > 0 && doc.proposer_index !== null) {
+                cohortValidatorIndices.add(doc.proposer_index);
+            }
+            const withdrawals = cohortWithdrawals(block.slot, block.data);
+            batch.blocks.push(doc);
+            batch.members.push(...members);
+            batch.withdrawals.push(...withdrawals);
+            counts.withdrawals += withdrawals.length;
+            metrics.slotsIngested.inc({ result: 'block' });
+            recordSlot(block.slot, 'blocks');
+        };
+
+        for (const { file, era } of files) {
+            if (stopped) break;
+            const archive = await openEraFile(file);
+            try {
+                if (archive.endSlot === null || archive.endSlot < nextSlot) continue;
+                if (archive.startSlot > nextSlot && nextSlot === startSlot) {
+                    throw configError(`No era file in ${dir} holds slot ${startSlot}, where the import has to start (the first one starts at ${archive.startSlot})`);
+                }
+                if (archive.startSlot > nextSlot) {
+                    logger.warn(`No archive holds slot ${nextSlot} (${file} starts at ${archive.startSlot}). Stopping the import there.`);
+                    break;
+                }
+                const eraStart = Date.now();
+                for await (const { slot, data } of archive.slots(nextSlot)) {
+                    if (stopped) break;
+                    if (data) {
+                        if (pending) addBlock(pending, data.message.parent_root);
+                        pending = { slot, data };
+                    } else {
+                        batch.emptySlots.push({ slot, proposer_index: null, checked_ts: new Date() });
+                        metrics.slotsIngested.inc({ result: 'empty' });
+                        recordSlot(slot, 'empty_slots');
+                    }
+                    nextSlot = slot + 1;
+                    if (batch.blocks.length + batch.emptySlots.length >= batchSize) await flush();
+                }
+                await flush();
+                if (stopped) continue;
+                logger.info(`Imported era ${era}, slots [${archive.startSlot}..${archive.endSlot}], in ${formatDurationMs(Date.now() - eraStart)}.`);
+            } finally {
+                await archive.close();
+            }
+        }
+        await flush();
+
+        if (stopped) {
+            logger.warn('Shutdown requested during era import. Run it again to resume.');
+        } else if (pending) {
+            logger.info(`Era import done. Slot ${pending.slot} on is left to the beacon node.`);
+        } else {
+            logger.info('Era import done. No new blocks in the archives.');
+        }
+    }
+
+    async function checkArchivedChain(file) {
+        const archive = await openEraFile(file);
+        let block;
+        try {
+            block = await archive.lastBlock();
+        } finally {
+            await archive.close();
+        }
+        if (!block) return;
+        const header = await beacon.getBlockHeader(block.slot);
+        if (!header) {
+            logger.warn(`The beacon node has no block at slot ${block.slot}, so the archives can't be checked against it.`);
+            return;
+        }
+        if (header.header.message.parent_root !== block.data.message.parent_root) {
+            throw configError(
+                `The archived block at slot ${block.slot} does not match the beacon node's ` +
+                `(parent root ${block.data.message.parent_root} vs ${header.header.message.parent_root}). ` +
+                'The archives are not of this chain.'
+            );
+        }
+    }
+
+    /**
+     * Retries every slot in the failed_slots ledger. Slots that succeed are removed
+     * from it, slots that fail again get their attempt count and error updated.
+     */
+    async function repairFailedSlots() {
+        const slots = await storage.listFailedSlots();
+        if (slots.length === 0) {
+            logger.info('No failed slots to repair.');
+            return;
+        }
+
+        logger.info(`Repairing ${slots.length} failed slot(s)...`);
+        await getFinalizedSlot();
+        for (let i = 0; i < slots.length; i += batchSize) {
+            if (stopped) {
+                logger.warn('Shutdown requested during repair. Stopping early...');
+                break;
+            }
+            await processBatchSlots(slots.slice(i, i + batchSize));
+        }
+
+        const remaining = await storage.countFailedSlots();
+        logger.info(`Repair done. ${slots.length - remaining} slot(s) repaired, ${remaining} still failing.`);
+    }
+
+    /**
+     * Finds every slot in [fromSlot..toSlot] that is neither in blocks nor recorded as
+     * an empty slot, and ingests it. Works in windows of GAP_SCAN_WINDOW slots so the
+     * whole range never has to be held in memory.
+     */
+    async function scanGaps(fromSlot, toSlot) {
+        logger.info(`Scanning slots [${fromSlot}..${toSlot}] for gaps...`);
+        await getFinalizedSlot();
+        let gapCount = 0;
+
+        for (let windowStart = fromSlot; windowStart <= toSlot; windowStart += GAP_SCAN_WINDOW) {
+            if (stopped) {
+                logger.warn('Shutdown requested during gap scan. Stopping early...');
+                break;
+            }
+
+            const windowEnd = Math.min(windowStart + GAP_SCAN_WINDOW - 1, toSlot);
+            const knownSlots = new Set(await storage.getKnownSlotsInRange(windowStart, windowEnd));
+
+            const missingSlots = [];
+            for (let s = windowStart; s <= windowEnd; s++) {
+                if (!knownSlots.has(s)) missingSlots.push(s);
+            }
+            if (missingSlots.length === 0) continue;
+
+            gapCount += missingSlots.length;
+            logger.info(`Found ${missingSlots.length} missing slot(s) in [${windowStart}..${windowEnd}]. Ingesting...`);
+            for (let i = 0; i < missingSlots.length; i += batchSize) {
+                await processBatchSlots(missingSlots.slice(i, i + batchSize));
+            }
+        }
+
+        const failedCount = await storage.countFailedSlots();
+        logger.info(`Gap scan done. ${gapCount} missing slot(s) ingested, ${failedCount} slot(s) in failed_slots.`);
+    }
+
+    // epoch -> Promise<Map<slot, validator_index>>, shared by all workers needing that epoch
+    const proposerDutiesCache = new Map();
+
+    async function getScheduledProposer(slot) {
+        const epoch = chain.slotToEpoch(slot);
+        if (!proposerDutiesCache.has(epoch)) {
+            proposerDutiesCache.set(epoch, fetchProposerDuties(epoch));
+            if (proposerDutiesCache.size > PROPOSER_DUTIES_CACHE_SIZE) {
+                proposerDutiesCache.delete(proposerDutiesCache.keys().next().value);
+            }
+        }
+        const duties = await proposerDutiesCache.get(epoch);
+        return duties.has(slot) ? duties.get(slot) : null;
+    }
+
+    async function fetchProposerDuties(epoch) {
+        try {
+            const duties = await beacon.getProposerDuties(epoch);
+            return new Map(duties.map(d => [parseInt(d.slot, 10), parseInt(d.validator_index, 10)]));
+        } catch (err) {
+            // Some nodes only serve duties for recent epochs; those empty slots stay unattributed
+            logger.warn(`Could not get proposer duties for epoch ${epoch}: ${err.message}`);
+            return new Map();
+        }
+    }
+
+    async function getFinalizedSlot() {
+        const header = await beacon.getBlockHeader('finalized');
+        if (!header) {
+            throw new Error('No data from /eth/v1/beacon/headers/finalized');
+        }
+        const finalizedSlot = parseInt(header.header.message.slot, 10);
+        knownFinalizedSlot = Math.max(knownFinalizedSlot, finalizedSlot);
+        return finalizedSlot;
+    }
+
+    async function getBeaconBlock(slot) {
+        if (slot <= knownFinalizedSlot) {
+            // A finalized slot's block can't change, so one request by slot does; the root is filled in later
+            const resp = await beacon.request(`/eth/v2/beacon/blocks/${slot}`);
+            if (resp.status === 404) return null;
+            if (!resp.ok) {
+                throw new Error(`HTTP status ${resp.status} at slot=${slot}`);
+            }
+            const json = await resp.json();
+            return { root: null, data: json.data };
+        }
+        // In the unfinalized tail, resolve the canonical root first and fetch the block by root, so both refer to the same block
+        const header = await beacon.getBlockHeader(slot);
+        if (!header) {
+            // no block at this slot
+            return null;
+        }
+        const resp = await beacon.request(`/eth/v2/beacon/blocks/${header.root}`);
+        if (!resp.ok) {
+            throw new Error(`HTTP status ${resp.status} at slot=${slot}`);
+        }
+        const json = await resp.json();
+        return { root: header.root, data: json.data };
+    }
+
+    return {
+        cohorts,
+        checkCohortConfig,
+        ingest: runIngestion,
+        follow,
+        computeStats: runFinalStep,
+        listCohortValidatorIndices: async (cohortName, slot) => (await loadCohortValidators(cohortName, slot)).validatorIndices,
+        backfill: scanGaps,
+        repair: repairFailedSlots,
+        rebuildCohort,
+        importEra: importEraArchives,
+        stop,
+        progress,
+        get stopped() {
+            return stopped;
+        }
+    };
+}
+
+function formatRate(rate) {
+    return rate !== null ? `${(rate * 100).toFixed(3)}%` : 'n/a';
+}
+
+function collectFeeRecipients(feeRecipientsByProposer, validatorIndices) {
+    const feeRecipients = new Set();
+    for (const valIndex of validatorIndices) {
+        for (const feeRecipient of feeRecipientsByProposer.get(valIndex) || []) {
+            feeRecipients.add(feeRecipient);
+        }
+    }
+    return feeRecipients;
+}
+
+// Validators per client pair; those whose graffiti never named a client count as "unknown"
+function summarizeClientPairs(validatorIndices, clientPairByProposer) {
+    const counts = {};
+    for (const valIndex of validatorIndices) {
+        const pair = clientPairByProposer.get(valIndex) || 'unknown';
+        counts[pair] = (counts[pair] || 0) + 1;
+    }
+    return counts;
+}
+
+/**
+ * Counts validator docs per last_known_status, with every beacon status present
+ * (0 if none) and anything unrecognised under "unknown".
+ */
+function summarizeStatusCounts(validators) {
+    const counts = {};
+    for (const status of VALIDATOR_STATUSES) {
+        counts[status] = 0;
+    }
+    counts.unknown = 0;
+    for (const validator of validators) {
+        if (VALIDATOR_STATUSES.includes(validator.last_known_status)) {
+            counts[validator.last_known_status]++;
+        } else {
+            counts.unknown++;
+        }
+    }
+    return counts;
+}
+
+function extractGraffitiAndProposer(blockData) {
+    if (!blockData) {
+        return { graffiti: null, proposerIndex: null, parentRoot: null, execution: extractExecutionPayload(null) };
+    }
+    try {
+        const proposerIndex = parseInt(blockData.message.proposer_index, 10);
+        const rawGraffiti = blockData.message.body.graffiti;
+        const graffiti = decodeGraffiti(rawGraffiti);
+        const parentRoot = blockData.message.parent_root;
+        const execution = extractExecutionPayload(blockData.message.body.execution_payload);
+        return { graffiti, proposerIndex: Number.isNaN(proposerIndex) ? null : proposerIndex, parentRoot, execution };
+    } catch (err) {
+        return { graffiti: null, proposerIndex: null, parentRoot: null, execution: extractExecutionPayload(null) };
+    }
+}
+
+// Pre-merge blocks have no execution payload, so every field is null for them
+function extractExecutionPayload(payload) {
+    if (!payload) {
+        return {
+            fee_recipient: null,
+            block_number: null,
+            extra_data: null,
+            gas_used: null,
+            execution_timestamp: null
+        };
+    }
+    return {
+        fee_recipient: payload.fee_recipient.toLowerCase(),
+        block_number: parseInt(payload.block_number, 10),
+        extra_data: payload.extra_data,
+        gas_used: parseInt(payload.gas_used, 10),
+        execution_timestamp: parseInt(payload.timestamp, 10)
+    };
+}
+
+function decodeGraffiti(hexStr) {
+    if (!hexStr || !hexStr.startsWith('0x')) return '';
+    const hex = hexStr.slice(2);
+    const buffer = Buffer.from(hex, 'hex');
+    // remove trailing null chars
+    return buffer.toString('ascii').replace(/\x00+$/, '');
+}
+
+module.exports = {
+    VALIDATOR_STATUSES,
+    ingesterConfigFromEnv,
+    createIngester
+};
@@ -0,0 +1,22 @@
+const winston = require('winston');
+
+/**
+ * The console logger every script uses: "[timestamp] [LEVEL] message". With
+ * `stderr`, every level goes to stderr, leaving stdout to a command's output.
+ */
+function createLogger(level = process.env.LOG_LEVEL || 'info', { stderr = false } = {}) {
+    return winston.createLogger({
+        level,
+        format: winston.format.combine(
+            winston.format.timestamp(),
+            winston.format.printf(({ timestamp, level, message }) => {
+                return `[${timestamp}] [${level.toUpperCase()}] ${message}`;
+            })
+        ),
+        transports: [new winston.transports.Console(stderr ? { stderrLevels: Object.keys(winston.config.npm.levels) } : {})]
+    });
+}
+
+module.exports = {
+    createLogger
+};
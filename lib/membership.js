@@ -0,0 +1,60 @@
+const { configError } = require('./errors');
+
+/**
+ * Which validators make up a cohort, from their cohort_validators rows (see
+ * lib/storage): "ever" counts every validator that proposed with a matching
+ * graffiti at least once, "recent" those whose last matching proposal is within
+ * the last `days` days, and "latest" those whose latest proposal matched.
+ */
+const MEMBERSHIP_MODES = ['ever', 'recent', 'latest'];
+
+/**
+ * Returns { isMember(row, slot), churn(rows, fromSlot, toSlot) } for a membership
+ * mode. isMember says whether a validator counts at `slot` (the last stored one).
+ *
+ * churn() counts joiners and leavers in (fromSlot, toSlot]. Joiners are validators
+ * whose first matching proposal falls in it. Leavers are "latest" members whose
+ * first proposal after their last matching one (left_slot) falls in it, or
+ * "recent" members whose last matching proposal left the window in it; "ever"
+ * members never leave. Only first and last matches are kept per validator, so a
+ * validator that left and came back counts as never having left.
+ */
+function createMembership({ membership = 'ever', membershipDays = 30, slotsPerDay }) {
+    if (!MEMBERSHIP_MODES.includes(membership)) {
+        throw configError(`Unknown COHORT_MEMBERSHIP "${membership}". Expected one of: ${MEMBERSHIP_MODES.join(', ')}`);
+    }
+    const windowSlots = membershipDays * slotsPerDay;
+
+    function isMember(row, slot) {
+        if (row.first_seen_slot > slot) return false;
+        if (membership === 'recent') return row.last_seen_slot > slot - windowSlots;
+        if (membership === 'latest') return row.left_slot === null || row.left_slot > slot;
+        return true;
+    }
+
+    function leftAt(row) {
+        if (membership === 'recent') return row.last_seen_slot + windowSlots;
+        if (membership === 'latest') return row.left_slot;
+        return null;
+    }
+
+    function churn(rows, fromSlot, toSlot) {
+        const inPeriod = slot => slot !== null && slot > fromSlot && slot <= toSlot;
+        return {
+            joiners: rows.filter(row => inPeriod(row.first_seen_slot)).length,
+            leavers: rows.filter(row => inPeriod(leftAt(row))).length
+        };
+    }
+
+    return {
+        membership,
+        membershipDays: membership === 'recent' ? membershipDays : null,
+        isMember,
+        churn
+    };
+}
+
+module.exports = {
+    MEMBERSHIP_MODES,
+    createMembership
+};
@@ -0,0 +1,208 @@
+const http = require('http');
+const client = require('prom-client');
+
+/**
+ * Reads the metrics config from the environment. METRICS_PORT serves /metrics
+ * (meant for follow mode), PUSHGATEWAY_URL pushes to a Prometheus Pushgateway
+ * every METRICS_PUSH_INTERVAL_MS and once more at exit (meant for one-shot runs).
+ */
+function metricsConfigFromEnv(env = process.env) {
+    return {
+        port: parseInt(env.METRICS_PORT, 10) || null,
+        pushgatewayUrl: env.PUSHGATEWAY_URL || null,
+        pushIntervalMs: parseInt(env.METRICS_PUSH_INTERVAL_MS, 10) || 60 * 1000
+    };
+}
+
+// Turns a beacon API path into a low-cardinality label, e.g. /eth/v2/beacon/blocks/{root}
+function routeLabel(path) {
+    return path
+        .split('?')[0]
+        .replace(/\/0x[0-9a-fA-F]+/g, '/{root}')
+        .replace(/\/\d+(?=\/|$)/g, '/{id}');
+}
+
+/**
+ * Prometheus metrics shared by the scripts. `job` names the Pushgateway job and
+ * `groupings` (e.g. { mode }) keep the runs of different modes apart there.
+ */
+function createMetrics({ job, groupings = {}, logger, port = null, pushgatewayUrl = null, pushIntervalMs = 60 * 1000 }) {
+    const registry = new client.Registry();
+    client.collectDefaultMetrics({ register: registry });
+    const registers = [registry];
+
+    const metrics = {
+        slotsIngested: new client.Counter({
+            name: 'dappnode_slots_ingested_total',
+            help: 'Slots ingested, by result (block, empty or failed)',
+            labelNames: ['result'],
+            registers
+        }),
+        batchDuration: new client.Histogram({
+            name: 'dappnode_ingest_batch_duration_seconds',
+            help: 'Time to ingest one batch of slots',
+            buckets: [1, 5, 15, 30, 60, 120, 300, 600],
+            registers
+        }),
+        retries: new client.Counter({
+            name: 'dappnode_beacon_request_retries_total',
+            help: 'Beacon API requests retried after a 429, 5xx, timeout or network error, by route',
+            labelNames: ['route'],
+            registers
+        }),
+        beaconConcurrencyLimit: new client.Gauge({
+            name: 'dappnode_beacon_concurrency_limit',
+            help: 'Current limit on concurrent beacon API requests, adapted to the error rate',
+            registers
+        }),
+        beaconRequestDuration: new client.Histogram({
+            name: 'dappnode_beacon_request_duration_seconds',
+            help: 'Beacon API request latency, by route and HTTP status ("network" for connection errors)',
+            labelNames: ['route', 'status'],
+            buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+            registers
+        }),
+        beaconRequestFailures: new client.Counter({
+            name: 'dappnode_beacon_request_failures_total',
+            help: 'Beacon API requests that failed, by route and HTTP status ("network" for connection errors). 404s are not failures',
+            labelNames: ['route', 'status'],
+            registers
+        }),
+        headSlot: new client.Gauge({
+            name: 'dappnode_head_slot',
+            help: 'Latest head slot seen on the beacon node',
+            registers
+        }),
+        lastProcessedSlot: new client.Gauge({
+            name: 'dappnode_last_processed_slot',
+            help: 'last_processed_slot in the database',
+            registers
+        }),
+        ingestionLag: new client.Gauge({
+            name: 'dappnode_ingestion_lag_slots',
+            help: 'Head slot minus last_processed_slot',
+            registers
+        }),
+        lastProgress: new client.Gauge({
+            name: 'dappnode_ingestion_last_progress_timestamp_seconds',
+            help: 'Unix time ingestion last advanced (or found nothing to do); alert on time() minus this to catch stalls',
+            registers
+        }),
+        validatorsChecked: new client.Counter({
+            name: 'dappnode_validators_checked_total',
+            help: 'Validators fetched from the beacon node, by result (ok or failed)',
+            labelNames: ['result'],
+            registers
+        }),
+        cohortProposers: new client.Gauge({
+            name: 'dappnode_cohort_proposers',
+            help: 'Unique proposers in the cohort',
+            labelNames: ['cohort'],
+            registers
+        }),
+        cohortActiveValidators: new client.Gauge({
+            name: 'dappnode_cohort_active_validators',
+            help: 'Active validators (active_ongoing, active_exiting, active_slashed) in the cohort',
+            labelNames: ['cohort'],
+            registers
+        }),
+        cohortUniqueOperators: new client.Gauge({
+            name: 'dappnode_cohort_unique_operators',
+            help: 'Unique 0x01/0x02 withdrawal addresses in the cohort',
+            labelNames: ['cohort'],
+            registers
+        }),
+        alerts: new client.Counter({
+            name: 'dappnode_alerts_total',
+            help: 'Alerts that fired, by rule and outcome (sent, suppressed by deduplication or cooldown, or failed to send)',
+            labelNames: ['rule', 'outcome'],
+            registers
+        })
+    };
+
+    let server = null;
+    let pushTimer = null;
+    let headSlot = null;
+    let lastProcessedSlot = null;
+    const pushgateway = pushgatewayUrl ? new client.Pushgateway(pushgatewayUrl, {}, registry) : null;
+
+    // Called by the beacon client for every request it sends
+    function observeBeaconRequest(path, status, seconds) {
+        const labels = { route: routeLabel(path), status: String(status) };
+        metrics.beaconRequestDuration.observe(labels, seconds);
+        if (status === 'network' || (status >= 400 && status !== 404)) {
+            metrics.beaconRequestFailures.inc(labels);
+        }
+    }
+
+    function observeBeaconRetry(path) {
+        metrics.retries.inc({ route: routeLabel(path) });
+    }
+
+    function updateLag() {
+        if (headSlot !== null && lastProcessedSlot !== null) {
+            metrics.ingestionLag.set(Math.max(headSlot - lastProcessedSlot, 0));
+        }
+    }
+
+    function setHeadSlot(slot) {
+        headSlot = slot;
+        metrics.headSlot.set(slot);
+        updateLag();
+    }
+
+    // Called whenever ingestion advances last_processed_slot, or finds it already at the head
+    function setLastProcessedSlot(slot) {
+        lastProcessedSlot = slot;
+        metrics.lastProcessedSlot.set(slot);
+        metrics.lastProgress.set(Date.now() / 1000);
+        updateLag();
+    }
+
+    async function push() {
+        if (!pushgateway) return;
+        try {
+            await pushgateway.push({ jobName: job, groupings });
+        } catch (err) {
+            logger.warn(`Pushing metrics to ${pushgatewayUrl} failed: ${err.message}`);
+        }
+    }
+
+    function start() {
+        if (port) {
+            server = http.createServer(async (req, res) => {
+                if (req.url !== '/metrics') {
+                    res.writeHead(404);
+                    res.end();
+                    return;
+                }
+                res.writeHead(200, { 'Content-Type': registry.contentType });
+                res.end(await registry.metrics());
+            });
+            // A taken port shouldn't stop ingestion; carry on without the endpoint
+            server.on('error', err => {
+                logger.error(`Serving metrics on :${port} failed: ${err.message}. Continuing without the /metrics endpoint`);
+                server = null;
+            });
+            server.listen(port, () => logger.info(`Serving metrics on :${port}/metrics`));
+        }
+        if (pushgateway) {
+            pushTimer = setInterval(push, pushIntervalMs);
+            pushTimer.unref();
+        }
+    }
+
+    // Pushes a final time, so a one-shot run always leaves its end state behind
+    async function stop() {
+        if (pushTimer) clearInterval(pushTimer);
+        if (server) server.close();
+        await push();
+    }
+
+    return { ...metrics, registry, observeBeaconRequest, observeBeaconRetry, setHeadSlot, setLastProcessedSlot, start, stop };
+}
+
+module.exports = {
+    metricsConfigFromEnv,
+    createMetrics
+};
@@ -0,0 +1,260 @@
+/**
+ * Parquet writing, just enough for dataset exports: flat schemas of optional
+ * columns, one uncompressed PLAIN data page per column and row group, and the
+ * file metadata in the Thrift compact protocol
+ * (https://github.com/apache/parquet-format/blob/master/src/main/thrift/parquet.thrift).
+ * Rows are buffered a row group at a time, so memory stays bounded by rowGroupSize.
+ */
+
+const MAGIC = Buffer.from('PAR1');
+
+// Thrift compact protocol types
+const T_BOOL = 1;
+const T_I32 = 5;
+const T_I64 = 6;
+const T_BINARY = 8;
+const T_LIST = 9;
+const T_STRUCT = 12;
+
+// Parquet enums
+const TYPE_BOOLEAN = 0;
+const TYPE_INT64 = 2;
+const TYPE_DOUBLE = 5;
+const TYPE_BYTE_ARRAY = 6;
+const REPETITION_OPTIONAL = 1;
+const CONVERTED_UTF8 = 0;
+const CONVERTED_TIMESTAMP_MILLIS = 9;
+const ENCODING_PLAIN = 0;
+const ENCODING_RLE = 3;
+const CODEC_UNCOMPRESSED = 0;
+const PAGE_DATA = 0;
+
+// Column type -> [physical type, converted type]
+const COLUMN_TYPES = {
+    int: [TYPE_INT64, undefined],
+    float: [TYPE_DOUBLE, undefined],
+    bool: [TYPE_BOOLEAN, undefined],
+    string: [TYPE_BYTE_ARRAY, CONVERTED_UTF8],
+    timestamp: [TYPE_INT64, CONVERTED_TIMESTAMP_MILLIS]
+};
+
+function varint(value) {
+    const bytes = [];
+    let n = BigInt(value);
+    while (n >= 0x80n) {
+        bytes.push(Number(n & 0x7fn) | 0x80);
+        n >>= 7n;
+    }
+    bytes.push(Number(n));
+    return Buffer.from(bytes);
+}
+
+function zigzag(value) {
+    const n = BigInt(value);
+    return (n << 1n) ^ (n >> 63n);
+}
+
+// A struct is a list of [fieldId, type, value] in increasing fieldId order; null values are left out
+function encodeStruct(fields) {
+    const parts = [];
+    let lastId = 0;
+    for (const [id, type, value] of fields) {
+        if (value === undefined || value === null) continue;
+        // Booleans are encoded in the field header's type
+        const headerType = type === T_BOOL ? (value ? 1 : 2) : type;
+        const delta = id - lastId;
+        if (delta > 0 && delta <= 15) {
+            parts.push(Buffer.from([(delta << 4) | headerType]));
+        } else {
+            parts.push(Buffer.from([headerType]), varint(zigzag(id)));
+        }
+        if (type !== T_BOOL) parts.push(encodeValue(type, value));
+        lastId = id;
+    }
+    parts.push(Buffer.from([0]));
+    return Buffer.concat(parts);
+}
+
+function encodeValue(type, value) {
+    switch (type) {
+        case T_I32:
+        case T_I64:
+            return varint(zigzag(value));
+        case T_BINARY: {
+            const bytes = Buffer.from(value);
+            return Buffer.concat([varint(bytes.length), bytes]);
+        }
+        case T_STRUCT:
+            return encodeStruct(value);
+        case T_LIST: {
+            const [elementType, items] = value;
+            const header = items.length < 15
+                ? Buffer.from([(items.length << 4) | elementType])
+                : Buffer.concat([Buffer.from([0xf0 | elementType]), varint(items.length)]);
+            return Buffer.concat([header, ...items.map(item => encodeValue(elementType, item))]);
+        }
+        default:
+            throw new Error(`Unsupported Thrift type ${type}`);
+    }
+}
+
+// Definition levels (1 = present, 0 = null) as RLE runs of the RLE/bit-packing hybrid, length-prefixed
+function encodeDefinitionLevels(levels) {
+    const parts = [];
+    for (let i = 0; i < levels.length;) {
+        let end = i;
+        while (end < levels.length && levels[end] === levels[i]) end++;
+        parts.push(varint((end - i) * 2), Buffer.from([levels[i]]));
+        i = end;
+    }
+    const body = Buffer.concat(parts);
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(body.length);
+    return Buffer.concat([length, body]);
+}
+
+function encodePlain(physicalType, values) {
+    switch (physicalType) {
+        case TYPE_BOOLEAN: {
+            const buffer = Buffer.alloc(Math.ceil(values.length / 8));
+            values.forEach((value, i) => {
+                if (value) buffer[i >> 3] |= 1 << (i & 7);
+            });
+            return buffer;
+        }
+        case TYPE_INT64: {
+            const buffer = Buffer.alloc(values.length * 8);
+            values.forEach((value, i) => buffer.writeBigInt64LE(BigInt(Math.round(value)), i * 8));
+            return buffer;
+        }
+        case TYPE_DOUBLE: {
+            const buffer = Buffer.alloc(values.length * 8);
+            values.forEach((value, i) => buffer.writeDoubleLE(value, i * 8));
+            return buffer;
+        }
+        case TYPE_BYTE_ARRAY:
+            return Buffer.concat(values.flatMap(value => {
+                const bytes = Buffer.from(value, 'utf8');
+                const length = Buffer.alloc(4);
+                length.writeUInt32LE(bytes.length);
+                return [length, bytes];
+            }));
+    }
+}
+
+/**
+ * Returns { write(row), close() } writing rows to the `out` stream as a Parquet
+ * file with `columns` ([{ name, type }], type one of int, float, bool, string or
+ * timestamp; every column may be null). Rows are objects keyed by column name;
+ * timestamps are Dates. Both methods respect the stream's backpressure, and
+ * close() ends the stream.
+ */
+function createParquetWriter(out, columns, { rowGroupSize = 10000, createdBy = 'dappnode-validator-info' } = {}) {
+    for (const column of columns) {
+        if (!COLUMN_TYPES[column.type]) throw new Error(`Unsupported Parquet column type "${column.type}" for ${column.name}`);
+    }
+    let offset = 0;
+    let rows = [];
+    let numRows = 0;
+    const rowGroups = [];
+
+    async function writeBuffer(buffer) {
+        offset += buffer.length;
+        if (!out.write(buffer)) {
+            await new Promise(r => out.once('drain', r));
+        }
+    }
+
+    async function flushRowGroup() {
+        if (rows.length === 0) return;
+        const chunks = [];
+        const startOffset = offset;
+        for (const column of columns) {
+            const [physicalType] = COLUMN_TYPES[column.type];
+            const levels = [];
+            const values = [];
+            for (const row of rows) {
+                const value = row[column.name];
+                if (value === null || value === undefined) {
+                    levels.push(0);
+                } else {
+                    levels.push(1);
+                    values.push(column.type === 'timestamp' ? value.getTime() : value);
+                }
+            }
+            const page = Buffer.concat([encodeDefinitionLevels(levels), encodePlain(physicalType, values)]);
+            const header = encodeStruct([
+                [1, T_I32, PAGE_DATA],
+                [2, T_I32, page.length],
+                [3, T_I32, page.length],
+                [5, T_STRUCT, [
+                    [1, T_I32, rows.length],
+                    [2, T_I32, ENCODING_PLAIN],
+                    [3, T_I32, ENCODING_RLE],
+                    [4, T_I32, ENCODING_RLE]
+                ]]
+            ]);
+            const pageOffset = offset;
+            await writeBuffer(header);
+            await writeBuffer(page);
+            const size = header.length + page.length;
+            chunks.push([
+                [2, T_I64, pageOffset],
+                [3, T_STRUCT, [
+                    [1, T_I32, physicalType],
+                    [2, T_LIST, [T_I32, [ENCODING_PLAIN, ENCODING_RLE]]],
+                    [3, T_LIST, [T_BINARY, [column.name]]],
+                    [4, T_I32, CODEC_UNCOMPRESSED],
+                    [5, T_I64, rows.length],
+                    [6, T_I64, size],
+                    [7, T_I64, size],
+                    [9, T_I64, pageOffset]
+                ]]
+            ]);
+        }
+        rowGroups.push([
+            [1, T_LIST, [T_STRUCT, chunks]],
+            [2, T_I64, offset - startOffset],
+            [3, T_I64, rows.length]
+        ]);
+        numRows += rows.length;
+        rows = [];
+    }
+
+    async function write(row) {
+        if (offset === 0) await writeBuffer(MAGIC);
+        rows.push(row);
+        if (rows.length >= rowGroupSize) await flushRowGroup();
+    }
+
+    async function close() {
+        if (offset === 0) await writeBuffer(MAGIC);
+        await flushRowGroup();
+        const schema = [
+            [[4, T_BINARY, 'schema'], [5, T_I32, columns.length]],
+            ...columns.map(column => [
+                [1, T_I32, COLUMN_TYPES[column.type][0]],
+                [3, T_I32, REPETITION_OPTIONAL],
+                [4, T_BINARY, column.name],
+                [6, T_I32, COLUMN_TYPES[column.type][1]]
+            ])
+        ];
+        const footer = encodeStruct([
+            [1, T_I32, 1],
+            [2, T_LIST, [T_STRUCT, schema]],
+            [3, T_I64, numRows],
+            [4, T_LIST, [T_STRUCT, rowGroups]],
+            [6, T_BINARY, createdBy]
+        ]);
+        const length = Buffer.alloc(4);
+        length.writeUInt32LE(footer.length);
+        await writeBuffer(Buffer.concat([footer, length, MAGIC]));
+        await new Promise((resolve, reject) => out.end(err => (err ? reject(err) : resolve())));
+    }
+
+    return { write, close };
+}
+
+module.exports = {
+    createParquetWriter
+};
@@ -0,0 +1,382 @@
+const { formatDurationMs } = require('./util');
+
+const PERFORMANCE_GROUPS = ['validator', 'operator', 'day'];
+// Slots of stored blocks read at a time while sampling the network
+const SAMPLE_WINDOW = 1024;
+// Error messages kept for progress()
+const MAX_PROGRESS_ERRORS = 50;
+
+/**
+ * The ideal attestation rewards for effectiveBalance: the node's row for that
+ * balance, or else the nearest row scaled to it, since ideal rewards grow in
+ * proportion to the effective balance. Rows only cover the balances validators
+ * had in that epoch, while `balances` are loaded once per collect(). A scaled
+ * row carries the balance it was scaled from in scaled_from; null when there
+ * are no rows at all.
+ */
+function idealRewardsFor(idealRows, effectiveBalance) {
+    let nearest = null;
+    for (const row of idealRows) {
+        if (row.effective_balance === effectiveBalance) return row;
+        if (row.effective_balance > 0 && (nearest === null ||
+            Math.abs(row.effective_balance - effectiveBalance) < Math.abs(nearest.effective_balance - effectiveBalance))) {
+            nearest = row;
+        }
+    }
+    if (!nearest) return null;
+    const ratio = effectiveBalance / nearest.effective_balance;
+    const ideal = { scaled_from: nearest.effective_balance };
+    for (const field of ['head', 'target', 'source', 'inclusion_delay']) {
+        ideal[field] = Math.round(parseInt(nearest[field] || 0, 10) * ratio);
+    }
+    return ideal;
+}
+
+function performanceConfigFromEnv(env = process.env) {
+    return {
+        cohorts: env.PERFORMANCE_COHORTS ? env.PERFORMANCE_COHORTS.split(',').map(name => name.trim()).filter(Boolean) : null,
+        startDays: parseInt(env.PERFORMANCE_START_DAYS, 10) || 1,
+        networkSampleSize: parseInt(env.PERFORMANCE_NETWORK_SAMPLE, 10) || 1000,
+        batchSize: parseInt(env.VALIDATOR_BATCH_SIZE, 10) || 1000
+    };
+}
+
+/**
+ * Records how well validators attest and serve on sync committees, one finalized
+ * epoch at a time, from the beacon node's rewards endpoints. For every validator
+ * passed to collect() it stores, per epoch, its head, target and source rewards
+ * next to the ideal ones for its effective balance (attestation_performance),
+ * and per slot its sync committee reward next to the ideal one
+ * (sync_committee_rewards). A vote counts as correct when it earned a reward;
+ * target and source votes that were missed or late cost a penalty instead.
+ *
+ * The network baseline (network_performance) sums the same numbers per epoch
+ * over networkSampleSize validators: the proposers of the latest stored blocks,
+ * which the chain picks in proportion to stake. Its sync figures cover the whole
+ * sync committee.
+ *
+ * Epochs are collected in order from the one after last_performance_epoch (the
+ * last startDays days on the first run) up to the last one whose rewards are
+ * final. No new epoch is started once shouldStop() is true.
+ */
+function createPerformanceTracker({
+    storage,
+    beacon,
+    chain,
+    logger,
+    startDays = 1,
+    networkSampleSize = 1000,
+    batchSize = 1000,
+    shouldStop = () => false
+}) {
+    const epochsPerDay = Math.floor(24 * 60 * 60 / (chain.secondsPerSlot * chain.slotsPerEpoch));
+    let fromSlot = null;
+    let toSlot = null;
+    const counts = { epochs: 0, validators: 0, attestations: 0, sync_rewards: 0 };
+    const errors = [];
+
+    // The slot range of the epochs collected, counts and errors since this tracker was created
+    function progress() {
+        return { from_slot: fromSlot, to_slot: toSlot, counts: { ...counts }, errors: [...errors] };
+    }
+
+    /**
+     * Collects every epoch not collected yet for validatorIndices. Returns false
+     * when it stopped early, on shouldStop() or on an epoch it could not collect.
+     */
+    async function collect(validatorIndices) {
+        const finalized = await beacon.getBlockHeader('finalized');
+        if (!finalized) {
+            throw new Error('No data from /eth/v1/beacon/headers/finalized');
+        }
+        // Attestations of an epoch can be included until the end of the next one
+        const lastEpoch = chain.slotToEpoch(parseInt(finalized.header.message.slot, 10)) - 2;
+        const lastCollected = await storage.getMeta('last_performance_epoch');
+        const firstEpoch = lastCollected !== null
+            ? parseInt(lastCollected, 10) + 1
+            : Math.max(lastEpoch - startDays * epochsPerDay + 1, 0);
+        if (firstEpoch > lastEpoch) {
+            logger.info(`Performance is collected up to epoch ${lastEpoch}, the last finalized one. Nothing to do.`);
+            return true;
+        }
+
+        const sample = await sampleNetworkValidators();
+        const balances = await loadActiveBalances([...new Set([...validatorIndices, ...sample])]);
+        const tracked = validatorIndices.filter(i => balances.has(i));
+        const sampled = sample.filter(i => balances.has(i));
+        counts.validators = tracked.length;
+        logger.info(
+            `Collecting performance for epochs ${firstEpoch}..${lastEpoch}: ${tracked.length} active cohort validator(s) ` +
+            `of ${validatorIndices.length}, network sample of ${sampled.length}`
+        );
+
+        const startTime = Date.now();
+        for (let epoch = firstEpoch; epoch <= lastEpoch; epoch++) {
+            if (shouldStop()) return false;
+            try {
+                await collectEpoch(epoch, tracked, sampled, balances);
+            } catch (err) {
+                // Later epochs wait for this one, so last_performance_epoch never skips past a gap
+                logger.error(`Performance for epoch ${epoch} failed: ${err.message}`);
+                if (errors.length < MAX_PROGRESS_ERRORS) errors.push(`epoch ${epoch}: ${err.message}`);
+                return false;
+            }
+            await storage.setMeta('last_performance_epoch', epoch.toString());
+            fromSlot = fromSlot === null ? epoch * chain.slotsPerEpoch : fromSlot;
+            toSlot = (epoch + 1) * chain.slotsPerEpoch - 1;
+            counts.epochs++;
+
+            const done = epoch - firstEpoch + 1;
+            const elapsedMs = Date.now() - startTime;
+            const etaMs = (elapsedMs / done) * (lastEpoch - epoch);
+            logger.info(
+                `Performance progress: ${done}/${lastEpoch - firstEpoch + 1} epochs, Elapsed: ${formatDurationMs(elapsedMs)}, ETA: ${formatDurationMs(etaMs)}`
+            );
+        }
+        return true;
+    }
+
+    async function collectEpoch(epoch, tracked, sampled, balances) {
+        const firstSlot = epoch * chain.slotsPerEpoch;
+        const ts = chain.slotTime(firstSlot);
+        const base = { epoch, day: ts.toISOString().slice(0, 10), ts };
+
+        const [attestations, networkAttestations, sync] = await Promise.all([
+            fetchAttestations(epoch, tracked, balances, base),
+            fetchAttestations(epoch, sampled, balances, base),
+            fetchSyncCommitteeRewards(epoch, new Set(tracked), base)
+        ]);
+        await storage.insertAttestationPerformance(attestations);
+        await storage.insertSyncCommitteeRewards(sync.rows);
+        await storage.insertNetworkPerformance([{
+            ...base,
+            validators: networkAttestations.length,
+            head_correct: networkAttestations.filter(r => r.head_correct).length,
+            target_correct: networkAttestations.filter(r => r.target_correct).length,
+            source_correct: networkAttestations.filter(r => r.source_correct).length,
+            earned_gwei: networkAttestations.reduce((sum, r) => sum + r.earned_gwei, 0),
+            ideal_gwei: networkAttestations.reduce((sum, r) => sum + r.ideal_gwei, 0),
+            ...sync.network
+        }]);
+        counts.attestations += attestations.length;
+        counts.sync_rewards += sync.rows.length;
+    }
+
+    async function fetchAttestations(epoch, validatorIndices, balances, base) {
+        const chunks = [];
+        for (let i = 0; i < validatorIndices.length; i += batchSize) {
+            chunks.push(validatorIndices.slice(i, i + batchSize));
+        }
+        const results = await Promise.all(chunks.map(chunk => beacon.getAttestationRewards(epoch, chunk)));
+        const rows = [];
+        let scaled = 0;
+        let skipped = 0;
+        for (const { ideal_rewards: idealRewards, total_rewards: totalRewards } of results) {
+            const idealRows = idealRewards.map(ideal => ({ ...ideal, effective_balance: parseInt(ideal.effective_balance, 10) }));
+            for (const reward of totalRewards) {
+                const validatorIndex = parseInt(reward.validator_index, 10);
+                const effectiveBalance = balances.get(validatorIndex);
+                const ideal = effectiveBalance ? idealRewardsFor(idealRows, effectiveBalance) : null;
+                if (!ideal) {
+                    skipped++;
+                    continue;
+                }
+                if (ideal.scaled_from) scaled++;
+                const head = parseInt(reward.head, 10);
+                const target = parseInt(reward.target, 10);
+                const source = parseInt(reward.source, 10);
+                const inactivity = parseInt(reward.inactivity || 0, 10);
+                // Phase0 still rewarded inclusion delay
+                const inclusionDelay = parseInt(reward.inclusion_delay || 0, 10);
+                rows.push({
+                    ...base,
+                    validator_index: validatorIndex,
+                    effective_balance: effectiveBalance,
+                    head_gwei: head,
+                    target_gwei: target,
+                    source_gwei: source,
+                    inactivity_gwei: inactivity,
+                    earned_gwei: head + target + source + inclusionDelay + inactivity,
+                    ideal_gwei: ['head', 'target', 'source', 'inclusion_delay']
+                        .reduce((sum, field) => sum + parseInt(ideal[field] || 0, 10), 0),
+                    head_correct: head > 0,
+                    target_correct: target > 0,
+                    source_correct: source > 0
+                });
+            }
+        }
+        if (scaled > 0) {
+            logger.debug(`Epoch ${epoch}: scaled the nearest ideal rewards for ${scaled} validator(s) whose effective balance has none`);
+        }
+        if (skipped > 0) {
+            logger.warn(`Epoch ${epoch}: skipped ${skipped} validator(s) without an effective balance or any ideal rewards`);
+        }
+        return rows;
+    }
+
+    /**
+     * Sync committee rewards of every slot in `epoch`. Every member earns the same
+     * reward per seat when its block's aggregate includes it, and loses as much
+     * when it doesn't, so the ideal reward is the largest one seen per seat (a
+     * validator can hold several seats). Empty slots reward nobody and are skipped.
+     */
+    async function fetchSyncCommitteeRewards(epoch, tracked, base) {
+        const network = { sync_duties: 0, sync_participated: 0, sync_earned_gwei: 0, sync_ideal_gwei: 0 };
+        const committee = await beacon.getSyncCommittee(epoch * chain.slotsPerEpoch);
+        if (!committee) return { rows: [], network };
+        const seats = new Map();
+        for (const validatorIndex of committee) {
+            seats.set(validatorIndex, (seats.get(validatorIndex) || 0) + 1);
+        }
+
+        const slots = Array.from({ length: chain.slotsPerEpoch }, (_, i) => epoch * chain.slotsPerEpoch + i);
+        const results = await Promise.all(slots.map(slot => beacon.getSyncCommitteeRewards(slot)));
+        const rows = [];
+        results.forEach((rewards, i) => {
+            if (!rewards || rewards.length === 0) return;
+            const entries = rewards.map(r => ({ validatorIndex: parseInt(r.validator_index, 10), reward: parseInt(r.reward, 10) }));
+            const seatReward = Math.max(...entries.map(e => Math.abs(e.reward) / (seats.get(e.validatorIndex) || 1)));
+            for (const { validatorIndex, reward } of entries) {
+                const ideal = Math.round(seatReward * (seats.get(validatorIndex) || 1));
+                network.sync_duties++;
+                if (reward > 0) network.sync_participated++;
+                network.sync_earned_gwei += reward;
+                network.sync_ideal_gwei += ideal;
+                if (tracked.has(validatorIndex)) {
+                    rows.push({ ...base, slot: slots[i], validator_index: validatorIndex, reward_gwei: reward, ideal_gwei: ideal });
+                }
+            }
+        });
+        return { rows, network };
+    }
+
+    // Proposers of the latest stored blocks, up to networkSampleSize of them
+    async function sampleNetworkValidators() {
+        const sample = new Set();
+        const lastProcessedSlot = await storage.getMeta('last_processed_slot');
+        if (lastProcessedSlot === null) return [];
+        for (let to = parseInt(lastProcessedSlot, 10); to >= 0 && sample.size < networkSampleSize; to -= SAMPLE_WINDOW) {
+            const blocks = await storage.getBlocksInRange(Math.max(to - SAMPLE_WINDOW + 1, 0), to);
+            for (const block of blocks.reverse()) {
+                if (sample.size >= networkSampleSize) break;
+                if (block.proposer_index !== null) sample.add(block.proposer_index);
+            }
+        }
+        return [...sample];
+    }
+
+    // Effective balances of the validators that are active at the finalized state; the others have no duties
+    async function loadActiveBalances(validatorIndices) {
+        const balances = new Map();
+        for (let i = 0; i < validatorIndices.length; i += batchSize) {
+            const entries = await beacon.getValidators(validatorIndices.slice(i, i + batchSize), 'finalized');
+            for (const entry of entries) {
+                if (entry && entry.validator && entry.status.startsWith('active')) {
+                    balances.set(parseInt(entry.index, 10), parseInt(entry.validator.effective_balance, 10));
+                }
+            }
+        }
+        return balances;
+    }
+
+    return { collect, progress };
+}
+
+function emptyAttestationTotals() {
+    return { duties: 0, head_correct: 0, target_correct: 0, source_correct: 0, earned_gwei: 0, ideal_gwei: 0 };
+}
+
+function emptySyncTotals() {
+    return { duties: 0, participated: 0, earned_gwei: 0, ideal_gwei: 0 };
+}
+
+function ratio(part, whole) {
+    return whole > 0 ? part / whole : null;
+}
+
+// Correct-vote rates per duty, and the share of the ideal rewards that was earned
+function withAttestationRates(totals) {
+    return {
+        ...totals,
+        head_rate: ratio(totals.head_correct, totals.duties),
+        target_rate: ratio(totals.target_correct, totals.duties),
+        source_rate: ratio(totals.source_correct, totals.duties),
+        effectiveness: ratio(totals.earned_gwei, totals.ideal_gwei)
+    };
+}
+
+function withSyncRates(totals) {
+    return {
+        ...totals,
+        participation_rate: ratio(totals.participated, totals.duties),
+        effectiveness: ratio(totals.earned_gwei, totals.ideal_gwei)
+    };
+}
+
+function addRow(totals, row) {
+    for (const key of Object.keys(totals)) totals[key] += row[key];
+    return totals;
+}
+
+/**
+ * Rolls up the attestation and sync committee performance of validatorIndices
+ * between `from` and `to` (both optional dates) into one entry per validator,
+ * operator (withdrawal address) or day, as `by` says. Without `by`, returns the
+ * totals of all of them. Attestation duties are validator-epochs, sync committee
+ * duties validator-slots.
+ */
+async function summarizePerformance(storage, { validatorIndices, from = null, to = null, by = null }) {
+    const query = { validatorIndices, from, to, groupBy: by };
+    const [attestationRows, syncRows] = await Promise.all([
+        storage.summarizeAttestations(query),
+        storage.summarizeSyncCommittee(query)
+    ]);
+    const entries = new Map();
+    const entryFor = key => {
+        if (!entries.has(key)) {
+            entries.set(key, { ...(by ? { [by]: key } : {}), attestations: emptyAttestationTotals(), sync_committee: emptySyncTotals() });
+        }
+        return entries.get(key);
+    };
+    if (!by) entryFor(null);
+    attestationRows.forEach(row => addRow(entryFor(by ? row.group_key : null).attestations, row));
+    syncRows.forEach(row => addRow(entryFor(by ? row.group_key : null).sync_committee, row));
+
+    const summaries = [...entries.values()].map(entry => ({
+        ...entry,
+        attestations: withAttestationRates(entry.attestations),
+        sync_committee: withSyncRates(entry.sync_committee)
+    }));
+    if (!by) return summaries[0];
+    return summaries.sort((a, b) => (a[by] < b[by] ? -1 : a[by] > b[by] ? 1 : 0));
+}
+
+// The network baseline between `from` and `to`, in the shape of summarizePerformance's totals
+async function summarizeNetworkPerformance(storage, { from = null, to = null }) {
+    const totals = await storage.summarizeNetworkPerformance({ from, to });
+    return {
+        epochs: totals.epochs,
+        attestations: withAttestationRates({
+            duties: totals.validators,
+            head_correct: totals.head_correct,
+            target_correct: totals.target_correct,
+            source_correct: totals.source_correct,
+            earned_gwei: totals.earned_gwei,
+            ideal_gwei: totals.ideal_gwei
+        }),
+        sync_committee: withSyncRates({
+            duties: totals.sync_duties,
+            participated: totals.sync_participated,
+            earned_gwei: totals.sync_earned_gwei,
+            ideal_gwei: totals.sync_ideal_gwei
+        })
+    };
+}
+
+module.exports = {
+    PERFORMANCE_GROUPS,
+    performanceConfigFromEnv,
+    createPerformanceTracker,
+    summarizePerformance,
+    summarizeNetworkPerformance
+};
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const os = require('os');
+const { lockedError } = require('./errors');
+
+// How many error messages one run record keeps; the counts say how many there were in all
+const MAX_RUN_ERRORS = 50;
+
+function runConfigFromEnv(env = process.env) {
+    return {
+        lockTtlMs: parseInt(env.LOCK_TTL_MS, 10) || 2 * 60 * 1000
+    };
+}
+
+/**
+ * Starts a run of `job` (e.g. "ingest"): takes the job's lock in the database and
+ * records the run in `runs`. Only one run per job holds the lock at a time. The
+ * lock is a lease of lockTtlMs, renewed every third of that, so the lock of a run
+ * that died lapses on its own. Throws a lockedError when another run holds it.
+ *
+ * progress() returns { from_slot, to_slot, counts, errors } so far; it is saved
+ * with every heartbeat and at the end. When the lease can't be renewed (another
+ * run took over, or the database was unreachable for a whole TTL) onLockLost()
+ * is called, and the run should stop.
+ */
+async function startRun({
+    storage,
+    job,
+    command,
+    logger,
+    lockTtlMs = 2 * 60 * 1000,
+    progress = () => ({}),
+    onLockLost = () => {}
+}) {
+    const id = crypto.randomUUID();
+    if (!await storage.acquireLock(job, id, lockTtlMs)) {
+        const lock = await storage.getLock(job);
+        const holder = lock ? ` (run ${lock.owner}, lease until ${lock.expires_ts.toISOString()})` : '';
+        throw lockedError(`Another ${job} run holds the lock${holder}. Not starting.`);
+    }
+
+    const startedTs = new Date();
+    await storage.insertRun({
+        id,
+        job,
+        command,
+        host: os.hostname(),
+        pid: process.pid,
+        started_ts: startedTs,
+        heartbeat_ts: startedTs
+    });
+    logger.info(`Run ${id} started (job=${job}, lock lease ${lockTtlMs} ms).`);
+
+    let lockLost = false;
+    let finished = false;
+    let lastRenewal = Date.now();
+    // The heartbeat in flight, so finish() never races it
+    let beat = Promise.resolve();
+    const heartbeat = setInterval(() => {
+        beat = beat.then(renew);
+    }, Math.max(Math.floor(lockTtlMs / 3), 1000));
+    heartbeat.unref();
+
+    async function renew() {
+        if (finished || lockLost) return;
+        try {
+            if (!await storage.renewLock(job, id, lockTtlMs)) {
+                loseLock(`another ${job} run took over the lock`);
+                return;
+            }
+            lastRenewal = Date.now();
+            await storage.updateRun(id, { heartbeat_ts: new Date(), ...snapshot() });
+        } catch (err) {
+            logger.warn(`Could not renew the ${job} lock: ${err.message}`);
+            if (Date.now() - lastRenewal >= lockTtlMs) {
+                loseLock('the lease expired before it could be renewed');
+            }
+        }
+    }
+
+    function loseLock(reason) {
+        if (lockLost) return;
+        lockLost = true;
+        clearInterval(heartbeat);
+        logger.error(`Lost the ${job} lock: ${reason}. Stopping.`);
+        onLockLost();
+    }
+
+    function snapshot() {
+        const { from_slot = null, to_slot = null, counts = {}, errors = [] } = progress();
+        return { from_slot, to_slot, counts, errors: errors.slice(0, MAX_RUN_ERRORS) };
+    }
+
+    /**
+     * Records how the run ended, "completed", "shutdown" or "fatal", and releases
+     * the lock. `error` is the one that ended a fatal run.
+     */
+    async function finish(exitReason, error = null) {
+        finished = true;
+        clearInterval(heartbeat);
+        await beat;
+        const fields = snapshot();
+        const errors = [error && error.message, lockLost && `Lost the ${job} lock`, ...fields.errors].filter(Boolean);
+        await storage.updateRun(id, {
+            ...fields,
+            errors: errors.slice(0, MAX_RUN_ERRORS),
+            ended_ts: new Date(),
+            exit_reason: exitReason
+        });
+        if (!lockLost) await storage.releaseLock(job, id);
+        logger.info(`Run ${id} ended: ${exitReason}.`);
+    }
+
+    return {
+        id,
+        finish,
+        get lockLost() {
+            return lockLost;
+        }
+    };
+}
+
+/**
+ * Lists runs, newest first, each with a `state`: the exit reason of a run that
+ * ended, "running" while its heartbeat is recent, or "died" for a run that
+ * stopped heart-beating without recording an end (killed, or the machine went down).
+ */
+async function listRuns(storage, { job, limit = 20, offset = 0, lockTtlMs = 2 * 60 * 1000 } = {}) {
+    const runs = await storage.listRuns({ job, limit, offset });
+    const now = Date.now();
+    return runs.map(run => {
+        let state = run.exit_reason;
+        if (!run.ended_ts) {
+            state = run.heartbeat_ts && now - run.heartbeat_ts.getTime() < lockTtlMs ? 'running' : 'died';
+        }
+        return { ...run, state };
+    });
+}
+
+module.exports = {
+    runConfigFromEnv,
+    startRun,
+    listRuns
+};
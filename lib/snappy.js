@@ -0,0 +1,147 @@
+/**
+ * Snappy decompression, just enough to read era archives: the framing format
+ * (https://github.com/google/snappy/blob/main/framing_format.txt) around raw
+ * snappy blocks. Chunk checksums are verified, so a corrupt archive fails loudly.
+ */
+
+const STREAM_IDENTIFIER = Buffer.from('sNaPpY');
+const CHUNK_COMPRESSED = 0x00;
+const CHUNK_UNCOMPRESSED = 0x01;
+const CHUNK_PADDING = 0xfe;
+const CHUNK_STREAM_IDENTIFIER = 0xff;
+// Chunk types 0x02-0x7f are reserved and must not be skipped; 0x80-0xfd may be
+const FIRST_SKIPPABLE_CHUNK = 0x80;
+
+const CRC32C_TABLE = (() => {
+    const table = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0x82f63b78 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c;
+    }
+    return table;
+})();
+
+function crc32c(buffer) {
+    let crc = -1;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC32C_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+// The framing format stores checksums masked, so checksums of data that itself holds checksums stay distinct
+function maskedCrc32c(buffer) {
+    const crc = crc32c(buffer);
+    return ((((crc >>> 15) | (crc << 17)) >>> 0) + 0xa282ead8) >>> 0;
+}
+
+function readVarint(buffer, pos) {
+    let value = 0;
+    let shift = 0;
+    for (;;) {
+        if (pos >= buffer.length || shift > 28) throw new Error('Snappy: bad length varint');
+        const byte = buffer[pos++];
+        value += (byte & 0x7f) * 2 ** shift;
+        if ((byte & 0x80) === 0) return { value, pos };
+        shift += 7;
+    }
+}
+
+/**
+ * Decompresses one raw snappy block: a varint length, then literals and
+ * back-references (copies) into the output produced so far.
+ */
+function decompressBlock(input) {
+    const { value: length, pos: start } = readVarint(input, 0);
+    const output = Buffer.allocUnsafe(length);
+    let pos = start;
+    let out = 0;
+    while (pos < input.length) {
+        const tag = input[pos++];
+        if ((tag & 0x03) === 0) {
+            // Literal; lengths of 60 and up are stored in the next 1-4 bytes
+            let literalLength = tag >>> 2;
+            if (literalLength >= 60) {
+                const bytes = literalLength - 59;
+                literalLength = input.readUIntLE(pos, bytes);
+                pos += bytes;
+            }
+            literalLength += 1;
+            if (pos + literalLength > input.length || out + literalLength > length) {
+                throw new Error('Snappy: literal runs past the end');
+            }
+            input.copy(output, out, pos, pos + literalLength);
+            pos += literalLength;
+            out += literalLength;
+            continue;
+        }
+
+        let copyLength;
+        let offset;
+        if ((tag & 0x03) === 1) {
+            copyLength = 4 + ((tag >>> 2) & 0x07);
+            offset = ((tag >>> 5) << 8) | input[pos];
+            pos += 1;
+        } else if ((tag & 0x03) === 2) {
+            copyLength = 1 + (tag >>> 2);
+            offset = input.readUInt16LE(pos);
+            pos += 2;
+        } else {
+            copyLength = 1 + (tag >>> 2);
+            offset = input.readUInt32LE(pos);
+            pos += 4;
+        }
+        if (offset === 0 || offset > out || out + copyLength > length) {
+            throw new Error('Snappy: bad copy');
+        }
+        // Copies may overlap their own output (e.g. a run of one byte), so go byte by byte
+        for (let i = 0; i < copyLength; i++, out++) {
+            output[out] = output[out - offset];
+        }
+    }
+    if (out !== length) {
+        throw new Error(`Snappy: expected ${length} bytes, got ${out}`);
+    }
+    return output;
+}
+
+/**
+ * Decompresses a snappy framed stream (as in era block and state entries).
+ */
+function decompressFramed(input) {
+    const chunks = [];
+    let pos = 0;
+    let sawIdentifier = false;
+    while (pos < input.length) {
+        if (pos + 4 > input.length) throw new Error('Snappy: truncated chunk header');
+        const type = input[pos];
+        const length = input.readUIntLE(pos + 1, 3);
+        const body = input.subarray(pos + 4, pos + 4 + length);
+        if (body.length !== length) throw new Error('Snappy: truncated chunk');
+        pos += 4 + length;
+
+        if (type === CHUNK_STREAM_IDENTIFIER) {
+            if (!body.equals(STREAM_IDENTIFIER)) throw new Error('Snappy: bad stream identifier');
+            sawIdentifier = true;
+            continue;
+        }
+        if (!sawIdentifier) throw new Error('Snappy: missing stream identifier');
+        if (type === CHUNK_COMPRESSED || type === CHUNK_UNCOMPRESSED) {
+            const data = type === CHUNK_COMPRESSED ? decompressBlock(body.subarray(4)) : body.subarray(4);
+            if (maskedCrc32c(data) !== body.readUInt32LE(0)) {
+                throw new Error('Snappy: checksum mismatch');
+            }
+            chunks.push(data);
+        } else if (type !== CHUNK_PADDING && type < FIRST_SKIPPABLE_CHUNK) {
+            throw new Error(`Snappy: reserved chunk type 0x${type.toString(16)}`);
+        }
+    }
+    return Buffer.concat(chunks);
+}
+
+module.exports = {
+    decompressFramed
+};
@@ -0,0 +1,86 @@
+/**
+ * Storage backends. Every backend exposes the same async interface over the
+ * blocks, empty_slots, failed_slots, cohort_members, cohort_validators,
+ * validators, validator_events, meta, stats_history, withdrawals, locks, runs,
+ * attestation_performance, sync_committee_rewards, network_performance and
+ * alert_states data, so the scripts never talk to a database driver directly:
+ *
+ *   connect(), close(), ensureSchema(), description
+ *   getMeta(key), setMeta(key, value)
+ *   upsertBlocks(blocks), getBlock(slot), getBlocksInRange(from, to), getLastBlockBefore(slot)
+ *   listBlocksByProposer(validatorIndex, { limit, offset })
+ *   listBlocksAfter(afterSlot, { toSlot, cohort, limit }) (the blocks after afterSlot, oldest first; with cohort, its cohort_members' blocks)
+ *   countBlocks({ fromSlot, proposerIndices }), deleteSlotsFrom(slot)
+ *   upsertCohortMembers(members), forEachCohortMember(cohort, fn)
+ *   resetCohortMembers() (empties cohort_members and cohort_validators)
+ *   listCohortProposerIndices() (the validators that proposed in any cohort)
+ *   listCohortMembers(cohort, { fromSlot, toSlot, limit, offset })
+ *   refreshCohortValidators(validatorIndices) (recomputes their cohort_validators rows from cohort_members and blocks)
+ *   listCohortValidators(cohort), listValidatorCohorts(validatorIndex)
+ *       -> [{ cohort, validator_index, first_seen_slot, last_seen_slot, matching_proposals,
+ *             total_proposals, last_proposal_slot, left_slot }]
+ *   insertEmptySlots(emptySlots), countEmptySlots({ fromSlot, proposerIndices, attributedOnly })
+ *   getKnownSlotsInRange(from, to)
+ *   recordFailedSlot(slot, error, attempts), clearFailedSlots(slots), listFailedSlots(), countFailedSlots()
+ *   getValidators(indices), listValidatorIndices(), upsertValidators(rows)
+ *   listValidatorsAfter(afterIndex, { statuses, limit }) (by validator index; statuses limits last_known_status)
+ *   listValidatorsByWithdrawalAddress(address, { limit, offset })
+ *   insertValidatorEvents(events), listValidatorEvents({ since })
+ *   insertWithdrawals(withdrawals), summarizeWithdrawals({ cohort, from, to, groupBy })
+ *       -> [{ group_key, kind: 'partial' | 'full', count, amount_gwei }], groupBy: 'validator', 'address', 'day' or none
+ *   insertAttestationPerformance(rows), insertSyncCommitteeRewards(rows), insertNetworkPerformance(rows)
+ *   summarizeAttestations({ validatorIndices, from, to, groupBy })
+ *       -> [{ group_key, duties, head_correct, target_correct, source_correct, earned_gwei, ideal_gwei }]
+ *   summarizeSyncCommittee({ validatorIndices, from, to, groupBy })
+ *       -> [{ group_key, duties, participated, earned_gwei, ideal_gwei }], groupBy: 'validator', 'operator', 'day' or none;
+ *          rows may repeat a group_key, to be added up
+ *   summarizeNetworkPerformance({ from, to }) -> the network_performance columns summed, with their epoch count
+ *   listAlertStates(rules) -> [{ key, rule, first_fired_ts, last_sent_ts, sent_count }]
+ *   upsertAlertStates(states), deleteAlertStates(keys)
+ *   insertStats(stats), listStats({ cohort, from, to, limit, offset }) (newest first)
+ *   listStatsAfter(afterId, { cohort, fromSlot, toSlot, limit }) -> [{ id, stats }] (oldest first; afterId null to start)
+ *   acquireLock(job, owner, ttlMs), renewLock(job, owner, ttlMs) (both -> true if held), releaseLock(job, owner), getLock(job)
+ *   insertRun(run), updateRun(id, fields), listRuns({ job, limit, offset }) (newest first)
+ *
+ * Blocks are { slot, ... }, validators { validator_index, ... } and runs { id, ... } in every backend.
+ */
+
+const { configError } = require('../errors');
+
+const BACKENDS = ['mongo', 'sqlite', 'postgres'];
+
+function storageConfigFromEnv(env = process.env) {
+    return {
+        backend: env.STORAGE_BACKEND || 'mongo',
+        mongoUri: env.MONGO_URI || 'mongodb://localhost:27017/',
+        mongoDbName: env.MONGO_DBNAME || 'dappnode',
+        sqlitePath: env.SQLITE_PATH || 'beacon_blocks.db',
+        postgresUrl: env.POSTGRES_URL
+    };
+}
+
+/**
+ * Drivers are required lazily, so e.g. a Mongo setup never loads the native sqlite3
+ * module. Programs with their own connection pass it as `db` (a Mongo Db or an
+ * open `sqlite` Database) or `pool` (a pg Pool); it is used as is and never closed.
+ */
+function createStorage(config) {
+    switch (config.backend) {
+        case 'mongo':
+            return require('./mongo').createMongoStorage({ uri: config.mongoUri, dbName: config.mongoDbName, db: config.db });
+        case 'sqlite':
+            return require('./sqlite').createSqliteStorage({ filename: config.sqlitePath, db: config.db });
+        case 'postgres':
+            if (!config.postgresUrl && !config.pool) {
+                throw configError('STORAGE_BACKEND=postgres needs POSTGRES_URL');
+            }
+            return require('./postgres').createPostgresStorage({ connectionString: config.postgresUrl, pool: config.pool });
+        default:
+            throw configError(`Unknown storage backend "${config.backend}". Expected one of: ${BACKENDS.join(', ')}`);
+    }
+}
+
+module.exports = {
+    storageConfigFromEnv,
+    createStorage
+};
@@ -0,0 +1,623 @@
+const { MongoClient } = require('mongodb');
+
+// Duplicate key: the upsert in acquireLock lost to a lock that is still held
+const DUPLICATE_KEY = 11000;
+const WITHDRAWAL_GROUP_FIELDS = { validator: '$validator_index', address: '$address', day: '$day' };
+// Validators whose cohort_validators rows are recomputed at once
+const REFRESH_CHUNK_SIZE = 1000;
+const PERFORMANCE_GROUP_FIELDS = { validator: '$validator_index', operator: '$validator.withdrawal_address', day: '$day' };
+const NETWORK_PERFORMANCE_SUMS = [
+    'validators', 'head_correct', 'target_correct', 'source_correct', 'earned_gwei', 'ideal_gwei',
+    'sync_duties', 'sync_participated', 'sync_earned_gwei', 'sync_ideal_gwei'
+];
+
+function toBlock({ _id, ...fields }) {
+    return { slot: _id, ...fields };
+}
+
+function toRun({ _id, ...fields }) {
+    return { id: _id, ...fields };
+}
+
+/**
+ * MongoDB storage. Blocks, empty_slots and failed_slots are keyed by slot and
+ * validators by validator index, all through _id. cohort_members is keyed by
+ * (cohort, slot) and cohort_validators by (cohort, validator_index) through
+ * unique indexes. Locks are keyed by job, runs by run id
+ * and withdrawals by their withdrawal index. attestation_performance is keyed by
+ * (epoch, validator_index), sync_committee_rewards by (slot, validator_index)
+ * through unique indexes, and network_performance by epoch. alert_states are
+ * keyed by alert key.
+ */
+// With `db`, an already connected Db handle is used as is, and left open by close()
+function createMongoStorage({ uri, dbName, db: ownDb = null }) {
+    let client;
+    let db = ownDb;
+
+    async function ensureCohortMemberIndexes() {
+        await db.collection('cohort_members').createIndex({ cohort: 1, slot: 1 }, { unique: true });
+        await db.collection('cohort_members').createIndex({ cohort: 1, proposer_index: 1 });
+        await db.collection('cohort_validators').createIndex({ cohort: 1, validator_index: 1 }, { unique: true });
+        await db.collection('cohort_validators').createIndex({ validator_index: 1 });
+    }
+
+    function tsRange(from, to) {
+        const range = {};
+        if (from) range.$gte = from;
+        if (to) range.$lte = to;
+        return range;
+    }
+
+    async function upsertByKey(collection, keys, rows) {
+        if (rows.length === 0) return;
+        await db.collection(collection).bulkWrite(
+            rows.map(row => ({
+                updateOne: {
+                    filter: Object.fromEntries(keys.map(k => [k, row[k]])),
+                    update: { $set: row },
+                    upsert: true
+                }
+            })),
+            { ordered: false }
+        );
+    }
+
+    async function summarizePerformance(collection, sums, { validatorIndices, from, to, groupBy }) {
+        const match = { validator_index: { $in: validatorIndices } };
+        if (from || to) match.ts = tsRange(from, to);
+        const rows = await db.collection(collection).aggregate([
+            { $match: match },
+            ...(groupBy === 'operator'
+                ? [
+                    { $lookup: { from: 'validators', localField: 'validator_index', foreignField: '_id', as: 'validator' } },
+                    { $unwind: { path: '$validator', preserveNullAndEmptyArrays: true } }
+                ]
+                : []),
+            {
+                $group: {
+                    _id: groupBy ? { $ifNull: [PERFORMANCE_GROUP_FIELDS[groupBy], null] } : null,
+                    duties: { $sum: 1 },
+                    ...Object.fromEntries(Object.entries(sums).map(([name, expr]) => [name, { $sum: expr }]))
+                }
+            }
+        ]).toArray();
+        return rows.map(({ _id, ...totals }) => ({ ...(groupBy ? { group_key: _id } : {}), ...totals }));
+    }
+
+    return {
+        description: ownDb ? `MongoDB DB="${ownDb.databaseName}"` : `MongoDB at ${uri}, DB="${dbName}"`,
+
+        // The raw Db handle, for tools that need more than this interface (e.g. the migration)
+        get db() {
+            return db;
+        },
+
+        async connect() {
+            if (ownDb) return;
+            client = new MongoClient(uri, {});
+            await client.connect();
+            db = client.db(dbName);
+        },
+
+        async close() {
+            if (client) await client.close();
+        },
+
+        async ensureSchema() {
+            // Needed to count proposals and misses per validator
+            await db.collection('blocks').createIndex({ proposer_index: 1 });
+            await db.collection('empty_slots').createIndex({ proposer_index: 1 });
+            // cohort_members from before named cohorts can't take the unique index; it is derived data, rebuilt anyway
+            if (await db.collection('cohort_members').findOne({ cohort: { $exists: false } })) {
+                await db.collection('cohort_members').drop();
+            }
+            await ensureCohortMemberIndexes();
+            await db.collection('validators').createIndex({ withdrawal_address: 1 });
+            await db.collection('stats_history').createIndex({ cohort: 1, run_ts: -1 });
+            await db.collection('validator_events').createIndex({ ts: -1 });
+            await db.collection('validator_events').createIndex({ validator_index: 1, ts: -1 });
+            await db.collection('runs').createIndex({ job: 1, started_ts: -1 });
+            await db.collection('withdrawals').createIndex({ validator_index: 1, ts: 1 });
+            await db.collection('withdrawals').createIndex({ slot: 1 });
+            await db.collection('attestation_performance').createIndex({ epoch: 1, validator_index: 1 }, { unique: true });
+            await db.collection('attestation_performance').createIndex({ validator_index: 1, ts: 1 });
+            await db.collection('sync_committee_rewards').createIndex({ slot: 1, validator_index: 1 }, { unique: true });
+            await db.collection('sync_committee_rewards').createIndex({ validator_index: 1, ts: 1 });
+            await db.collection('network_performance').createIndex({ ts: 1 });
+            await db.collection('alert_states').createIndex({ rule: 1 });
+        },
+
+        async getMeta(key) {
+            const metaDoc = await db.collection('meta').findOne({ _id: key });
+            return metaDoc ? metaDoc.value : null;
+        },
+
+        async setMeta(key, value) {
+            await db.collection('meta').updateOne(
+                { _id: key },
+                { $set: { value } },
+                { upsert: true }
+            );
+        },
+
+        async upsertBlocks(blocks) {
+            if (blocks.length === 0) return;
+            await db.collection('blocks').bulkWrite(
+                blocks.map(({ slot, ...fields }) => ({
+                    updateOne: { filter: { _id: slot }, update: { $set: fields }, upsert: true }
+                })),
+                { ordered: false }
+            );
+        },
+
+        async getBlock(slot) {
+            const doc = await db.collection('blocks').findOne({ _id: slot });
+            return doc ? toBlock(doc) : null;
+        },
+
+        async getBlocksInRange(fromSlot, toSlot) {
+            const docs = await db.collection('blocks')
+                .find({ _id: { $gte: fromSlot, $lte: toSlot } })
+                .sort({ _id: 1 })
+                .toArray();
+            return docs.map(toBlock);
+        },
+
+        async listBlocksAfter(afterSlot, { toSlot = Number.MAX_SAFE_INTEGER, cohort, limit }) {
+            const range = { $gt: afterSlot, $lte: toSlot };
+            if (!cohort) {
+                const docs = await db.collection('blocks').find({ _id: range }).sort({ _id: 1 }).limit(limit).toArray();
+                return docs.map(toBlock);
+            }
+            const members = await db.collection('cohort_members')
+                .find({ cohort, slot: range }, { projection: { _id: 0, slot: 1 } })
+                .sort({ slot: 1 })
+                .limit(limit)
+                .toArray();
+            const docs = await db.collection('blocks')
+                .find({ _id: { $in: members.map(m => m.slot) } })
+                .sort({ _id: 1 })
+                .toArray();
+            return docs.map(toBlock);
+        },
+
+        async getLastBlockBefore(slot) {
+            const doc = await db.collection('blocks')
+                .find({ _id: { $lt: slot } })
+                .sort({ _id: -1 })
+                .limit(1)
+                .next();
+            return doc ? toBlock(doc) : null;
+        },
+
+        async listBlocksByProposer(validatorIndex, { limit, offset = 0 }) {
+            const docs = await db.collection('blocks')
+                .find({ proposer_index: validatorIndex })
+                .sort({ _id: -1 })
+                .skip(offset)
+                .limit(limit)
+                .toArray();
+            return docs.map(toBlock);
+        },
+
+        async upsertCohortMembers(members) {
+            if (members.length === 0) return;
+            await db.collection('cohort_members').bulkWrite(
+                members.map(({ cohort, slot, ...fields }) => ({
+                    updateOne: {
+                        filter: { cohort, slot },
+                        update: { $set: fields },
+                        upsert: true
+                    }
+                })),
+                { ordered: false }
+            );
+        },
+
+        async forEachCohortMember(cohort, fn) {
+            await db.collection('cohort_members')
+                .find({ cohort }, { projection: { _id: 0 } })
+                .sort({ slot: 1 })
+                .forEach(fn);
+        },
+
+        async listCohortMembers(cohort, { fromSlot = 0, toSlot = Number.MAX_SAFE_INTEGER, limit, offset = 0 }) {
+            return db.collection('cohort_members')
+                .find({ cohort, slot: { $gte: fromSlot, $lte: toSlot } }, { projection: { _id: 0 } })
+                .sort({ slot: 1 })
+                .skip(offset)
+                .limit(limit)
+                .toArray();
+        },
+
+        async listCohortProposerIndices() {
+            return db.collection('cohort_members').distinct('proposer_index', { proposer_index: { $ne: null } });
+        },
+
+        async refreshCohortValidators(validatorIndices) {
+            const indices = [...new Set(validatorIndices)].filter(i => i !== null && i !== undefined);
+            for (let i = 0; i < indices.length; i += REFRESH_CHUNK_SIZE) {
+                const chunk = indices.slice(i, i + REFRESH_CHUNK_SIZE);
+                const matches = await db.collection('cohort_members').aggregate([
+                    { $match: { proposer_index: { $in: chunk } } },
+                    {
+                        $group: {
+                            _id: { cohort: '$cohort', validator_index: '$proposer_index' },
+                            first_seen_slot: { $min: '$slot' },
+                            last_seen_slot: { $max: '$slot' },
+                            matching_proposals: { $sum: 1 }
+                        }
+                    }
+                ]).toArray();
+                // Every proposal of these validators, in slot order, to count them and find where each stopped matching
+                const slotsByValidator = new Map();
+                await db.collection('blocks')
+                    .find({ proposer_index: { $in: chunk } }, { projection: { proposer_index: 1 } })
+                    .sort({ _id: 1 })
+                    .forEach(({ _id: slot, proposer_index }) => {
+                        if (!slotsByValidator.has(proposer_index)) slotsByValidator.set(proposer_index, []);
+                        slotsByValidator.get(proposer_index).push(slot);
+                    });
+                const rows = matches.map(({ _id: { cohort, validator_index }, ...fields }) => {
+                    const slots = slotsByValidator.get(validator_index) || [];
+                    const leftSlot = slots.find(slot => slot > fields.last_seen_slot);
+                    return {
+                        cohort,
+                        validator_index,
+                        ...fields,
+                        total_proposals: slots.length,
+                        last_proposal_slot: slots.length > 0 ? slots[slots.length - 1] : null,
+                        left_slot: leftSlot === undefined ? null : leftSlot
+                    };
+                });
+                await db.collection('cohort_validators').deleteMany({ validator_index: { $in: chunk } });
+                if (rows.length > 0) await db.collection('cohort_validators').insertMany(rows);
+            }
+        },
+
+        async listCohortValidators(cohort) {
+            return db.collection('cohort_validators')
+                .find({ cohort }, { projection: { _id: 0 } })
+                .sort({ validator_index: 1 })
+                .toArray();
+        },
+
+        async listValidatorCohorts(validatorIndex) {
+            return db.collection('cohort_validators')
+                .find({ validator_index: validatorIndex }, { projection: { _id: 0 } })
+                .sort({ cohort: 1 })
+                .toArray();
+        },
+
+        async resetCohortMembers() {
+            await db.collection('cohort_validators').drop().catch(() => {}); // may not exist yet
+            await db.collection('cohort_members').drop().catch(() => {});
+            await ensureCohortMemberIndexes();
+        },
+
+        async countBlocks({ fromSlot = 0, proposerIndices } = {}) {
+            const query = { _id: { $gte: fromSlot } };
+            if (proposerIndices) query.proposer_index = { $in: proposerIndices };
+            return db.collection('blocks').countDocuments(query);
+        },
+
+        async deleteSlotsFrom(slot) {
+            const { deletedCount } = await db.collection('blocks').deleteMany({ _id: { $gte: slot } });
+            await db.collection('empty_slots').deleteMany({ _id: { $gte: slot } });
+            await db.collection('cohort_members').deleteMany({ slot: { $gte: slot } });
+            await db.collection('withdrawals').deleteMany({ slot: { $gte: slot } });
+            return deletedCount;
+        },
+
+        async insertEmptySlots(emptySlots) {
+            if (emptySlots.length === 0) return;
+            await db.collection('empty_slots').bulkWrite(
+                emptySlots.map(({ slot, proposer_index, checked_ts }) => ({
+                    updateOne: {
+                        filter: { _id: slot },
+                        update: { $set: { proposer_index, checked_ts } },
+                        upsert: true
+                    }
+                })),
+                { ordered: false }
+            );
+        },
+
+        async countEmptySlots({ fromSlot = 0, proposerIndices, attributedOnly = false } = {}) {
+            const query = { _id: { $gte: fromSlot } };
+            if (proposerIndices) {
+                query.proposer_index = { $in: proposerIndices };
+            } else if (attributedOnly) {
+                query.proposer_index = { $ne: null };
+            }
+            return db.collection('empty_slots').countDocuments(query);
+        },
+
+        async getKnownSlotsInRange(fromSlot, toSlot) {
+            const range = { _id: { $gte: fromSlot, $lte: toSlot } };
+            const [blockDocs, emptyDocs] = await Promise.all([
+                db.collection('blocks').find(range, { projection: { _id: 1 } }).toArray(),
+                db.collection('empty_slots').find(range, { projection: { _id: 1 } }).toArray()
+            ]);
+            return [...blockDocs, ...emptyDocs].map(d => d._id);
+        },
+
+        async recordFailedSlot(slot, error, attempts) {
+            await db.collection('failed_slots').updateOne(
+                { _id: slot },
+                {
+                    $set: { error, last_attempt_ts: new Date() },
+                    $inc: { attempts },
+                    $setOnInsert: { first_failed_ts: new Date() }
+                },
+                { upsert: true }
+            );
+        },
+
+        async clearFailedSlots(slots) {
+            if (slots.length === 0) return;
+            await db.collection('failed_slots').deleteMany({ _id: { $in: slots } });
+        },
+
+        async listFailedSlots() {
+            const docs = await db.collection('failed_slots')
+                .find({}, { projection: { _id: 1 } })
+                .sort({ _id: 1 })
+                .toArray();
+            return docs.map(d => d._id);
+        },
+
+        async countFailedSlots() {
+            return db.collection('failed_slots').countDocuments();
+        },
+
+        async getValidators(validatorIndices) {
+            const docs = await db.collection('validators')
+                .find({ _id: { $in: validatorIndices } })
+                .toArray();
+            return docs.map(({ _id, ...fields }) => ({ ...fields, validator_index: _id }));
+        },
+
+        async listValidatorsByWithdrawalAddress(address, { limit, offset = 0 }) {
+            const docs = await db.collection('validators')
+                .find({ withdrawal_address: address })
+                .sort({ _id: 1 })
+                .skip(offset)
+                .limit(limit)
+                .toArray();
+            return docs.map(({ _id, ...fields }) => ({ ...fields, validator_index: _id }));
+        },
+
+        async listValidatorsAfter(afterIndex, { statuses, limit }) {
+            const query = { _id: { $gt: afterIndex } };
+            if (statuses) query.last_known_status = { $in: statuses };
+            const docs = await db.collection('validators').find(query).sort({ _id: 1 }).limit(limit).toArray();
+            return docs.map(({ _id, ...fields }) => ({ ...fields, validator_index: _id }));
+        },
+
+        async listValidatorIndices() {
+            const docs = await db.collection('validators')
+                .find({}, { projection: { _id: 1 } })
+                .toArray();
+            return docs.map(d => d._id);
+        },
+
+        async upsertValidators(rows) {
+            if (rows.length === 0) return;
+            await db.collection('validators').bulkWrite(
+                rows.map(row => ({
+                    updateOne: {
+                        filter: { _id: row.validator_index },
+                        update: { $set: row },
+                        upsert: true
+                    }
+                })),
+                { ordered: false }
+            );
+        },
+
+        async insertValidatorEvents(events) {
+            if (events.length === 0) return;
+            await db.collection('validator_events').insertMany(events, { ordered: false });
+        },
+
+        async listValidatorEvents({ since }) {
+            return db.collection('validator_events')
+                .find({ ts: { $gte: since } }, { projection: { _id: 0 } })
+                .sort({ ts: -1 })
+                .toArray();
+        },
+
+        async insertStats(stats) {
+            await db.collection('stats_history').insertOne({ ...stats });
+        },
+
+        async listStats({ cohort, from, to, limit, offset = 0 }) {
+            const query = {};
+            if (cohort) query.cohort = cohort;
+            if (from || to) {
+                query.run_ts = {};
+                if (from) query.run_ts.$gte = from;
+                if (to) query.run_ts.$lte = to;
+            }
+            return db.collection('stats_history')
+                .find(query, { projection: { _id: 0 } })
+                .sort({ run_ts: -1, _id: -1 })
+                .skip(offset)
+                .limit(limit)
+                .toArray();
+        },
+
+        async listStatsAfter(afterId, { cohort, fromSlot = 0, toSlot = Number.MAX_SAFE_INTEGER, limit }) {
+            const query = { slot: { $gte: fromSlot, $lte: toSlot } };
+            if (afterId !== null) query._id = { $gt: afterId };
+            if (cohort) query.cohort = cohort;
+            const docs = await db.collection('stats_history').find(query).sort({ _id: 1 }).limit(limit).toArray();
+            return docs.map(({ _id, ...stats }) => ({ id: _id, stats }));
+        },
+
+        async insertWithdrawals(withdrawals) {
+            if (withdrawals.length === 0) return;
+            await db.collection('withdrawals').bulkWrite(
+                withdrawals.map(({ withdrawal_index, ...fields }) => ({
+                    updateOne: { filter: { _id: withdrawal_index }, update: { $set: fields }, upsert: true }
+                })),
+                { ordered: false }
+            );
+        },
+
+        // A withdrawal is full once its validator is withdrawable, i.e. it exited; every one before is a partial sweep
+        async summarizeWithdrawals({ cohort, from, to, groupBy }) {
+            const validatorIndices = await db.collection('cohort_members').distinct('proposer_index', { cohort });
+            const match = { validator_index: { $in: validatorIndices } };
+            if (from || to) {
+                match.ts = {};
+                if (from) match.ts.$gte = from;
+                if (to) match.ts.$lte = to;
+            }
+            const withdrawableEpoch = { $ifNull: [{ $arrayElemAt: ['$validator.withdrawable_epoch', 0] }, Number.MAX_SAFE_INTEGER] };
+            const rows = await db.collection('withdrawals').aggregate([
+                { $match: match },
+                { $lookup: { from: 'validators', localField: 'validator_index', foreignField: '_id', as: 'validator' } },
+                {
+                    $group: {
+                        _id: {
+                            group_key: groupBy ? WITHDRAWAL_GROUP_FIELDS[groupBy] : null,
+                            kind: { $cond: [{ $gte: ['$epoch', withdrawableEpoch] }, 'full', 'partial'] }
+                        },
+                        count: { $sum: 1 },
+                        amount_gwei: { $sum: '$amount_gwei' }
+                    }
+                }
+            ]).toArray();
+            return rows.map(({ _id, ...totals }) => ({ ...(groupBy ? { group_key: _id.group_key } : {}), kind: _id.kind, ...totals }));
+        },
+
+        async insertAttestationPerformance(rows) {
+            await upsertByKey('attestation_performance', ['epoch', 'validator_index'], rows);
+        },
+
+        async insertSyncCommitteeRewards(rows) {
+            await upsertByKey('sync_committee_rewards', ['slot', 'validator_index'], rows);
+        },
+
+        async insertNetworkPerformance(rows) {
+            if (rows.length === 0) return;
+            await db.collection('network_performance').bulkWrite(
+                rows.map(({ epoch, ...fields }) => ({
+                    updateOne: { filter: { _id: epoch }, update: { $set: fields }, upsert: true }
+                })),
+                { ordered: false }
+            );
+        },
+
+        async summarizeAttestations(query) {
+            return summarizePerformance('attestation_performance', {
+                head_correct: { $cond: ['$head_correct', 1, 0] },
+                target_correct: { $cond: ['$target_correct', 1, 0] },
+                source_correct: { $cond: ['$source_correct', 1, 0] },
+                earned_gwei: '$earned_gwei',
+                ideal_gwei: '$ideal_gwei'
+            }, query);
+        },
+
+        async summarizeSyncCommittee(query) {
+            return summarizePerformance('sync_committee_rewards', {
+                participated: { $cond: [{ $gt: ['$reward_gwei', 0] }, 1, 0] },
+                earned_gwei: '$reward_gwei',
+                ideal_gwei: '$ideal_gwei'
+            }, query);
+        },
+
+        async summarizeNetworkPerformance({ from, to }) {
+            const [row] = await db.collection('network_performance').aggregate([
+                { $match: from || to ? { ts: tsRange(from, to) } : {} },
+                {
+                    $group: {
+                        _id: null,
+                        epochs: { $sum: 1 },
+                        ...Object.fromEntries(NETWORK_PERFORMANCE_SUMS.map(c => [c, { $sum: `$${c}` }]))
+                    }
+                }
+            ]).toArray();
+            return Object.fromEntries(['epochs', ...NETWORK_PERFORMANCE_SUMS].map(c => [c, row ? row[c] : 0]));
+        },
+
+        async listAlertStates(rules) {
+            const docs = await db.collection('alert_states').find({ rule: { $in: rules } }).toArray();
+            return docs.map(({ _id, ...fields }) => ({ key: _id, ...fields }));
+        },
+
+        async upsertAlertStates(states) {
+            if (states.length === 0) return;
+            await db.collection('alert_states').bulkWrite(
+                states.map(({ key, ...fields }) => ({
+                    updateOne: { filter: { _id: key }, update: { $set: fields }, upsert: true }
+                })),
+                { ordered: false }
+            );
+        },
+
+        async deleteAlertStates(keys) {
+            if (keys.length === 0) return;
+            await db.collection('alert_states').deleteMany({ _id: { $in: keys } });
+        },
+
+        // Only matches an expired lock; when one is still held, the upsert's insert hits the _id and fails
+        async acquireLock(job, owner, ttlMs) {
+            const now = new Date();
+            try {
+                await db.collection('locks').updateOne(
+                    { _id: job, expires_ts: { $lt: now } },
+                    { $set: { owner, acquired_ts: now, expires_ts: new Date(now.getTime() + ttlMs) } },
+                    { upsert: true }
+                );
+                return true;
+            } catch (err) {
+                if (err.code === DUPLICATE_KEY) return false;
+                throw err;
+            }
+        },
+
+        async renewLock(job, owner, ttlMs) {
+            const { matchedCount } = await db.collection('locks').updateOne(
+                { _id: job, owner },
+                { $set: { expires_ts: new Date(Date.now() + ttlMs) } }
+            );
+            return matchedCount > 0;
+        },
+
+        async releaseLock(job, owner) {
+            await db.collection('locks').deleteOne({ _id: job, owner });
+        },
+
+        async getLock(job) {
+            const doc = await db.collection('locks').findOne({ _id: job });
+            if (!doc) return null;
+            const { _id, ...fields } = doc;
+            return { job: _id, ...fields };
+        },
+
+        async insertRun({ id, ...fields }) {
+            await db.collection('runs').insertOne({ _id: id, ...fields });
+        },
+
+        async updateRun(id, fields) {
+            await db.collection('runs').updateOne({ _id: id }, { $set: fields });
+        },
+
+        async listRuns({ job, limit, offset = 0 }) {
+            const docs = await db.collection('runs')
+                .find(job ? { job } : {})
+                .sort({ started_ts: -1 })
+                .skip(offset)
+                .limit(limit)
+                .toArray();
+            return docs.map(toRun);
+        }
+    };
+}
+
+module.exports = {
+    createMongoStorage
+};
@@ -0,0 +1,91 @@
+const { Pool, types } = require('pg');
+const { createSqlStorage } = require('./sql');
+
+const BIGINT_OID = 20;
+
+// BIGINT (int8) columns hold slots, indices and gwei amounts, all well within Number range.
+// Passed per query so a pool shared with other code keeps pg's own parsers.
+const queryTypes = {
+    getTypeParser: (oid, format) =>
+        (oid === BIGINT_OID && format !== 'binary' ? value => parseInt(value, 10) : types.getTypeParser(oid, format))
+};
+
+function toPgPlaceholders(sql) {
+    let i = 0;
+    return sql.replace(/\?/g, () => `$${++i}`);
+}
+
+function pgQuery(sql, params) {
+    return { text: toPgPlaceholders(sql), values: params, types: queryTypes };
+}
+
+function redactPassword(connectionString) {
+    try {
+        const url = new URL(connectionString);
+        if (url.password) url.password = '***';
+        return url.toString();
+    } catch (err) {
+        return 'postgres';
+    }
+}
+
+// With `pool`, an existing pg Pool is used as is, and left open by close()
+function createPostgresStorage({ connectionString, pool: ownPool = null }) {
+    let pool = ownPool;
+
+    function clientApi(client) {
+        return {
+            all: async (sql, params = []) => (await client.query(pgQuery(sql, params))).rows,
+            run: async (sql, params = []) => {
+                const result = await client.query(pgQuery(sql, params));
+                return { changes: result.rowCount };
+            }
+        };
+    }
+
+    return createSqlStorage({
+        description: ownPool ? 'PostgreSQL (pool passed in)' : `PostgreSQL at ${redactPassword(connectionString)}`,
+        types: { bigint: 'BIGINT', timestamp: 'TIMESTAMPTZ', json: 'JSONB', id: 'BIGSERIAL PRIMARY KEY' },
+        jsonText: (column, field) => `${column}->>'${field}'`,
+
+        async connect() {
+            if (!ownPool) pool = new Pool({ connectionString });
+            await pool.query('SELECT 1');
+        },
+
+        async close() {
+            if (pool && !ownPool) await pool.end();
+        },
+
+        async addColumnIfMissing(table, column, type) {
+            await pool.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${column} ${type}`);
+        },
+
+        all: (sql, params) => clientApi(pool).all(sql, params),
+        run: (sql, params) => clientApi(pool).run(sql, params),
+
+        async transaction(fn) {
+            const client = await pool.connect();
+            try {
+                await client.query('BEGIN');
+                await fn(clientApi(client));
+                await client.query('COMMIT');
+            } catch (err) {
+                await client.query('ROLLBACK');
+                throw err;
+            } finally {
+                client.release();
+            }
+        },
+
+        // node-postgres converts Dates to and from TIMESTAMPTZ and parses JSONB itself
+        encodeDate: date => date,
+        decodeDate: value => value,
+        encodeJson: value => JSON.stringify(value),
+        decodeJson: value => value
+    });
+}
+
+module.exports = {
+    createPostgresStorage
+};
@@ -0,0 +1,823 @@
+// Keeps every statement well under SQLite's bound-parameter limit
+const IN_CHUNK_SIZE = 500;
+// Rows per query when walking a whole table, so it is never loaded at once
+const SCAN_PAGE_SIZE = 10000;
+
+const BLOCK_COLUMNS = [
+    'slot', 'proposer_index', 'graffiti', 'block_root', 'parent_root',
+    'fee_recipient', 'block_number', 'extra_data', 'gas_used', 'execution_timestamp'
+];
+const VALIDATOR_COLUMNS = [
+    'validator_index', 'withdrawal_credentials', 'withdrawal_credentials_type', 'withdrawal_address',
+    'effective_balance', 'slashed', 'last_known_status', 'withdrawable_epoch'
+];
+const WITHDRAWAL_COLUMNS = [
+    'withdrawal_index', 'slot', 'epoch', 'day', 'ts', 'validator_index', 'address', 'amount_gwei'
+];
+const WITHDRAWAL_GROUP_COLUMNS = { validator: 'w.validator_index', address: 'w.address', day: 'w.day' };
+const ATTESTATION_PERFORMANCE_COLUMNS = [
+    'epoch', 'day', 'ts', 'validator_index', 'effective_balance', 'head_gwei', 'target_gwei', 'source_gwei',
+    'inactivity_gwei', 'earned_gwei', 'ideal_gwei', 'head_correct', 'target_correct', 'source_correct'
+];
+const SYNC_COMMITTEE_REWARD_COLUMNS = ['slot', 'epoch', 'day', 'ts', 'validator_index', 'reward_gwei', 'ideal_gwei'];
+const NETWORK_PERFORMANCE_COLUMNS = [
+    'epoch', 'day', 'ts', 'validators', 'head_correct', 'target_correct', 'source_correct', 'earned_gwei', 'ideal_gwei',
+    'sync_duties', 'sync_participated', 'sync_earned_gwei', 'sync_ideal_gwei'
+];
+// Performance rows are grouped per operator through the validator's withdrawal address
+const PERFORMANCE_GROUP_COLUMNS = { validator: 'p.validator_index', operator: 'v.withdrawal_address', day: 'p.day' };
+const COHORT_MEMBER_COLUMNS = [
+    'cohort', 'slot', 'proposer_index', 'fee_recipient', 'execution_client', 'consensus_client'
+];
+const RUN_COLUMNS = [
+    'id', 'job', 'command', 'host', 'pid', 'started_ts', 'heartbeat_ts', 'ended_ts', 'exit_reason',
+    'from_slot', 'to_slot', 'counts', 'errors'
+];
+const RUN_DATE_COLUMNS = ['started_ts', 'heartbeat_ts', 'ended_ts'];
+const ALERT_STATE_COLUMNS = ['key', 'rule', 'first_fired_ts', 'last_sent_ts', 'sent_count'];
+const RUN_JSON_COLUMNS = ['counts', 'errors'];
+
+// Derived from blocks, so resetCohortMembers may drop and recreate them at any time
+function cohortMembersSchema({ bigint }) {
+    return [
+        `CREATE TABLE IF NOT EXISTS cohort_members (
+            cohort TEXT NOT NULL,
+            slot ${bigint} NOT NULL,
+            proposer_index ${bigint},
+            fee_recipient TEXT,
+            execution_client TEXT,
+            consensus_client TEXT,
+            PRIMARY KEY (cohort, slot)
+        )`,
+        'CREATE INDEX IF NOT EXISTS cohort_members_proposer_index ON cohort_members (cohort, proposer_index)',
+        `CREATE TABLE IF NOT EXISTS cohort_validators (
+            cohort TEXT NOT NULL,
+            validator_index ${bigint} NOT NULL,
+            first_seen_slot ${bigint},
+            last_seen_slot ${bigint},
+            matching_proposals ${bigint},
+            total_proposals ${bigint},
+            last_proposal_slot ${bigint},
+            left_slot ${bigint},
+            PRIMARY KEY (cohort, validator_index)
+        )`,
+        'CREATE INDEX IF NOT EXISTS cohort_validators_validator_index ON cohort_validators (validator_index)'
+    ];
+}
+
+// One row per cohort a validator matched, from its cohort_members rows and all its blocks
+const REFRESH_COHORT_VALIDATORS_SQL = `
+    INSERT INTO cohort_validators (
+        cohort, validator_index, first_seen_slot, last_seen_slot, matching_proposals,
+        total_proposals, last_proposal_slot, left_slot
+    )
+    SELECT m.cohort, m.validator_index, m.first_seen_slot, m.last_seen_slot, m.matching_proposals,
+        (SELECT COUNT(*) FROM blocks b WHERE b.proposer_index = m.validator_index),
+        (SELECT MAX(b.slot) FROM blocks b WHERE b.proposer_index = m.validator_index),
+        (SELECT MIN(b.slot) FROM blocks b WHERE b.proposer_index = m.validator_index AND b.slot > m.last_seen_slot)
+    FROM (
+        SELECT cohort, proposer_index AS validator_index, MIN(slot) AS first_seen_slot,
+            MAX(slot) AS last_seen_slot, COUNT(*) AS matching_proposals
+        FROM cohort_members
+        WHERE proposer_index IN (?*)
+        GROUP BY cohort, proposer_index
+    ) m`;
+
+function schema(types) {
+    const { bigint, timestamp, json, id } = types;
+    return [
+        `CREATE TABLE IF NOT EXISTS meta (
+            key TEXT PRIMARY KEY,
+            value TEXT
+        )`,
+        `CREATE TABLE IF NOT EXISTS blocks (
+            slot ${bigint} PRIMARY KEY,
+            proposer_index ${bigint},
+            graffiti TEXT,
+            block_root TEXT,
+            parent_root TEXT,
+            fee_recipient TEXT,
+            block_number ${bigint},
+            extra_data TEXT,
+            gas_used ${bigint},
+            execution_timestamp ${bigint}
+        )`,
+        'CREATE INDEX IF NOT EXISTS blocks_proposer_index ON blocks (proposer_index)',
+        `CREATE TABLE IF NOT EXISTS empty_slots (
+            slot ${bigint} PRIMARY KEY,
+            proposer_index ${bigint},
+            checked_ts ${timestamp}
+        )`,
+        'CREATE INDEX IF NOT EXISTS empty_slots_proposer_index ON empty_slots (proposer_index)',
+        ...cohortMembersSchema(types),
+        `CREATE TABLE IF NOT EXISTS failed_slots (
+            slot ${bigint} PRIMARY KEY,
+            error TEXT,
+            attempts INTEGER NOT NULL DEFAULT 0,
+            first_failed_ts ${timestamp},
+            last_attempt_ts ${timestamp}
+        )`,
+        `CREATE TABLE IF NOT EXISTS validators (
+            validator_index ${bigint} PRIMARY KEY,
+            withdrawal_credentials TEXT,
+            withdrawal_credentials_type TEXT,
+            withdrawal_address TEXT,
+            effective_balance ${bigint},
+            slashed INTEGER,
+            last_known_status TEXT,
+            withdrawable_epoch ${bigint}
+        )`,
+        'CREATE INDEX IF NOT EXISTS validators_withdrawal_address ON validators (withdrawal_address)',
+        `CREATE TABLE IF NOT EXISTS validator_events (
+            id ${id},
+            validator_index ${bigint} NOT NULL,
+            type TEXT NOT NULL,
+            old_value ${json},
+            new_value ${json},
+            slot ${bigint},
+            ts ${timestamp} NOT NULL
+        )`,
+        'CREATE INDEX IF NOT EXISTS validator_events_ts ON validator_events (ts)',
+        'CREATE INDEX IF NOT EXISTS validator_events_validator ON validator_events (validator_index, ts)',
+        `CREATE TABLE IF NOT EXISTS stats_history (
+            id ${id},
+            slot ${bigint} NOT NULL,
+            run_ts ${timestamp} NOT NULL,
+            data ${json} NOT NULL
+        )`,
+        'CREATE INDEX IF NOT EXISTS stats_history_run_ts ON stats_history (run_ts)',
+        `CREATE TABLE IF NOT EXISTS locks (
+            job TEXT PRIMARY KEY,
+            owner TEXT NOT NULL,
+            acquired_ts ${timestamp} NOT NULL,
+            expires_ts ${timestamp} NOT NULL
+        )`,
+        `CREATE TABLE IF NOT EXISTS runs (
+            id TEXT PRIMARY KEY,
+            job TEXT NOT NULL,
+            command TEXT,
+            host TEXT,
+            pid INTEGER,
+            started_ts ${timestamp} NOT NULL,
+            heartbeat_ts ${timestamp},
+            ended_ts ${timestamp},
+            exit_reason TEXT,
+            from_slot ${bigint},
+            to_slot ${bigint},
+            counts ${json},
+            errors ${json}
+        )`,
+        'CREATE INDEX IF NOT EXISTS runs_job_started_ts ON runs (job, started_ts)',
+        `CREATE TABLE IF NOT EXISTS withdrawals (
+            withdrawal_index ${bigint} PRIMARY KEY,
+            slot ${bigint} NOT NULL,
+            epoch ${bigint} NOT NULL,
+            day TEXT NOT NULL,
+            ts ${timestamp} NOT NULL,
+            validator_index ${bigint} NOT NULL,
+            address TEXT,
+            amount_gwei ${bigint} NOT NULL
+        )`,
+        'CREATE INDEX IF NOT EXISTS withdrawals_validator_ts ON withdrawals (validator_index, ts)',
+        'CREATE INDEX IF NOT EXISTS withdrawals_slot ON withdrawals (slot)',
+        `CREATE TABLE IF NOT EXISTS attestation_performance (
+            epoch ${bigint} NOT NULL,
+            day TEXT NOT NULL,
+            ts ${timestamp} NOT NULL,
+            validator_index ${bigint} NOT NULL,
+            effective_balance ${bigint},
+            head_gwei ${bigint} NOT NULL,
+            target_gwei ${bigint} NOT NULL,
+            source_gwei ${bigint} NOT NULL,
+            inactivity_gwei ${bigint} NOT NULL,
+            earned_gwei ${bigint} NOT NULL,
+            ideal_gwei ${bigint} NOT NULL,
+            head_correct INTEGER NOT NULL,
+            target_correct INTEGER NOT NULL,
+            source_correct INTEGER NOT NULL,
+            PRIMARY KEY (epoch, validator_index)
+        )`,
+        'CREATE INDEX IF NOT EXISTS attestation_performance_validator_ts ON attestation_performance (validator_index, ts)',
+        `CREATE TABLE IF NOT EXISTS sync_committee_rewards (
+            slot ${bigint} NOT NULL,
+            epoch ${bigint} NOT NULL,
+            day TEXT NOT NULL,
+            ts ${timestamp} NOT NULL,
+            validator_index ${bigint} NOT NULL,
+            reward_gwei ${bigint} NOT NULL,
+            ideal_gwei ${bigint} NOT NULL,
+            PRIMARY KEY (slot, validator_index)
+        )`,
+        'CREATE INDEX IF NOT EXISTS sync_committee_rewards_validator_ts ON sync_committee_rewards (validator_index, ts)',
+        `CREATE TABLE IF NOT EXISTS network_performance (
+            epoch ${bigint} PRIMARY KEY,
+            day TEXT NOT NULL,
+            ts ${timestamp} NOT NULL,
+            validators ${bigint} NOT NULL,
+            head_correct ${bigint} NOT NULL,
+            target_correct ${bigint} NOT NULL,
+            source_correct ${bigint} NOT NULL,
+            earned_gwei ${bigint} NOT NULL,
+            ideal_gwei ${bigint} NOT NULL,
+            sync_duties ${bigint} NOT NULL,
+            sync_participated ${bigint} NOT NULL,
+            sync_earned_gwei ${bigint} NOT NULL,
+            sync_ideal_gwei ${bigint} NOT NULL
+        )`,
+        'CREATE INDEX IF NOT EXISTS network_performance_ts ON network_performance (ts)',
+        `CREATE TABLE IF NOT EXISTS alert_states (
+            key TEXT PRIMARY KEY,
+            rule TEXT NOT NULL,
+            first_fired_ts ${timestamp} NOT NULL,
+            last_sent_ts ${timestamp} NOT NULL,
+            sent_count INTEGER NOT NULL
+        )`,
+        'CREATE INDEX IF NOT EXISTS alert_states_rule ON alert_states (rule)'
+    ];
+}
+
+// Columns added after their table was first released; ensureSchema adds them to older databases
+function addedColumns({ bigint }) {
+    return [
+        { table: 'validators', column: 'withdrawable_epoch', type: bigint }
+    ];
+}
+
+// key is the conflict target: one column, or an array of them for a composite key
+function upsertSql(table, key, columns) {
+    const keys = [].concat(key);
+    const updates = columns.filter(c => !keys.includes(c)).map(c => `${c} = excluded.${c}`);
+    return `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')}) ` +
+        `ON CONFLICT (${keys.join(', ')}) DO ${updates.length > 0 ? `UPDATE SET ${updates.join(', ')}` : 'NOTHING'}`;
+}
+
+function placeholders(values) {
+    return values.map(() => '?').join(', ');
+}
+
+/**
+ * Storage on top of a SQL dialect (see sqlite.js and postgres.js). Statements are
+ * written with "?" placeholders; the dialect translates them where needed.
+ *
+ * A dialect provides: description, types ({ bigint, timestamp, json, id }),
+ * jsonText(column, field) -> SQL reading a JSON field as text,
+ * connect(), close(), all(sql, params), run(sql, params) -> { changes },
+ * addColumnIfMissing(table, column, type),
+ * transaction(fn) where fn gets { all, run }, and encode/decode functions for
+ * dates and JSON values.
+ */
+function createSqlStorage(dialect) {
+    const { all, run } = dialect;
+
+    function encode(value) {
+        if (value === undefined) return null;
+        if (typeof value === 'boolean') return value ? 1 : 0;
+        if (value instanceof Date) return dialect.encodeDate(value);
+        return value;
+    }
+
+    // Rows may carry only some of the columns; only those get written
+    async function upsertRows(table, key, allowedColumns, rows) {
+        if (rows.length === 0) return;
+        await dialect.transaction(async tx => {
+            for (const row of rows) {
+                const columns = allowedColumns.filter(c => row[c] !== undefined);
+                await tx.run(upsertSql(table, key, columns), columns.map(c => encode(row[c])));
+            }
+        });
+    }
+
+    async function countInChunks(sql, params, ids) {
+        let count = 0;
+        for (let i = 0; i < ids.length; i += IN_CHUNK_SIZE) {
+            const chunk = ids.slice(i, i + IN_CHUNK_SIZE);
+            const [row] = await all(sql.replace('(?*)', `(${placeholders(chunk)})`), [...params, ...chunk]);
+            count += Number(row.count);
+        }
+        return count;
+    }
+
+    /**
+     * Runs a performance summary over validatorIndices, IN_CHUNK_SIZE at a time.
+     * Rows of different chunks may share a group (e.g. a day); callers add them up.
+     */
+    async function summarizeInChunks(table, sums, { validatorIndices, from, to, groupBy }) {
+        const where = [];
+        const params = [];
+        if (from) {
+            where.push('p.ts >= ?');
+            params.push(dialect.encodeDate(from));
+        }
+        if (to) {
+            where.push('p.ts <= ?');
+            params.push(dialect.encodeDate(to));
+        }
+        const groupKey = groupBy ? PERFORMANCE_GROUP_COLUMNS[groupBy] : null;
+        const join = groupBy === 'operator' ? 'LEFT JOIN validators v ON v.validator_index = p.validator_index ' : '';
+        const rows = [];
+        for (let i = 0; i < validatorIndices.length; i += IN_CHUNK_SIZE) {
+            const chunk = validatorIndices.slice(i, i + IN_CHUNK_SIZE);
+            rows.push(...await all(
+                `SELECT ${groupKey ? `${groupKey} AS group_key, ` : ''}COUNT(*) AS duties, ` +
+                `${Object.entries(sums).map(([name, expr]) => `SUM(${expr}) AS ${name}`).join(', ')} ` +
+                `FROM ${table} p ${join}` +
+                `WHERE ${[...where, `p.validator_index IN (${placeholders(chunk)})`].join(' AND ')}` +
+                `${groupKey ? ` GROUP BY ${groupKey}` : ''}`,
+                [...params, ...chunk]
+            ));
+        }
+        // Postgres sums BIGINTs into NUMERIC, which node-postgres returns as a string
+        return rows
+            .filter(r => Number(r.duties) > 0)
+            .map(r => ({
+                ...r,
+                duties: Number(r.duties),
+                ...Object.fromEntries(Object.keys(sums).map(name => [name, Number(r[name])]))
+            }));
+    }
+
+    function toValidator(row) {
+        return { ...row, slashed: row.slashed === null ? null : !!row.slashed };
+    }
+
+    function encodeRunField(column, value) {
+        if (value === undefined || value === null) return null;
+        if (RUN_DATE_COLUMNS.includes(column)) return dialect.encodeDate(value);
+        if (RUN_JSON_COLUMNS.includes(column)) return dialect.encodeJson(value);
+        return value;
+    }
+
+    function toRun(row) {
+        const run = { ...row };
+        for (const column of RUN_DATE_COLUMNS) run[column] = dialect.decodeDate(row[column]);
+        for (const column of RUN_JSON_COLUMNS) run[column] = dialect.decodeJson(row[column]);
+        return run;
+    }
+
+    function toLock(row) {
+        return { ...row, acquired_ts: dialect.decodeDate(row.acquired_ts), expires_ts: dialect.decodeDate(row.expires_ts) };
+    }
+
+    return {
+        description: dialect.description,
+
+        connect: () => dialect.connect(),
+        close: () => dialect.close(),
+
+        async ensureSchema() {
+            for (const statement of schema(dialect.types)) {
+                await run(statement);
+            }
+            for (const { table, column, type } of addedColumns(dialect.types)) {
+                await dialect.addColumnIfMissing(table, column, type);
+            }
+        },
+
+        async getMeta(key) {
+            const rows = await all('SELECT value FROM meta WHERE key = ?', [key]);
+            return rows.length > 0 ? rows[0].value : null;
+        },
+
+        async setMeta(key, value) {
+            await run(upsertSql('meta', 'key', ['key', 'value']), [key, value]);
+        },
+
+        async upsertBlocks(blocks) {
+            await upsertRows('blocks', 'slot', BLOCK_COLUMNS, blocks);
+        },
+
+        async getBlock(slot) {
+            const rows = await all('SELECT * FROM blocks WHERE slot = ?', [slot]);
+            return rows.length > 0 ? rows[0] : null;
+        },
+
+        async getBlocksInRange(fromSlot, toSlot) {
+            return all('SELECT * FROM blocks WHERE slot >= ? AND slot <= ? ORDER BY slot', [fromSlot, toSlot]);
+        },
+
+        async listBlocksAfter(afterSlot, { toSlot = Number.MAX_SAFE_INTEGER, cohort, limit }) {
+            if (cohort) {
+                return all(
+                    'SELECT b.* FROM cohort_members m JOIN blocks b ON b.slot = m.slot ' +
+                    'WHERE m.cohort = ? AND m.slot > ? AND m.slot <= ? ORDER BY m.slot LIMIT ?',
+                    [cohort, afterSlot, toSlot, limit]
+                );
+            }
+            return all('SELECT * FROM blocks WHERE slot > ? AND slot <= ? ORDER BY slot LIMIT ?', [afterSlot, toSlot, limit]);
+        },
+
+        async getLastBlockBefore(slot) {
+            const rows = await all('SELECT * FROM blocks WHERE slot < ? ORDER BY slot DESC LIMIT 1', [slot]);
+            return rows.length > 0 ? rows[0] : null;
+        },
+
+        async listBlocksByProposer(validatorIndex, { limit, offset = 0 }) {
+            return all(
+                'SELECT * FROM blocks WHERE proposer_index = ? ORDER BY slot DESC LIMIT ? OFFSET ?',
+                [validatorIndex, limit, offset]
+            );
+        },
+
+        async upsertCohortMembers(members) {
+            await upsertRows('cohort_members', ['cohort', 'slot'], COHORT_MEMBER_COLUMNS, members);
+        },
+
+        async forEachCohortMember(cohort, fn) {
+            // Keyset pages on the primary key, as the Mongo backend streams them with a cursor
+            let afterSlot = -1;
+            for (;;) {
+                const rows = await all(
+                    'SELECT * FROM cohort_members WHERE cohort = ? AND slot > ? ORDER BY slot LIMIT ?',
+                    [cohort, afterSlot, SCAN_PAGE_SIZE]
+                );
+                rows.forEach(fn);
+                if (rows.length < SCAN_PAGE_SIZE) return;
+                afterSlot = rows[rows.length - 1].slot;
+            }
+        },
+
+        async listCohortMembers(cohort, { fromSlot = 0, toSlot = Number.MAX_SAFE_INTEGER, limit, offset = 0 }) {
+            return all(
+                'SELECT * FROM cohort_members WHERE cohort = ? AND slot >= ? AND slot <= ? ORDER BY slot LIMIT ? OFFSET ?',
+                [cohort, fromSlot, toSlot, limit, offset]
+            );
+        },
+
+        async listCohortProposerIndices() {
+            const rows = await all('SELECT DISTINCT proposer_index FROM cohort_members WHERE proposer_index IS NOT NULL');
+            return rows.map(r => r.proposer_index);
+        },
+
+        async refreshCohortValidators(validatorIndices) {
+            const indices = [...new Set(validatorIndices)].filter(i => i !== null && i !== undefined);
+            for (let i = 0; i < indices.length; i += IN_CHUNK_SIZE) {
+                const chunk = indices.slice(i, i + IN_CHUNK_SIZE);
+                await dialect.transaction(async tx => {
+                    await tx.run(`DELETE FROM cohort_validators WHERE validator_index IN (${placeholders(chunk)})`, chunk);
+                    await tx.run(REFRESH_COHORT_VALIDATORS_SQL.replace('(?*)', `(${placeholders(chunk)})`), chunk);
+                });
+            }
+        },
+
+        async listCohortValidators(cohort) {
+            return all('SELECT * FROM cohort_validators WHERE cohort = ? ORDER BY validator_index', [cohort]);
+        },
+
+        async listValidatorCohorts(validatorIndex) {
+            return all('SELECT * FROM cohort_validators WHERE validator_index = ? ORDER BY cohort', [validatorIndex]);
+        },
+
+        async resetCohortMembers() {
+            await run('DROP TABLE IF EXISTS cohort_validators');
+            await run('DROP TABLE IF EXISTS cohort_members');
+            for (const statement of cohortMembersSchema(dialect.types)) {
+                await run(statement);
+            }
+        },
+
+        async countBlocks({ fromSlot = 0, proposerIndices } = {}) {
+            if (proposerIndices) {
+                return countInChunks(
+                    'SELECT COUNT(*) AS count FROM blocks WHERE slot >= ? AND proposer_index IN (?*)',
+                    [fromSlot],
+                    proposerIndices
+                );
+            }
+            const [row] = await all('SELECT COUNT(*) AS count FROM blocks WHERE slot >= ?', [fromSlot]);
+            return Number(row.count);
+        },
+
+        async deleteSlotsFrom(slot) {
+            const { changes } = await run('DELETE FROM blocks WHERE slot >= ?', [slot]);
+            await run('DELETE FROM empty_slots WHERE slot >= ?', [slot]);
+            await run('DELETE FROM cohort_members WHERE slot >= ?', [slot]);
+            await run('DELETE FROM withdrawals WHERE slot >= ?', [slot]);
+            return changes;
+        },
+
+        async insertEmptySlots(emptySlots) {
+            await upsertRows('empty_slots', 'slot', ['slot', 'proposer_index', 'checked_ts'], emptySlots);
+        },
+
+        async countEmptySlots({ fromSlot = 0, proposerIndices, attributedOnly = false } = {}) {
+            if (proposerIndices) {
+                return countInChunks(
+                    'SELECT COUNT(*) AS count FROM empty_slots WHERE slot >= ? AND proposer_index IN (?*)',
+                    [fromSlot],
+                    proposerIndices
+                );
+            }
+            const where = attributedOnly ? 'slot >= ? AND proposer_index IS NOT NULL' : 'slot >= ?';
+            const [row] = await all(`SELECT COUNT(*) AS count FROM empty_slots WHERE ${where}`, [fromSlot]);
+            return Number(row.count);
+        },
+
+        async getKnownSlotsInRange(fromSlot, toSlot) {
+            const rows = await all(
+                'SELECT slot FROM blocks WHERE slot >= ? AND slot <= ? ' +
+                'UNION SELECT slot FROM empty_slots WHERE slot >= ? AND slot <= ?',
+                [fromSlot, toSlot, fromSlot, toSlot]
+            );
+            return rows.map(r => r.slot);
+        },
+
+        async recordFailedSlot(slot, error, attempts) {
+            const now = dialect.encodeDate(new Date());
+            await run(
+                'INSERT INTO failed_slots (slot, error, attempts, first_failed_ts, last_attempt_ts) VALUES (?, ?, ?, ?, ?) ' +
+                'ON CONFLICT (slot) DO UPDATE SET error = excluded.error, ' +
+                'attempts = failed_slots.attempts + excluded.attempts, last_attempt_ts = excluded.last_attempt_ts',
+                [slot, error, attempts, now, now]
+            );
+        },
+
+        async clearFailedSlots(slots) {
+            for (let i = 0; i < slots.length; i += IN_CHUNK_SIZE) {
+                const chunk = slots.slice(i, i + IN_CHUNK_SIZE);
+                await run(`DELETE FROM failed_slots WHERE slot IN (${placeholders(chunk)})`, chunk);
+            }
+        },
+
+        async listFailedSlots() {
+            const rows = await all('SELECT slot FROM failed_slots ORDER BY slot');
+            return rows.map(r => r.slot);
+        },
+
+        async countFailedSlots() {
+            const [row] = await all('SELECT COUNT(*) AS count FROM failed_slots');
+            return Number(row.count);
+        },
+
+        async getValidators(validatorIndices) {
+            const validators = [];
+            for (let i = 0; i < validatorIndices.length; i += IN_CHUNK_SIZE) {
+                const chunk = validatorIndices.slice(i, i + IN_CHUNK_SIZE);
+                const rows = await all(
+                    `SELECT * FROM validators WHERE validator_index IN (${placeholders(chunk)})`,
+                    chunk
+                );
+                validators.push(...rows.map(toValidator));
+            }
+            return validators;
+        },
+
+        async listValidatorsByWithdrawalAddress(address, { limit, offset = 0 }) {
+            const rows = await all(
+                'SELECT * FROM validators WHERE withdrawal_address = ? ORDER BY validator_index LIMIT ? OFFSET ?',
+                [address, limit, offset]
+            );
+            return rows.map(toValidator);
+        },
+
+        async listValidatorsAfter(afterIndex, { statuses, limit }) {
+            const statusFilter = statuses ? ` AND last_known_status IN (${placeholders(statuses)})` : '';
+            const rows = await all(
+                `SELECT * FROM validators WHERE validator_index > ?${statusFilter} ORDER BY validator_index LIMIT ?`,
+                [afterIndex, ...(statuses || []), limit]
+            );
+            return rows.map(toValidator);
+        },
+
+        async listValidatorIndices() {
+            const rows = await all('SELECT validator_index FROM validators ORDER BY validator_index');
+            return rows.map(r => r.validator_index);
+        },
+
+        async upsertValidators(rows) {
+            await upsertRows('validators', 'validator_index', VALIDATOR_COLUMNS, rows);
+        },
+
+        async insertValidatorEvents(events) {
+            if (events.length === 0) return;
+            await dialect.transaction(async tx => {
+                for (const e of events) {
+                    await tx.run(
+                        'INSERT INTO validator_events (validator_index, type, old_value, new_value, slot, ts) VALUES (?, ?, ?, ?, ?, ?)',
+                        [
+                            e.validator_index, e.type,
+                            dialect.encodeJson(e.old_value), dialect.encodeJson(e.new_value),
+                            e.slot, dialect.encodeDate(e.ts)
+                        ]
+                    );
+                }
+            });
+        },
+
+        async listValidatorEvents({ since }) {
+            const rows = await all(
+                'SELECT validator_index, type, old_value, new_value, slot, ts FROM validator_events WHERE ts >= ? ORDER BY ts DESC',
+                [dialect.encodeDate(since)]
+            );
+            return rows.map(r => ({
+                ...r,
+                old_value: dialect.decodeJson(r.old_value),
+                new_value: dialect.decodeJson(r.new_value),
+                ts: dialect.decodeDate(r.ts)
+            }));
+        },
+
+        async insertStats(stats) {
+            await run(
+                'INSERT INTO stats_history (slot, run_ts, data) VALUES (?, ?, ?)',
+                [stats.slot, dialect.encodeDate(stats.run_ts), dialect.encodeJson(stats)]
+            );
+        },
+
+        async listStats({ cohort, from, to, limit, offset = 0 }) {
+            const where = [];
+            const params = [];
+            if (cohort) {
+                where.push(`${dialect.jsonText('data', 'cohort')} = ?`);
+                params.push(cohort);
+            }
+            if (from) {
+                where.push('run_ts >= ?');
+                params.push(dialect.encodeDate(from));
+            }
+            if (to) {
+                where.push('run_ts <= ?');
+                params.push(dialect.encodeDate(to));
+            }
+            const rows = await all(
+                `SELECT data FROM stats_history ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''} ` +
+                'ORDER BY run_ts DESC, id DESC LIMIT ? OFFSET ?',
+                [...params, limit, offset]
+            );
+            return rows.map(r => dialect.decodeJson(r.data));
+        },
+
+        async listStatsAfter(afterId, { cohort, fromSlot = 0, toSlot = Number.MAX_SAFE_INTEGER, limit }) {
+            const params = [afterId === null ? 0 : afterId, fromSlot, toSlot];
+            let cohortFilter = '';
+            if (cohort) {
+                cohortFilter = ` AND ${dialect.jsonText('data', 'cohort')} = ?`;
+                params.push(cohort);
+            }
+            const rows = await all(
+                `SELECT id, data FROM stats_history WHERE id > ? AND slot >= ? AND slot <= ?${cohortFilter} ORDER BY id LIMIT ?`,
+                [...params, limit]
+            );
+            return rows.map(r => ({ id: r.id, stats: dialect.decodeJson(r.data) }));
+        },
+
+        async insertWithdrawals(withdrawals) {
+            await upsertRows('withdrawals', 'withdrawal_index', WITHDRAWAL_COLUMNS, withdrawals);
+        },
+
+        // A withdrawal is full once its validator is withdrawable, i.e. it exited; every one before is a partial sweep
+        async summarizeWithdrawals({ cohort, from, to, groupBy }) {
+            const where = ['w.validator_index IN (SELECT proposer_index FROM cohort_members WHERE cohort = ?)'];
+            const params = [cohort];
+            if (from) {
+                where.push('w.ts >= ?');
+                params.push(dialect.encodeDate(from));
+            }
+            if (to) {
+                where.push('w.ts <= ?');
+                params.push(dialect.encodeDate(to));
+            }
+            const kind = "CASE WHEN v.withdrawable_epoch IS NOT NULL AND w.epoch >= v.withdrawable_epoch THEN 'full' ELSE 'partial' END";
+            const groupKey = groupBy ? WITHDRAWAL_GROUP_COLUMNS[groupBy] : null;
+            const rows = await all(
+                `SELECT ${groupKey ? `${groupKey} AS group_key, ` : ''}${kind} AS kind, ` +
+                'COUNT(*) AS count, SUM(w.amount_gwei) AS amount_gwei ' +
+                'FROM withdrawals w LEFT JOIN validators v ON v.validator_index = w.validator_index ' +
+                `WHERE ${where.join(' AND ')} ` +
+                `GROUP BY ${groupKey ? `${groupKey}, ` : ''}${kind}`,
+                params
+            );
+            // Postgres sums BIGINTs into NUMERIC, which node-postgres returns as a string
+            return rows.map(r => ({ ...r, count: Number(r.count), amount_gwei: Number(r.amount_gwei) }));
+        },
+
+        async insertAttestationPerformance(rows) {
+            await upsertRows('attestation_performance', ['epoch', 'validator_index'], ATTESTATION_PERFORMANCE_COLUMNS, rows);
+        },
+
+        async insertSyncCommitteeRewards(rows) {
+            await upsertRows('sync_committee_rewards', ['slot', 'validator_index'], SYNC_COMMITTEE_REWARD_COLUMNS, rows);
+        },
+
+        async insertNetworkPerformance(rows) {
+            await upsertRows('network_performance', 'epoch', NETWORK_PERFORMANCE_COLUMNS, rows);
+        },
+
+        async summarizeAttestations(query) {
+            return summarizeInChunks('attestation_performance', {
+                head_correct: 'p.head_correct',
+                target_correct: 'p.target_correct',
+                source_correct: 'p.source_correct',
+                earned_gwei: 'p.earned_gwei',
+                ideal_gwei: 'p.ideal_gwei'
+            }, query);
+        },
+
+        async summarizeSyncCommittee(query) {
+            return summarizeInChunks('sync_committee_rewards', {
+                participated: 'CASE WHEN p.reward_gwei > 0 THEN 1 ELSE 0 END',
+                earned_gwei: 'p.reward_gwei',
+                ideal_gwei: 'p.ideal_gwei'
+            }, query);
+        },
+
+        async summarizeNetworkPerformance({ from, to }) {
+            const where = [];
+            const params = [];
+            if (from) {
+                where.push('ts >= ?');
+                params.push(dialect.encodeDate(from));
+            }
+            if (to) {
+                where.push('ts <= ?');
+                params.push(dialect.encodeDate(to));
+            }
+            const sums = NETWORK_PERFORMANCE_COLUMNS.filter(c => !['epoch', 'day', 'ts'].includes(c));
+            const [row] = await all(
+                `SELECT COUNT(*) AS epochs, ${sums.map(c => `SUM(${c}) AS ${c}`).join(', ')} FROM network_performance` +
+                `${where.length > 0 ? ` WHERE ${where.join(' AND ')}` : ''}`,
+                params
+            );
+            return Object.fromEntries(['epochs', ...sums].map(c => [c, Number(row[c])]));
+        },
+
+        async listAlertStates(rules) {
+            if (rules.length === 0) return [];
+            const rows = await all(`SELECT * FROM alert_states WHERE rule IN (${placeholders(rules)})`, rules);
+            return rows.map(r => ({
+                ...r,
+                first_fired_ts: dialect.decodeDate(r.first_fired_ts),
+                last_sent_ts: dialect.decodeDate(r.last_sent_ts),
+                sent_count: Number(r.sent_count)
+            }));
+        },
+
+        async upsertAlertStates(states) {
+            await upsertRows('alert_states', 'key', ALERT_STATE_COLUMNS, states);
+        },
+
+        async deleteAlertStates(keys) {
+            for (let i = 0; i < keys.length; i += IN_CHUNK_SIZE) {
+                const chunk = keys.slice(i, i + IN_CHUNK_SIZE);
+                await run(`DELETE FROM alert_states WHERE key IN (${placeholders(chunk)})`, chunk);
+            }
+        },
+
+        // Takes the lock if nobody holds it or its lease expired, in one statement so two runs can't both win
+        async acquireLock(job, owner, ttlMs) {
+            const now = new Date();
+            const { changes } = await run(
+                'INSERT INTO locks (job, owner, acquired_ts, expires_ts) VALUES (?, ?, ?, ?) ' +
+                'ON CONFLICT (job) DO UPDATE SET owner = excluded.owner, acquired_ts = excluded.acquired_ts, ' +
+                'expires_ts = excluded.expires_ts WHERE locks.expires_ts < ?',
+                [job, owner, dialect.encodeDate(now), dialect.encodeDate(new Date(now.getTime() + ttlMs)), dialect.encodeDate(now)]
+            );
+            return changes > 0;
+        },
+
+        async renewLock(job, owner, ttlMs) {
+            const { changes } = await run(
+                'UPDATE locks SET expires_ts = ? WHERE job = ? AND owner = ?',
+                [dialect.encodeDate(new Date(Date.now() + ttlMs)), job, owner]
+            );
+            return changes > 0;
+        },
+
+        async releaseLock(job, owner) {
+            await run('DELETE FROM locks WHERE job = ? AND owner = ?', [job, owner]);
+        },
+
+        async getLock(job) {
+            const rows = await all('SELECT * FROM locks WHERE job = ?', [job]);
+            return rows.length > 0 ? toLock(rows[0]) : null;
+        },
+
+        async insertRun(runDoc) {
+            const columns = RUN_COLUMNS.filter(c => runDoc[c] !== undefined);
+            await run(
+                `INSERT INTO runs (${columns.join(', ')}) VALUES (${placeholders(columns)})`,
+                columns.map(c => encodeRunField(c, runDoc[c]))
+            );
+        },
+
+        async updateRun(id, fields) {
+            const columns = RUN_COLUMNS.filter(c => c !== 'id' && fields[c] !== undefined);
+            if (columns.length === 0) return;
+            await run(
+                `UPDATE runs SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+                [...columns.map(c => encodeRunField(c, fields[c])), id]
+            );
+        },
+
+        async listRuns({ job, limit, offset = 0 }) {
+            const rows = await all(
+                `SELECT * FROM runs ${job ? 'WHERE job = ? ' : ''}ORDER BY started_ts DESC LIMIT ? OFFSET ?`,
+                [...(job ? [job] : []), limit, offset]
+            );
+            return rows.map(toRun);
+        }
+    };
+}
+
+module.exports = {
+    createSqlStorage
+};
@@ -0,0 +1,75 @@
+const sqlite3 = require('sqlite3');
+const { open } = require('sqlite');
+const { createSqlStorage } = require('./sql');
+
+/**
+ * SQLite storage in a single file. There is only one connection, so every write
+ * (and every transaction) is queued to keep them from interleaving. With `db`,
+ * an already open `sqlite` Database is used instead, and left open by close().
+ */
+function createSqliteStorage({ filename, db: ownDb = null }) {
+    let db = ownDb;
+    let writeQueue = Promise.resolve();
+
+    function enqueue(fn) {
+        const result = writeQueue.then(fn);
+        writeQueue = result.catch(() => {});
+        return result;
+    }
+
+    async function runOn(sql, params = []) {
+        const { changes } = await db.run(sql, params);
+        return { changes };
+    }
+
+    return createSqlStorage({
+        description: `SQLite at ${ownDb ? ownDb.config.filename : filename}`,
+        types: { bigint: 'INTEGER', timestamp: 'TEXT', json: 'TEXT', id: 'INTEGER PRIMARY KEY AUTOINCREMENT' },
+        jsonText: (column, field) => `json_extract(${column}, '$.${field}')`,
+
+        async connect() {
+            if (ownDb) return;
+            db = await open({ filename, driver: sqlite3.Database });
+            await db.exec('PRAGMA journal_mode = WAL');
+            await db.exec('PRAGMA synchronous = NORMAL');
+        },
+
+        async close() {
+            await writeQueue;
+            if (db && !ownDb) await db.close();
+        },
+
+        // SQLite has no ADD COLUMN IF NOT EXISTS
+        async addColumnIfMissing(table, column, type) {
+            const columns = await db.all(`PRAGMA table_info(${table})`);
+            if (!columns.some(c => c.name === column)) {
+                await enqueue(() => db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`));
+            }
+        },
+
+        all: (sql, params = []) => db.all(sql, params),
+        run: (sql, params) => enqueue(() => runOn(sql, params)),
+
+        transaction(fn) {
+            return enqueue(async () => {
+                await db.exec('BEGIN');
+                try {
+                    await fn({ all: (sql, params = []) => db.all(sql, params), run: runOn });
+                    await db.exec('COMMIT');
+                } catch (err) {
+                    await db.exec('ROLLBACK');
+                    throw err;
+                }
+            });
+        },
+
+        encodeDate: date => date.toISOString(),
+        decodeDate: value => (value === null ? null : new Date(value)),
+        encodeJson: value => JSON.stringify(value),
+        decodeJson: value => (value === null ? null : JSON.parse(value))
+    });
+}
+
+module.exports = {
+    createSqliteStorage
+};
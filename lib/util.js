@@ -0,0 +1,35 @@
+// HH:MM:SS, for progress and ETA logs
+function formatDurationMs(ms) {
+    if (ms <= 0) return '00:00:00';
+    let totalSeconds = Math.floor(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    totalSeconds %= 3600;
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return [
+        hours.toString().padStart(2, '0'),
+        minutes.toString().padStart(2, '0'),
+        seconds.toString().padStart(2, '0')
+    ].join(':');
+}
+
+/**
+ * Calls worker(item) for every item, with at most `concurrency` calls running at
+ * once. No new items are started once shouldStop() returns true; resolves when
+ * the running ones finish. worker is expected to handle its own errors.
+ */
+async function runWorkerPool(items, concurrency, worker, shouldStop = () => false) {
+    let index = 0;
+    async function runWorker() {
+        while (index < items.length && !shouldStop()) {
+            await worker(items[index++]);
+        }
+    }
+    const workers = Math.min(concurrency, items.length);
+    await Promise.all(Array.from({ length: workers }, runWorker));
+}
+
+module.exports = {
+    formatDurationMs,
+    runWorkerPool
+};
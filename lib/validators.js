@@ -0,0 +1,174 @@
+const { parseWithdrawalCredentials } = require('./credentials');
+const { formatDurationMs, runWorkerPool } = require('./util');
+
+const EXIT_STATUSES = ['active_exiting', 'exited_unslashed', 'exited_slashed'];
+// withdrawable_epoch of a validator that has not exited; stored as null
+const FAR_FUTURE_EPOCH = '18446744073709551615';
+
+function validatorConfigFromEnv(env = process.env) {
+    return {
+        batchSize: parseInt(env.VALIDATOR_BATCH_SIZE, 10) || 1000,
+        concurrency: parseInt(env.VALIDATOR_CONCURRENCY, 10) || 4
+    };
+}
+
+/**
+ * Keeps the validators collection in sync with the beacon node. Validators are
+ * fetched in chunks of `batchSize` (one request each), `concurrency` chunks at a
+ * time; changes to stored validators are recorded in validator_events before the
+ * validators are overwritten. No new chunks are started once shouldStop() is true.
+ */
+function createValidatorTracker({ storage, beacon, logger, metrics, batchSize = 1000, concurrency = 4, shouldStop = () => false }) {
+    async function refreshChunk(validatorIndices, stateId) {
+        const entries = await beacon.getValidators(validatorIndices, stateId);
+
+        // Previous values, so changes can be recorded before they get overwritten
+        const previousDocs = await storage.getValidators(validatorIndices);
+        const previousByIndex = new Map(previousDocs.map(d => [d.validator_index, d]));
+
+        const rows = [];
+        const events = [];
+        // Events get stamped with the slot of the state they were read from, when it is one
+        const slot = Number.isInteger(stateId) ? stateId : null;
+        const ts = new Date();
+        for (const entry of entries) {
+            if (!entry || !entry.validator) continue;
+            const valIndex = parseInt(entry.index, 10);
+            const wc = entry.validator.withdrawal_credentials;
+            const { type, address } = parseWithdrawalCredentials(wc);
+            const previous = previousByIndex.get(valIndex);
+            if (previous) {
+                events.push(...diffValidator(valIndex, previous, entry).map(e => ({ ...e, slot, ts })));
+            }
+            rows.push({
+                validator_index: valIndex,
+                withdrawal_credentials: wc,
+                withdrawal_credentials_type: type,
+                withdrawal_address: address,
+                effective_balance: parseInt(entry.validator.effective_balance, 10),
+                slashed: entry.validator.slashed === true,
+                last_known_status: entry.status,
+                withdrawable_epoch: entry.validator.withdrawable_epoch === FAR_FUTURE_EPOCH
+                    ? null
+                    : parseInt(entry.validator.withdrawable_epoch, 10)
+            });
+        }
+
+        // Record the changes first, so a failure in between never loses an event
+        await storage.insertValidatorEvents(events);
+        await storage.upsertValidators(rows);
+        return rows;
+    }
+
+    /**
+     * Fetches validatorIndices at state `stateId` and stores them. Returns the
+     * { validator_index, last_known_status } of every validator it got; chunks that
+     * fail are logged and counted in metrics, but don't stop the others.
+     */
+    async function refresh(validatorIndices, stateId = 'head') {
+        const chunks = [];
+        for (let i = 0; i < validatorIndices.length; i += batchSize) {
+            chunks.push(validatorIndices.slice(i, i + batchSize));
+        }
+
+        const results = [];
+        const startTime = Date.now();
+        let checkedCount = 0;
+        const total = validatorIndices.length;
+
+        await runWorkerPool(chunks, concurrency, async chunk => {
+            try {
+                const rows = await refreshChunk(chunk, stateId);
+                metrics.validatorsChecked.inc({ result: 'ok' }, rows.length);
+                for (const row of rows) {
+                    results.push({ validator_index: row.validator_index, last_known_status: row.last_known_status });
+                }
+            } catch (err) {
+                metrics.validatorsChecked.inc({ result: 'failed' }, chunk.length);
+                logger.error(`Validators [${chunk[0]}..${chunk[chunk.length - 1]}] check failed: ${err.message}`);
+            }
+
+            // Show progress after every chunk, with ETA
+            checkedCount += chunk.length;
+            const elapsedMs = Date.now() - startTime;
+            const etaMs = (elapsedMs / checkedCount) * (total - checkedCount);
+            logger.info(
+                `Validator check progress: ${checkedCount}/${total}, Elapsed: ${formatDurationMs(elapsedMs)}, ETA: ${formatDurationMs(etaMs)}`
+            );
+        }, shouldStop);
+
+        return results;
+    }
+
+    // Re-reads every stored validator at the current head, recording what changed
+    async function recheckAll() {
+        const headSlot = await beacon.getHeadSlot();
+        const validatorIndices = await storage.listValidatorIndices();
+        if (validatorIndices.length === 0) {
+            logger.info('No validators in DB to re-check.');
+            return [];
+        }
+        logger.info(`Re-checking ${validatorIndices.length} validator(s) against the state at slot ${headSlot}...`);
+        // Read the state at the same slot the events get stamped with
+        return refresh(validatorIndices, headSlot);
+    }
+
+    return { refresh, recheckAll };
+}
+
+/**
+ * Lists exits and slashings recorded in the last `days` days. The validators
+ * collection only holds graffiti cohort proposers, so these are all cohort events.
+ */
+async function listRecentExitsAndSlashings(storage, days) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const events = await storage.listValidatorEvents({ since });
+    return events.filter(e =>
+        e.type === 'slashed' ||
+        (e.type === 'status_change' && EXIT_STATUSES.includes(e.new_value))
+    );
+}
+
+/**
+ * Compares a stored validator doc with a fresh beacon entry and returns one event
+ * per change: status transitions, slashings and withdrawal credential changes.
+ */
+function diffValidator(valIndex, previous, entry) {
+    const events = [];
+    const { status, validator } = entry;
+
+    if (previous.last_known_status && previous.last_known_status !== status) {
+        events.push({
+            validator_index: valIndex,
+            type: 'status_change',
+            old_value: previous.last_known_status,
+            new_value: status
+        });
+    }
+    // Docs from before we stored "slashed" have no baseline to compare against
+    if (previous.slashed === false && validator.slashed === true) {
+        events.push({
+            validator_index: valIndex,
+            type: 'slashed',
+            old_value: false,
+            new_value: true
+        });
+    }
+    const oldWc = previous.withdrawal_credentials;
+    const newWc = validator.withdrawal_credentials;
+    if (oldWc && oldWc !== newWc) {
+        events.push({
+            validator_index: valIndex,
+            type: parseWithdrawalCredentials(oldWc).type === 'bls' ? 'bls_to_execution_change' : 'withdrawal_credentials_change',
+            old_value: oldWc,
+            new_value: newWc
+        });
+    }
+    return events;
+}
+
+module.exports = {
+    validatorConfigFromEnv,
+    createValidatorTracker,
+    listRecentExitsAndSlashings
+};
@@ -0,0 +1,60 @@
+const WITHDRAWAL_GROUPS = ['validator', 'address', 'day'];
+
+/**
+ * Reads execution_payload.withdrawals (Capella and later) from a block. Amounts
+ * are in gwei, like every balance we store.
+ */
+function extractWithdrawals(blockData) {
+    const payload = blockData && blockData.message.body.execution_payload;
+    if (!payload || !payload.withdrawals) return [];
+    return payload.withdrawals.map(w => ({
+        withdrawal_index: parseInt(w.index, 10),
+        validator_index: parseInt(w.validator_index, 10),
+        address: w.address.toLowerCase(),
+        amount_gwei: parseInt(w.amount, 10)
+    }));
+}
+
+function emptyTotals() {
+    return {
+        partial_count: 0,
+        partial_gwei: 0,
+        full_count: 0,
+        full_gwei: 0,
+        total_gwei: 0
+    };
+}
+
+/**
+ * Rolls up a cohort's withdrawals between `from` and `to` (both optional dates)
+ * into one entry per validator, withdrawal address or day, as `by` says, each
+ * split into partial withdrawals (reward sweeps) and full ones (exits). Without
+ * `by`, returns the cohort's totals.
+ */
+async function summarizeCohortWithdrawals(storage, { cohort, from = null, to = null, by = null }) {
+    const rows = await storage.summarizeWithdrawals({ cohort, from, to, groupBy: by });
+    if (!by) {
+        return rows.reduce(addRow, emptyTotals());
+    }
+    const entries = new Map();
+    for (const row of rows) {
+        if (!entries.has(row.group_key)) {
+            entries.set(row.group_key, { [by]: row.group_key, ...emptyTotals() });
+        }
+        addRow(entries.get(row.group_key), row);
+    }
+    return [...entries.values()].sort((a, b) => (a[by] < b[by] ? -1 : a[by] > b[by] ? 1 : 0));
+}
+
+function addRow(totals, row) {
+    totals[`${row.kind}_count`] += row.count;
+    totals[`${row.kind}_gwei`] += row.amount_gwei;
+    totals.total_gwei += row.amount_gwei;
+    return totals;
+}
+
+module.exports = {
+    WITHDRAWAL_GROUPS,
+    extractWithdrawals,
+    summarizeCohortWithdrawals
+};
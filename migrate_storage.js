@@ -0,0 +1,118 @@
+require('dotenv').config();
+const { storageConfigFromEnv, createStorage } = require('./lib/storage');
+const { createLogger } = require('./lib/logger');
+
+const MIGRATION_BATCH_SIZE = parseInt(process.env.MIGRATION_BATCH_SIZE, 10) || 5000;
+
+const logger = createLogger();
+
+function withoutId({ _id, ...fields }) {
+    return fields;
+}
+
+/**
+ * Streams a Mongo collection in batches of MIGRATION_BATCH_SIZE into writeBatch,
+ * so even the blocks collection never has to fit in memory.
+ */
+async function copyCollection(db, name, writeBatch) {
+    const coll = db.collection(name);
+    const total = await coll.estimatedDocumentCount();
+    logger.info(`Copying ${name} (~${total} docs)...`);
+
+    let copied = 0;
+    let batch = [];
+    const flush = async () => {
+        await writeBatch(batch);
+        copied += batch.length;
+        batch = [];
+        logger.info(`${name}: ${copied}/${total}`);
+    };
+
+    for await (const doc of coll.find({}).sort({ _id: 1 })) {
+        batch.push(doc);
+        if (batch.length >= MIGRATION_BATCH_SIZE) await flush();
+    }
+    if (batch.length > 0) await flush();
+    return copied;
+}
+
+async function main() {
+    const config = storageConfigFromEnv();
+    if (config.backend === 'mongo') {
+        throw new Error('Set STORAGE_BACKEND to sqlite or postgres: it is the target the Mongo database is copied into');
+    }
+
+    const source = createStorage({ ...config, backend: 'mongo' });
+    const target = createStorage(config);
+    try {
+        await source.connect();
+        await target.connect();
+        logger.info(`Migrating ${source.description} -> ${target.description}`);
+        await target.ensureSchema();
+
+        // stats_history and validator_events are appended, so copying twice would duplicate them
+        if (await target.getMeta('last_processed_slot') !== null) {
+            throw new Error('Target already holds data (meta.last_processed_slot is set). Migrate into an empty database.');
+        }
+
+        const db = source.db;
+        await copyCollection(db, 'blocks', docs =>
+            target.upsertBlocks(docs.map(d => ({ slot: d._id, ...withoutId(d) })))
+        );
+        await copyCollection(db, 'empty_slots', docs =>
+            target.insertEmptySlots(docs.map(d => ({ slot: d._id, ...withoutId(d) })))
+        );
+        // Membership from before named cohorts has no cohort; "npm run rebuild-cohort" re-derives it
+        await copyCollection(db, 'cohort_members', docs =>
+            target.upsertCohortMembers(docs.filter(d => d.cohort).map(withoutId))
+        );
+        // cohort_validators is derived from cohort_members and blocks, so it is recomputed rather than copied
+        await target.refreshCohortValidators(await target.listCohortProposerIndices());
+        await copyCollection(db, 'failed_slots', async docs => {
+            for (const d of docs) {
+                await target.recordFailedSlot(d._id, d.error, d.attempts || 0);
+            }
+        });
+        await copyCollection(db, 'validators', docs =>
+            target.upsertValidators(docs.map(d => ({ ...withoutId(d), validator_index: d._id })))
+        );
+        await copyCollection(db, 'validator_events', docs =>
+            target.insertValidatorEvents(docs.map(withoutId))
+        );
+        await copyCollection(db, 'withdrawals', docs =>
+            target.insertWithdrawals(docs.map(d => ({ withdrawal_index: d._id, ...withoutId(d) })))
+        );
+        await copyCollection(db, 'attestation_performance', docs =>
+            target.insertAttestationPerformance(docs.map(withoutId))
+        );
+        await copyCollection(db, 'sync_committee_rewards', docs =>
+            target.insertSyncCommitteeRewards(docs.map(withoutId))
+        );
+        await copyCollection(db, 'network_performance', docs =>
+            target.insertNetworkPerformance(docs.map(d => ({ epoch: d._id, ...withoutId(d) })))
+        );
+        await copyCollection(db, 'stats_history', async docs => {
+            for (const d of docs) {
+                await target.insertStats(withoutId(d));
+            }
+        });
+        // meta goes last, so an interrupted migration never looks complete
+        await copyCollection(db, 'meta', async docs => {
+            for (const d of docs) {
+                await target.setMeta(d._id, d.value);
+            }
+        });
+
+        logger.info('Migration complete!');
+    } finally {
+        await source.close();
+        await target.close();
+    }
+}
+
+if (require.main === module) {
+    main().catch(err => {
+        logger.error(`Fatal error: ${err.message}`);
+        process.exit(1);
+    });
+}
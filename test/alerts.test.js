@@ -0,0 +1,193 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAlerter } = require('../lib/alerts');
+const { createStorage } = require('../lib/storage');
+
+const HOUR_MS = 60 * 60 * 1000;
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+test('createAlerter', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    let storage;
+    let alertsFile;
+    const beacon = { headSlot: 0, getHeadSlot: async () => beacon.headSlot };
+
+    t.beforeEach(async () => {
+        storage = createStorage({ backend: 'sqlite', sqlitePath: ':memory:' });
+        await storage.connect();
+        await storage.ensureSchema();
+        await storage.setMeta('last_processed_slot', '1000');
+        beacon.headSlot = 1000;
+        alertsFile = path.join(dir, `alerts-${Date.now()}-${Math.random()}.ndjson`);
+    });
+    t.afterEach(() => storage.close());
+
+    function alerter(options = {}) {
+        return createAlerter({
+            storage,
+            beacon,
+            network: 'mainnet',
+            logger,
+            sinks: [{ type: 'file', path: alertsFile }],
+            cooldownMs: HOUR_MS,
+            maxLagSlots: 100,
+            ...options
+        });
+    }
+
+    // Moves an alert's last send back in time, as if it had been sent `ms` earlier
+    async function backdate(key, ms) {
+        const [state] = (await storage.listAlertStates(['ingestion_lag', 'validator_slashed'])).filter(s => s.key === key);
+        await storage.upsertAlertStates([{ ...state, last_sent_ts: new Date(state.last_sent_ts.getTime() - ms) }]);
+    }
+
+    function sentKeys() {
+        if (!fs.existsSync(alertsFile)) return [];
+        return fs.readFileSync(alertsFile, 'utf8').trim().split('\n').map(line => JSON.parse(line).key);
+    }
+
+    await t.test('sends an alert once while its condition lasts within the cooldown', async () => {
+        const alerts = alerter({ rules: ['ingestion_lag'] });
+        beacon.headSlot = 1500;
+        const [sent] = await alerts.evaluate();
+        assert.strictEqual(sent.key, 'ingestion_lag');
+        assert.strictEqual(sent.network, 'mainnet');
+        assert.strictEqual(sent.details.lag_slots, 500);
+
+        beacon.headSlot = 1600;
+        assert.deepStrictEqual(await alerts.evaluate(), []);
+        assert.deepStrictEqual(sentKeys(), ['ingestion_lag']);
+    });
+
+    await t.test('sends it again once the cooldown has passed', async () => {
+        const alerts = alerter({ rules: ['ingestion_lag'] });
+        beacon.headSlot = 1500;
+        await alerts.evaluate();
+        const [first] = await storage.listAlertStates(['ingestion_lag']);
+
+        await backdate('ingestion_lag', HOUR_MS - 60 * 1000);
+        assert.deepStrictEqual(await alerts.evaluate(), []);
+        await backdate('ingestion_lag', 2 * 60 * 1000);
+        assert.strictEqual((await alerts.evaluate()).length, 1);
+
+        const [state] = await storage.listAlertStates(['ingestion_lag']);
+        assert.strictEqual(state.sent_count, 2);
+        assert.deepStrictEqual(state.first_fired_ts, first.first_fired_ts);
+        assert.deepStrictEqual(sentKeys(), ['ingestion_lag', 'ingestion_lag']);
+    });
+
+    await t.test('re-arms an alert whose condition cleared', async () => {
+        const alerts = alerter({ rules: ['ingestion_lag'] });
+        beacon.headSlot = 1500;
+        await alerts.evaluate();
+
+        beacon.headSlot = 1050;
+        assert.deepStrictEqual(await alerts.evaluate(), []);
+        assert.deepStrictEqual(await storage.listAlertStates(['ingestion_lag']), []);
+
+        // Back within the cooldown, but it cleared in between
+        beacon.headSlot = 1500;
+        assert.strictEqual((await alerts.evaluate()).length, 1);
+        assert.deepStrictEqual(sentKeys(), ['ingestion_lag', 'ingestion_lag']);
+    });
+
+    await t.test('sends each slashing once, even after the cooldown', async () => {
+        const alerts = alerter({ rules: ['validator_slashed'] });
+        const ts = new Date(Date.now() - HOUR_MS);
+        await storage.insertValidatorEvents([
+            { validator_index: 7, type: 'slashed', old_value: false, new_value: true, slot: 900, ts },
+            { validator_index: 8, type: 'exited', old_value: 'active_ongoing', new_value: 'exited_unslashed', slot: 900, ts },
+            { validator_index: 9, type: 'slashed', old_value: false, new_value: true, slot: null, ts }
+        ]);
+        const sent = await alerts.evaluate();
+        assert.deepStrictEqual(sent.map(alert => alert.key).sort(), ['validator_slashed:7', 'validator_slashed:9']);
+
+        await backdate('validator_slashed:7', 2 * HOUR_MS);
+        assert.deepStrictEqual(await alerts.evaluate(), []);
+        assert.strictEqual(sentKeys().length, 2);
+    });
+
+    await t.test('forgets a slashing once it is out of the event window', async () => {
+        const alerts = alerter({ rules: ['validator_slashed'], eventDays: 1 });
+        await storage.insertValidatorEvents([
+            { validator_index: 7, type: 'slashed', old_value: false, new_value: true, slot: 900, ts: new Date() }
+        ]);
+        await alerts.evaluate();
+        await backdate('validator_slashed:7', 25 * HOUR_MS);
+        await alerts.evaluate();
+        assert.deepStrictEqual(await storage.listAlertStates(['validator_slashed']), []);
+    });
+
+    await t.test('fires failed_slots on the increase since the last evaluation', async () => {
+        const alerts = alerter({ rules: ['failed_slots'], failedSlotsIncrease: 3 });
+        await storage.recordFailedSlot(1, 'timeout', 3);
+        assert.deepStrictEqual(await alerts.evaluate(), []);
+        await storage.recordFailedSlot(2, 'timeout', 3);
+        await storage.recordFailedSlot(3, 'timeout', 3);
+        assert.deepStrictEqual(await alerts.evaluate(), []);
+        for (const slot of [4, 5, 6]) await storage.recordFailedSlot(slot, 'timeout', 3);
+        const [sent] = await alerts.evaluate();
+        assert.deepStrictEqual(sent.details, { failed_slots: 6, previous_failed_slots: 3, increase: 3 });
+    });
+
+    await t.test('tries an alert no sink took again on the next evaluation', async () => {
+        // Nothing listens on port 1, so the webhook fails fast
+        const failing = { type: 'webhook', url: 'http://127.0.0.1:1/hook' };
+        beacon.headSlot = 1500;
+        assert.deepStrictEqual(await alerter({ rules: ['ingestion_lag'], sinks: [failing] }).evaluate(), []);
+        assert.deepStrictEqual(await storage.listAlertStates(['ingestion_lag']), []);
+
+        const sent = await alerter({ rules: ['ingestion_lag'], sinks: [failing, { type: 'file', path: alertsFile }] }).evaluate();
+        assert.strictEqual(sent.length, 1);
+        assert.deepStrictEqual(sentKeys(), ['ingestion_lag']);
+    });
+
+    await t.test('keeps measuring failed_slots from the last sent alert', async () => {
+        const failing = { type: 'webhook', url: 'http://127.0.0.1:1/hook' };
+        await alerter({ rules: ['failed_slots'], failedSlotsIncrease: 3 }).evaluate();
+        for (const slot of [1, 2, 3]) await storage.recordFailedSlot(slot, 'timeout', 3);
+        assert.deepStrictEqual(await alerter({ rules: ['failed_slots'], failedSlotsIncrease: 3, sinks: [failing] }).evaluate(), []);
+
+        const [sent] = await alerter({ rules: ['failed_slots'], failedSlotsIncrease: 3 }).evaluate();
+        assert.deepStrictEqual(sent.details, { failed_slots: 3, previous_failed_slots: 0, increase: 3 });
+        assert.strictEqual(sent.onSent, undefined);
+    });
+
+    await t.test('keeps measuring active_drop from the last sent alert', async () => {
+        const failing = { type: 'webhook', url: 'http://127.0.0.1:1/hook' };
+        const store = async (slot, activeValidators) => {
+            const entry = { cohort: 'dappnode', slot, run_ts: new Date(Date.now() + slot), active_validators: activeValidators };
+            await storage.insertStats(entry);
+            return [entry];
+        };
+        assert.deepStrictEqual(await alerter({ rules: ['active_drop'] }).evaluate({ stats: await store(100, 100) }), []);
+        const dropped = await store(200, 50);
+        assert.deepStrictEqual(await alerter({ rules: ['active_drop'], sinks: [failing] }).evaluate({ stats: dropped }), []);
+
+        // The next entry no longer drops from the one before it, but still does from the last one compared with
+        const [sent] = await alerter({ rules: ['active_drop'] }).evaluate({ stats: await store(300, 50) });
+        assert.strictEqual(sent.details.previous_slot, 100);
+        assert.strictEqual(sent.details.previous_active_validators, 100);
+        assert.deepStrictEqual(await alerter({ rules: ['active_drop'] }).evaluate({ stats: await store(400, 50) }), []);
+    });
+
+    await t.test('skips a rule that cannot be evaluated', async () => {
+        const down = { getHeadSlot: async () => { throw new Error('connection refused'); } };
+        const alerts = alerter({ rules: ['ingestion_lag', 'validator_slashed'], beacon: down });
+        await storage.insertValidatorEvents([
+            { validator_index: 7, type: 'slashed', old_value: false, new_value: true, slot: 900, ts: new Date() }
+        ]);
+        assert.deepStrictEqual((await alerts.evaluate()).map(alert => alert.key), ['validator_slashed:7']);
+    });
+
+    await t.test('rejects unknown rules and sinks as config errors', () => {
+        assert.throws(() => alerter({ rules: ['disk_full'] }), err => err.code === 'ERR_CONFIG');
+        assert.throws(() => alerter({ sinks: [{ type: 'pager' }] }), err => err.code === 'ERR_CONFIG');
+        assert.throws(() => alerter({ sinks: [{ type: 'telegram', botToken: 'x' }] }), err => err.code === 'ERR_CONFIG');
+    });
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseWithdrawalCredentials } = require('../lib/credentials');
+
+const ADDRESS = 'Ab5801a7D398351b8bE11C439e05C5B3259aeC9B';
+
+test('parseWithdrawalCredentials', async t => {
+    await t.test('reads the lowercased address of execution credentials', () => {
+        assert.deepStrictEqual(
+            parseWithdrawalCredentials(`0x010000000000000000000000${ADDRESS}`),
+            { type: 'execution', address: `0x${ADDRESS.toLowerCase()}` }
+        );
+    });
+
+    await t.test('reads the address of compounding credentials', () => {
+        assert.deepStrictEqual(
+            parseWithdrawalCredentials(`0x020000000000000000000000${ADDRESS}`),
+            { type: 'compounding', address: `0x${ADDRESS.toLowerCase()}` }
+        );
+    });
+
+    await t.test('has no address for BLS credentials', () => {
+        assert.deepStrictEqual(
+            parseWithdrawalCredentials(`0x00${'3f'.repeat(31)}`),
+            { type: 'bls', address: '' }
+        );
+    });
+
+    await t.test('takes unknown prefixes as unknown', () => {
+        assert.deepStrictEqual(
+            parseWithdrawalCredentials(`0x030000000000000000000000${ADDRESS}`),
+            { type: 'unknown', address: '' }
+        );
+    });
+
+    await t.test('takes malformed credentials as unknown', () => {
+        for (const credentials of [
+            undefined,
+            null,
+            1,
+            '',
+            '0x01',
+            `010000000000000000000000${ADDRESS}00`,
+            `0x010000000000000000000000${ADDRESS}00`,
+            `0x01000000000000000000000z${ADDRESS}`
+        ]) {
+            assert.deepStrictEqual(parseWithdrawalCredentials(credentials), { type: 'unknown', address: '' }, String(credentials));
+        }
+    });
+});
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { listEraFiles, openEraFile, decodeSignedBeaconBlock } = require('../lib/era');
+const { bytes, buildEraFile } = require('./fixtures');
+
+const FORKS = ['phase0', 'altair', 'bellatrix', 'capella', 'deneb', 'electra'];
+
+// A block with every field we decode set, and variable-size fields before and after the execution payload
+function buildBlock(ssz, fork, slot) {
+    const block = ssz[fork].SignedBeaconBlock.defaultValue();
+    const { message } = block;
+    message.slot = slot;
+    message.proposerIndex = 1000 + slot % 997;
+    message.parentRoot = bytes(`${fork}:${slot}:parent`, 32);
+    message.body.graffiti = bytes(`${fork}:${slot}:graffiti`, 32);
+    message.body.voluntaryExits = [ssz.phase0.SignedVoluntaryExit.defaultValue()];
+    if (fork === 'phase0') return block;
+
+    const payload = message.body.executionPayload;
+    if (payload) {
+        payload.feeRecipient = bytes(`${fork}:${slot}:fee_recipient`, 20);
+        payload.blockNumber = 20000000 + slot;
+        payload.gasUsed = 15000000;
+        payload.timestamp = 1700000000 + slot * 12;
+        payload.extraData = Buffer.from(`${fork} builder`);
+        payload.transactions = [bytes(`${fork}:${slot}:tx0`, 120), bytes(`${fork}:${slot}:tx1`, 3)];
+    }
+    if (payload && 'withdrawals' in payload) {
+        payload.withdrawals = [0, 1].map(i => ({
+            index: 5000000 + slot * 16 + i,
+            validatorIndex: 400000 + i,
+            address: bytes(`${fork}:${slot}:withdrawal${i}`, 20),
+            amount: i === 0 ? 19000000n : 32000000000n
+        }));
+        message.body.blsToExecutionChanges = [ssz.capella.SignedBLSToExecutionChange.defaultValue()];
+    }
+    if ('blobKzgCommitments' in message.body) {
+        message.body.blobKzgCommitments = [bytes(`${fork}:${slot}:blob`, 48)];
+    }
+    return block;
+}
+
+// The fields decodeSignedBeaconBlock keeps, taken from the block's beacon API JSON.
+// Nodes differ in whether they checksum addresses, so those compare in lower case.
+function expectedBlock(fork, json) {
+    const { message } = json;
+    const body = { graffiti: message.body.graffiti };
+    const payload = message.body.execution_payload;
+    if (payload) {
+        body.execution_payload = {
+            fee_recipient: payload.fee_recipient.toLowerCase(),
+            block_number: payload.block_number,
+            gas_used: payload.gas_used,
+            timestamp: payload.timestamp,
+            extra_data: payload.extra_data
+        };
+        if (payload.withdrawals) {
+            body.execution_payload.withdrawals = payload.withdrawals.map(w => ({ ...w, address: w.address.toLowerCase() }));
+        }
+    }
+    return {
+        fork,
+        message: { slot: message.slot, proposer_index: message.proposer_index, parent_root: message.parent_root, body }
+    };
+}
+
+test('era', async t => {
+    const { ssz } = await import('@lodestar/types');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'era-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    await t.test('decodes a SignedBeaconBlock of every fork like the beacon API', () => {
+        for (const fork of FORKS) {
+            const type = ssz[fork].SignedBeaconBlock;
+            const block = buildBlock(ssz, fork, 123456);
+            const decoded = decodeSignedBeaconBlock(Buffer.from(type.serialize(block)));
+            assert.deepStrictEqual(decoded, expectedBlock(fork, type.toJson(block)), fork);
+        }
+    });
+
+    await t.test('rejects a block of an unknown format', () => {
+        const bytesOut = Buffer.from(ssz.deneb.SignedBeaconBlock.serialize(buildBlock(ssz, 'deneb', 1)));
+        // Point the body's first offset past every known fixed size
+        const body = bytesOut.readUInt32LE(0) + bytesOut.readUInt32LE(bytesOut.readUInt32LE(0) + 80);
+        bytesOut.writeUInt32LE(500, body + 200);
+        assert.throws(() => decodeSignedBeaconBlock(bytesOut), /Unsupported block format/);
+    });
+
+    await t.test('reads every slot of an era file, empty ones included', async () => {
+        for (const [i, fork] of FORKS.entries()) {
+            const era = 100 + i;
+            const startSlot = era * 8192 - 4;
+            const blocks = [buildBlock(ssz, fork, startSlot), null, null, buildBlock(ssz, fork, startSlot + 3)];
+            const type = ssz[fork].SignedBeaconBlock;
+            const file = path.join(dir, `mainnet-${String(era).padStart(5, '0')}-4b363db9.era`);
+            fs.writeFileSync(file, buildEraFile(startSlot, blocks.map(b => (b ? type.serialize(b) : null))));
+
+            const reader = await openEraFile(file);
+            try {
+                assert.strictEqual(reader.startSlot, startSlot);
+                assert.strictEqual(reader.endSlot, startSlot + 3);
+                const slots = [];
+                for await (const slot of reader.slots()) slots.push(slot);
+                assert.deepStrictEqual(slots, blocks.map((block, j) => ({
+                    slot: startSlot + j,
+                    data: block ? expectedBlock(fork, type.toJson(block)) : null
+                })), fork);
+
+                const fromSlot = [];
+                for await (const { slot } of reader.slots(startSlot + 2)) fromSlot.push(slot);
+                assert.deepStrictEqual(fromSlot, [startSlot + 2, startSlot + 3]);
+                assert.strictEqual((await reader.lastBlock()).slot, startSlot + 3);
+            } finally {
+                await reader.close();
+            }
+        }
+    });
+
+    await t.test('opens era 0, which holds only the genesis state', async () => {
+        const file = path.join(dir, 'mainnet-00000-4b363db9.era');
+        fs.writeFileSync(file, buildEraFile(0, []));
+        const reader = await openEraFile(file);
+        try {
+            assert.strictEqual(reader.startSlot, null);
+            assert.strictEqual(reader.endSlot, null);
+            assert.strictEqual(await reader.lastBlock(), null);
+            for await (const slot of reader.slots()) assert.fail(`unexpected slot ${slot.slot}`);
+        } finally {
+            await reader.close();
+        }
+    });
+
+    await t.test('rejects a file that is not an era file', async () => {
+        const file = path.join(dir, 'not-an-era.bin');
+        fs.writeFileSync(file, bytes('junk', 100));
+        await assert.rejects(openEraFile(file), /is not an era file/);
+    });
+
+    await t.test('lists era files in era order and ignores other files', async () => {
+        const files = await listEraFiles(dir);
+        assert.deepStrictEqual(files.map(f => f.era), [0, 100, 101, 102, 103, 104, 105]);
+        assert.ok(files.every(f => f.network === 'mainnet'));
+    });
+});
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const snappy = require('snappyjs');
+const crc32c = require('crc-32/crc32c');
+
+/**
+ * Builders for the test fixtures: snappy-framed streams and era files, made with
+ * independent implementations (snappyjs, crc-32) rather than the code under test.
+ */
+
+const MAX_CHUNK_DATA = 65536;
+
+// Deterministic bytes, so a failure names the same values on every run
+function bytes(seed, length) {
+    const out = Buffer.alloc(length);
+    for (let i = 0, n = 0; i < length; n++) {
+        const digest = crypto.createHash('sha256').update(`${seed}:${n}`).digest();
+        i += digest.copy(out, i);
+    }
+    return out;
+}
+
+function maskedCrc32c(data) {
+    const crc = crc32c.buf(data) >>> 0;
+    return ((((crc >>> 15) | (crc << 17)) >>> 0) + 0xa282ead8) >>> 0;
+}
+
+function chunk(type, body) {
+    const header = Buffer.alloc(4);
+    header[0] = type;
+    header.writeUIntLE(body.length, 1, 3);
+    return Buffer.concat([header, body]);
+}
+
+function dataChunk(data, compressed) {
+    const checksum = Buffer.alloc(4);
+    checksum.writeUInt32LE(maskedCrc32c(data));
+    const payload = compressed ? Buffer.from(snappy.compress(data)) : data;
+    return chunk(compressed ? 0x00 : 0x01, Buffer.concat([checksum, payload]));
+}
+
+/**
+ * Frames `data` in the snappy framing format, in chunks of at most 64 KiB. With
+ * `uncompressed`, chunks are stored as they are; `extraChunks` are inserted
+ * after the stream identifier.
+ */
+function compressFramed(data, { uncompressed = false, extraChunks = [] } = {}) {
+    const chunks = [chunk(0xff, Buffer.from('sNaPpY')), ...extraChunks];
+    for (let pos = 0; pos < data.length; pos += MAX_CHUNK_DATA) {
+        chunks.push(dataChunk(data.subarray(pos, pos + MAX_CHUNK_DATA), !uncompressed));
+    }
+    return Buffer.concat(chunks);
+}
+
+function e2storeEntry(type, data) {
+    const header = Buffer.alloc(8);
+    header.writeUInt16LE(type, 0);
+    header.writeUInt32LE(data.length, 2);
+    return Buffer.concat([header, data]);
+}
+
+function slotIndex(startSlot, offsets) {
+    const data = Buffer.alloc(16 + 8 * offsets.length);
+    data.writeBigInt64LE(BigInt(startSlot), 0);
+    offsets.forEach((offset, i) => data.writeBigInt64LE(BigInt(offset), 8 + 8 * i));
+    data.writeBigInt64LE(BigInt(offsets.length), 8 + 8 * offsets.length);
+    return e2storeEntry(0x3269, data);
+}
+
+/**
+ * An era file as the e2store spec lays it out: a version entry, one compressed
+ * block entry per block, a state entry, the blocks' slot index and the state's.
+ * `blocks` holds one serialized SignedBeaconBlock per slot from startSlot, or
+ * null for an empty slot; without blocks (era 0) there is no block index.
+ */
+function buildEraFile(startSlot, blocks, state = bytes('state', 256)) {
+    const entries = [e2storeEntry(0x3265, Buffer.alloc(0))];
+    let size = entries[0].length;
+    const positions = blocks.map(block => {
+        if (block === null) return null;
+        const entry = e2storeEntry(0x0001, compressFramed(block));
+        entries.push(entry);
+        size += entry.length;
+        return size - entry.length;
+    });
+    const stateEntry = e2storeEntry(0x0002, compressFramed(state));
+    entries.push(stateEntry);
+    const statePosition = size;
+    size += stateEntry.length;
+
+    if (blocks.length > 0) {
+        const blockIndex = slotIndex(startSlot, positions.map(p => (p === null ? 0 : p - size)));
+        entries.push(blockIndex);
+        size += blockIndex.length;
+    }
+    entries.push(slotIndex(startSlot + blocks.length, [statePosition - size]));
+    return Buffer.concat(entries);
+}
+
+module.exports = {
+    bytes,
+    compressFramed,
+    chunk,
+    buildEraFile
+};
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createGraffitiMatcher, parseClientSuffix } = require('../lib/graffiti');
+
+function clients(execution, consensus) {
+    return { execution_client: execution, consensus_client: consensus };
+}
+
+test('createGraffitiMatcher', async t => {
+    await t.test('matches substrings case-insensitively', () => {
+        const matches = createGraffitiMatcher({ contains: ['dappnode', 'avado'] });
+        assert.strictEqual(matches('Powered by DAppNode GEb1c2LH3d4e'), true);
+        assert.strictEqual(matches('AVADO'), true);
+        assert.strictEqual(matches('dapp node'), false);
+    });
+
+    await t.test('matches prefixes only at the start', () => {
+        const matches = createGraffitiMatcher({ prefix: ['RP-'] });
+        assert.strictEqual(matches('rp-LH'), true);
+        assert.strictEqual(matches('via RP-LH'), false);
+    });
+
+    await t.test('takes contains and prefix literally', () => {
+        const matches = createGraffitiMatcher({ contains: ['v1.0 (beta)'], prefix: ['.*'] });
+        assert.strictEqual(matches('node v1.0 (beta)'), true);
+        assert.strictEqual(matches('node v100 beta'), false);
+        assert.strictEqual(matches('anything'), false);
+        assert.strictEqual(matches('.* literally'), true);
+    });
+
+    await t.test('matches a regex case-insensitively', () => {
+        const matches = createGraffitiMatcher({ regex: '^stake ?wise' });
+        assert.strictEqual(matches('StakeWise v3'), true);
+        assert.strictEqual(matches('my stakewise'), false);
+    });
+
+    await t.test('matches when any rule does', () => {
+        const matches = createGraffitiMatcher({ contains: ['lido'], prefix: ['RP-'], regex: 'stader$' });
+        assert.deepStrictEqual(['Lido', 'RP-TK', 'by Stader', 'solo'].map(matches), [true, true, true, false]);
+    });
+
+    await t.test('never matches an empty graffiti or empty rules', () => {
+        assert.strictEqual(createGraffitiMatcher({ contains: [''] })(''), false);
+        assert.strictEqual(createGraffitiMatcher({ contains: ['x'] })(null), false);
+        assert.strictEqual(createGraffitiMatcher({})('DAppNode'), false);
+    });
+});
+
+test('parseClientSuffix', async t => {
+    await t.test('reads both clients with their commits', () => {
+        assert.deepStrictEqual(parseClientSuffix('DAppNode GEb1c2LH3d4e'), clients('geth', 'lighthouse'));
+        assert.deepStrictEqual(parseClientSuffix('NMa1PMb2'), clients('nethermind', 'prysm'));
+    });
+
+    await t.test('reads both clients without commits, in either order', () => {
+        assert.deepStrictEqual(parseClientSuffix('GELH'), clients('geth', 'lighthouse'));
+        assert.deepStrictEqual(parseClientSuffix('TKBU'), clients('besu', 'teku'));
+    });
+
+    await t.test('reads clients separated by a slash', () => {
+        assert.deepStrictEqual(parseClientSuffix('Lighthouse/v5 NM/TK'), clients('nethermind', 'teku'));
+        assert.deepStrictEqual(parseClientSuffix('LS/RH solo'), clients('reth', 'lodestar'));
+    });
+
+    await t.test('reads a single client with a commit or bare at the end', () => {
+        assert.deepStrictEqual(parseClientSuffix('DN GEb1c2'), clients('geth', null));
+        assert.deepStrictEqual(parseClientSuffix('RP-LH'), clients(null, 'lighthouse'));
+        assert.deepStrictEqual(parseClientSuffix('RP-NB  '), clients(null, 'nimbus'));
+    });
+
+    await t.test('ignores words and codes that name no client pair', () => {
+        for (const graffiti of ['HELLO', 'DAppNode', 'GEGE', 'XXYY', 'solo staker LH client', '', null, undefined]) {
+            assert.deepStrictEqual(parseClientSuffix(graffiti), clients(null, null), String(graffiti));
+        }
+    });
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startRun } = require('../lib/runs');
+const { createStorage } = require('../lib/storage');
+
+const TTL_MS = 60 * 1000;
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Two connections to one SQLite file stand in for two processes sharing a database
+test('SQL lock lease', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'locks-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    let a;
+    let b;
+    t.beforeEach(async () => {
+        const sqlitePath = path.join(dir, `locks-${Date.now()}-${Math.random()}.db`);
+        a = createStorage({ backend: 'sqlite', sqlitePath });
+        b = createStorage({ backend: 'sqlite', sqlitePath });
+        await a.connect();
+        await a.ensureSchema();
+        await b.connect();
+    });
+    t.afterEach(async () => {
+        await a.close();
+        await b.close();
+    });
+
+    await t.test('lets one owner hold a job at a time', async () => {
+        assert.strictEqual(await a.acquireLock('ingest', 'run-a', TTL_MS), true);
+        assert.strictEqual(await b.acquireLock('ingest', 'run-b', TTL_MS), false);
+        // Nor can the same owner take it twice
+        assert.strictEqual(await a.acquireLock('ingest', 'run-a', TTL_MS), false);
+
+        const lock = await b.getLock('ingest');
+        assert.strictEqual(lock.owner, 'run-a');
+        assert.ok(lock.expires_ts instanceof Date);
+        assert.ok(Math.abs(lock.expires_ts - lock.acquired_ts - TTL_MS) < 1000);
+    });
+
+    await t.test('locks every job on its own', async () => {
+        assert.strictEqual(await a.acquireLock('ingest', 'run-a', TTL_MS), true);
+        assert.strictEqual(await b.acquireLock('performance', 'run-b', TTL_MS), true);
+        assert.strictEqual(await b.getLock('recheck'), null);
+    });
+
+    await t.test('renews only for the owner', async () => {
+        await a.acquireLock('ingest', 'run-a', 1000);
+        const before = (await a.getLock('ingest')).expires_ts;
+        assert.strictEqual(await a.renewLock('ingest', 'run-a', TTL_MS), true);
+        assert.ok((await a.getLock('ingest')).expires_ts > before);
+        assert.strictEqual(await b.renewLock('ingest', 'run-b', TTL_MS), false);
+        assert.strictEqual((await b.getLock('ingest')).owner, 'run-a');
+    });
+
+    await t.test('hands an expired lease to the next run', async () => {
+        await a.acquireLock('ingest', 'run-a', 20);
+        await sleep(50);
+        assert.strictEqual(await b.acquireLock('ingest', 'run-b', TTL_MS), true);
+        assert.strictEqual((await a.getLock('ingest')).owner, 'run-b');
+        // The old owner finds out when it tries to renew
+        assert.strictEqual(await a.renewLock('ingest', 'run-a', TTL_MS), false);
+    });
+
+    await t.test('releases only for the owner', async () => {
+        await a.acquireLock('ingest', 'run-a', TTL_MS);
+        await b.releaseLock('ingest', 'run-b');
+        assert.strictEqual(await b.acquireLock('ingest', 'run-b', TTL_MS), false);
+        await a.releaseLock('ingest', 'run-a');
+        assert.strictEqual(await a.getLock('ingest'), null);
+        assert.strictEqual(await b.acquireLock('ingest', 'run-b', TTL_MS), true);
+    });
+
+    await t.test('lets exactly one of many racing runs win', async () => {
+        const attempts = Array.from({ length: 10 }, (_, i) => (i % 2 ? a : b).acquireLock('ingest', `run-${i}`, TTL_MS));
+        const won = (await Promise.all(attempts)).filter(Boolean);
+        assert.strictEqual(won.length, 1);
+    });
+
+    await t.test('startRun refuses to start while another run holds the lock', async () => {
+        const first = await startRun({ storage: a, job: 'ingest', command: 'ingest', logger, lockTtlMs: TTL_MS });
+        await assert.rejects(
+            startRun({ storage: b, job: 'ingest', command: 'ingest', logger, lockTtlMs: TTL_MS }),
+            err => err.code === 'ERR_LOCKED' && err.message.includes(first.id)
+        );
+        await first.finish('completed');
+        assert.strictEqual(await b.getLock('ingest'), null);
+
+        const second = await startRun({ storage: b, job: 'ingest', command: 'ingest', logger, lockTtlMs: TTL_MS });
+        await second.finish('completed');
+    });
+
+    await t.test('startRun stops a run whose lease another run took over', async () => {
+        let lost = false;
+        // A 30 ms lease lapses long before the first heartbeat (after 1 s), so another run can take it
+        const first = await startRun({
+            storage: a,
+            job: 'ingest',
+            command: 'ingest',
+            logger,
+            lockTtlMs: 30,
+            onLockLost: () => {
+                lost = true;
+            }
+        });
+        await sleep(50);
+        assert.strictEqual(await b.acquireLock('ingest', 'run-b', TTL_MS), true);
+        await sleep(1100);
+        assert.strictEqual(lost, true);
+        assert.strictEqual(first.lockLost, true);
+        await first.finish('shutdown');
+        // The lost lock is left to its new owner
+        assert.strictEqual((await b.getLock('ingest')).owner, 'run-b');
+    });
+});
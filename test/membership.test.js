@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMembership } = require('../lib/membership');
+
+// 10 slots a day and a 3-day window keep the slot math readable: the window is 30 slots
+const SLOTS_PER_DAY = 10;
+const ROWS = [
+    // Still proposing with the cohort's graffiti
+    { validator_index: 1, first_seen_slot: 5, last_seen_slot: 50, left_slot: null },
+    // Switched to another graffiti at slot 40
+    { validator_index: 2, first_seen_slot: 20, last_seen_slot: 20, left_slot: 40 },
+    // Joined late
+    { validator_index: 3, first_seen_slot: 100, last_seen_slot: 100, left_slot: null }
+];
+
+function members(membership, slot) {
+    return ROWS.filter(row => membership.isMember(row, slot)).map(row => row.validator_index);
+}
+
+function create(mode) {
+    return createMembership({ membership: mode, membershipDays: 3, slotsPerDay: SLOTS_PER_DAY });
+}
+
+test('createMembership', async t => {
+    await t.test('ever: every validator from its first matching proposal on', () => {
+        const membership = create('ever');
+        assert.deepStrictEqual(members(membership, 4), []);
+        assert.deepStrictEqual(members(membership, 60), [1, 2]);
+        assert.deepStrictEqual(members(membership, 100), [1, 2, 3]);
+        assert.strictEqual(membership.membershipDays, null);
+    });
+
+    await t.test('recent: validators whose last matching proposal is within the window', () => {
+        const membership = create('recent');
+        assert.deepStrictEqual(members(membership, 49), [1, 2]);
+        // Validator 2's last match (slot 20) leaves the 30-slot window at slot 50
+        assert.deepStrictEqual(members(membership, 50), [1]);
+        assert.deepStrictEqual(members(membership, 81), []);
+        assert.deepStrictEqual(members(membership, 100), [3]);
+        assert.strictEqual(membership.membershipDays, 3);
+    });
+
+    await t.test('latest: validators whose latest proposal matched', () => {
+        const membership = create('latest');
+        assert.deepStrictEqual(members(membership, 39), [1, 2]);
+        assert.deepStrictEqual(members(membership, 40), [1]);
+        assert.deepStrictEqual(members(membership, 1000), [1, 3]);
+    });
+
+    await t.test('churn counts joiners by their first matching proposal in (fromSlot, toSlot]', () => {
+        for (const mode of ['ever', 'recent', 'latest']) {
+            assert.strictEqual(create(mode).churn(ROWS, 30, 120).joiners, 1, mode);
+            assert.strictEqual(create(mode).churn(ROWS, 4, 20).joiners, 2, mode);
+            assert.strictEqual(create(mode).churn(ROWS, 5, 19).joiners, 0, mode);
+        }
+    });
+
+    await t.test('churn counts leavers by the slot they stopped counting', () => {
+        // ever members never leave
+        assert.deepStrictEqual(create('ever').churn(ROWS, 0, 1000), { joiners: 3, leavers: 0 });
+        // recent members leave when their last match leaves the window: 1 at 80, 2 at 50, 3 at 130
+        assert.deepStrictEqual(create('recent').churn(ROWS, 30, 120), { joiners: 1, leavers: 2 });
+        assert.deepStrictEqual(create('recent').churn(ROWS, 50, 80), { joiners: 0, leavers: 1 });
+        // latest members leave at their first non-matching proposal
+        assert.deepStrictEqual(create('latest').churn(ROWS, 30, 120), { joiners: 1, leavers: 1 });
+        assert.deepStrictEqual(create('latest').churn(ROWS, 40, 120), { joiners: 1, leavers: 0 });
+    });
+
+    await t.test('rejects an unknown mode as a config error', () => {
+        assert.throws(() => create('sometimes'), err => err.code === 'ERR_CONFIG' && /COHORT_MEMBERSHIP "sometimes"/.test(err.message));
+    });
+});
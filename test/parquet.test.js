@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PassThrough } = require('stream');
+const { createParquetWriter } = require('../lib/parquet');
+
+const COLUMNS = [
+    { name: 'slot', type: 'int' },
+    { name: 'rate', type: 'float' },
+    { name: 'slashed', type: 'bool' },
+    { name: 'graffiti', type: 'string' },
+    { name: 'slot_time', type: 'timestamp' }
+];
+
+// Writes `rows` and returns the file as an ArrayBuffer, the input hyparquet reads
+async function writeParquet(columns, rows, options) {
+    const out = new PassThrough();
+    const chunks = [];
+    out.on('data', chunk => chunks.push(chunk));
+    const writer = createParquetWriter(out, columns, options);
+    for (const row of rows) await writer.write(row);
+    await writer.close();
+    const buffer = Buffer.concat(chunks);
+    return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length);
+}
+
+function sampleRow(i) {
+    return {
+        slot: i % 11 === 0 ? null : i * 32000000000 - 5,
+        rate: i % 7 === 0 ? null : i / 3,
+        slashed: i % 5 === 0 ? null : i % 2 === 0,
+        graffiti: i % 13 === 0 ? null : `DAppNode ${'ü'.repeat(i % 4)} #${i}`,
+        slot_time: i % 17 === 0 ? null : new Date(1606824023000 + i * 12000)
+    };
+}
+
+// hyparquet reads INT64 as BigInt
+function asRead(row) {
+    return { ...row, slot: row.slot === null ? null : BigInt(row.slot) };
+}
+
+test('parquet', async t => {
+    const { parquetMetadata, parquetReadObjects } = await import('hyparquet');
+
+    await t.test('round-trips every column type and nulls', async () => {
+        const rows = [
+            { slot: 0, rate: 0, slashed: false, graffiti: '', slot_time: new Date(0) },
+            { slot: null, rate: null, slashed: null, graffiti: null, slot_time: null },
+            { slot: Number.MAX_SAFE_INTEGER, rate: -0.125, slashed: true, graffiti: 'héllo ✓', slot_time: new Date('2024-03-13T13:55:35.123Z') },
+            { slot: -1, rate: 1e300, slashed: true, graffiti: 'x'.repeat(300), slot_time: new Date(1606824023000) }
+        ];
+        const file = await writeParquet(COLUMNS, rows);
+        assert.deepStrictEqual(await parquetReadObjects({ file }), rows.map(asRead));
+    });
+
+    await t.test('splits rows into row groups of rowGroupSize', async () => {
+        const rows = Array.from({ length: 2500 }, (_, i) => sampleRow(i));
+        const file = await writeParquet(COLUMNS, rows, { rowGroupSize: 1000 });
+        const metadata = parquetMetadata(file);
+        assert.deepStrictEqual(metadata.row_groups.map(group => Number(group.num_rows)), [1000, 1000, 500]);
+        assert.strictEqual(Number(metadata.num_rows), 2500);
+        assert.deepStrictEqual(await parquetReadObjects({ file }), rows.map(asRead));
+    });
+
+    await t.test('declares a flat schema of optional columns', async () => {
+        const metadata = parquetMetadata(await writeParquet(COLUMNS, [sampleRow(1)], { createdBy: 'test' }));
+        assert.deepStrictEqual(
+            metadata.schema.slice(1).map(s => [s.name, s.type, s.converted_type, s.repetition_type]),
+            [
+                ['slot', 'INT64', undefined, 'OPTIONAL'],
+                ['rate', 'DOUBLE', undefined, 'OPTIONAL'],
+                ['slashed', 'BOOLEAN', undefined, 'OPTIONAL'],
+                ['graffiti', 'BYTE_ARRAY', 'UTF8', 'OPTIONAL'],
+                ['slot_time', 'INT64', 'TIMESTAMP_MILLIS', 'OPTIONAL']
+            ]
+        );
+        assert.strictEqual(metadata.created_by, 'test');
+    });
+
+    await t.test('writes a readable file without rows', async () => {
+        const file = await writeParquet(COLUMNS, []);
+        assert.strictEqual(Number(parquetMetadata(file).num_rows), 0);
+        assert.deepStrictEqual(await parquetReadObjects({ file }), []);
+    });
+
+    await t.test('rejects unknown column types', () => {
+        assert.throws(() => createParquetWriter(new PassThrough(), [{ name: 'x', type: 'decimal' }]), /Unsupported Parquet column type "decimal"/);
+    });
+});
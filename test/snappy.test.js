@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { decompressFramed } = require('../lib/snappy');
+const { bytes, chunk, compressFramed } = require('./fixtures');
+
+// Compressible but not trivial: repeated runs with changing bytes in between
+function sample(length) {
+    const out = Buffer.alloc(length);
+    for (let i = 0; i < length; i++) out[i] = i % 97 < 60 ? 0x61 + (i % 7) : (i * 31) & 0xff;
+    return out;
+}
+
+test('snappy', async t => {
+    await t.test('decompresses compressed chunks', () => {
+        const data = sample(1000);
+        assert.deepStrictEqual(decompressFramed(compressFramed(data)), data);
+    });
+
+    await t.test('joins the chunks of data over 64 KiB', () => {
+        const data = Buffer.concat([sample(100000), bytes('random', 50000)]);
+        assert.deepStrictEqual(decompressFramed(compressFramed(data)), data);
+    });
+
+    await t.test('reads uncompressed chunks', () => {
+        const data = bytes('raw', 5000);
+        assert.deepStrictEqual(decompressFramed(compressFramed(data, { uncompressed: true })), data);
+    });
+
+    await t.test('skips padding and skippable chunks', () => {
+        const data = sample(300);
+        const framed = compressFramed(data, { extraChunks: [chunk(0xfe, Buffer.alloc(10)), chunk(0x80, Buffer.from('skip'))] });
+        assert.deepStrictEqual(decompressFramed(framed), data);
+    });
+
+    await t.test('returns nothing for a stream with only its identifier', () => {
+        assert.strictEqual(decompressFramed(compressFramed(Buffer.alloc(0))).length, 0);
+    });
+
+    await t.test('rejects reserved chunk types', () => {
+        const framed = compressFramed(sample(10), { extraChunks: [chunk(0x02, Buffer.alloc(4))] });
+        assert.throws(() => decompressFramed(framed), /reserved chunk type 0x2/);
+    });
+
+    await t.test('rejects a stream without the identifier', () => {
+        const framed = compressFramed(sample(10)).subarray(10);
+        assert.throws(() => decompressFramed(framed), /missing stream identifier/);
+    });
+
+    await t.test('rejects a chunk whose checksum does not match', () => {
+        const framed = compressFramed(sample(10), { uncompressed: true });
+        framed[framed.length - 1] ^= 0xff;
+        assert.throws(() => decompressFramed(framed), /checksum mismatch/);
+    });
+
+    await t.test('rejects a truncated stream', () => {
+        const framed = compressFramed(sample(1000));
+        assert.throws(() => decompressFramed(framed.subarray(0, framed.length - 5)), /truncated chunk/);
+    });
+});